@@ -0,0 +1,432 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Departure board for wall displays, e.g. /board?stops=17109,16503&lines=K,M.
+// It is set up entirely through the query string and needs no interaction.
+
+// Used when the query string leaves a setting out
+const BOARD_DEFAULTS = {
+    stops: ['17109', '16503'],
+    rotateSeconds: 15,
+    refreshSeconds: 30,
+    rows: 8,
+    title: 'Departures'
+};
+const MIN_ROTATE_SECONDS = 5;
+const MIN_REFRESH_SECONDS = 15;
+const MAX_ROWS = 20;
+const MAX_STOPS = 20;
+// Alerts and weather change slowly, and the server rate-limits each address
+const ALERTS_REFRESH_MS = 2 * 60000;
+const WEATHER_REFRESH_MS = 10 * 60000;
+
+const settings = readSettings();
+let defaultAgency = 'SF';
+// Agencies from /api/agencies, for other agencies' line colors
+let agencies = [];
+// Muni line ID -> { color, textColor }, from /api/lines/catalogue
+const lineCatalogue = new Map();
+// Stop ID -> { stop, fetchedAt } from the last successful refresh, kept while refreshes fail
+const lastKnown = new Map();
+// When the last prediction refresh finished, whether or not it succeeded
+let lastRefreshAt = 0;
+// Server time minus browser time, so minutes away match the server's clock
+let clockOffset = 0;
+let alerts = [];
+let weather = null;
+let currentPage = 0;
+let currentAlert = 0;
+
+/**
+ * Reads the board settings from the query string
+ * @returns {Object} { stops, lines, rotateSeconds, refreshSeconds, rows, title, showAlerts, showWeather }
+ */
+function readSettings() {
+    const params = new URLSearchParams(window.location.search);
+    const list = name => (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+    const number = (name, fallback) => {
+        const value = Number(params.get(name));
+        return params.has(name) && Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    const stops = [...new Set(list('stops'))].slice(0, MAX_STOPS);
+    const rotateSeconds = number('rotate', BOARD_DEFAULTS.rotateSeconds);
+    return {
+        stops: stops.length ? stops : BOARD_DEFAULTS.stops,
+        lines: [...new Set(list('lines').map(line => line.toUpperCase()))],
+        // 0 turns rotation off and keeps the first stop on screen
+        rotateSeconds: rotateSeconds && Math.max(rotateSeconds, MIN_ROTATE_SECONDS),
+        refreshSeconds: Math.max(number('refresh', BOARD_DEFAULTS.refreshSeconds), MIN_REFRESH_SECONDS),
+        rows: Math.min(Math.max(Math.round(number('rows', BOARD_DEFAULTS.rows)), 1), MAX_ROWS),
+        title: params.get('title') || BOARD_DEFAULTS.title,
+        showAlerts: params.get('alerts') !== 'false',
+        showWeather: params.get('weather') !== 'false'
+    };
+}
+
+/**
+ * Fetches JSON from the server
+ * @async
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the server's message if the request fails
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    // The rate limiter answers in plain text
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP error! status: ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Gets the agency of a stop ID as given in the query string
+ * @param {string} stopId - Stop ID, or "<agency>:<stopId>" for another agency
+ * @returns {string} Agency code
+ */
+function getStopAgency(stopId) {
+    return stopId.includes(':') ? stopId.split(':')[0].toUpperCase() : defaultAgency;
+}
+
+/**
+ * Loads the agencies and the line catalogue for line colors
+ * @async
+ */
+async function loadLineColors() {
+    try {
+        const [agencyData, catalogue] = await Promise.all([
+            fetchJson('/api/agencies'),
+            fetchJson('/api/lines/catalogue')
+        ]);
+        defaultAgency = agencyData.defaultAgency;
+        agencies = agencyData.agencies;
+        catalogue.lines.forEach(line => lineCatalogue.set(line.id, line));
+    } catch (error) {
+        console.error('Error loading line colors:', error);
+    }
+}
+
+/**
+ * Creates a colored badge for a line
+ * @param {string} line - The line identifier
+ * @param {string} agency - Agency the line belongs to
+ * @returns {HTMLElement} The badge element
+ */
+function createLineBadge(line, agency) {
+    const badge = document.createElement('span');
+    badge.className = 'line-badge';
+    badge.textContent = line || '?';
+
+    const catalogued = agency === defaultAgency ? lineCatalogue.get(line) : null;
+    const info = agencies.find(candidate => candidate.id === agency);
+    const colors = info?.lineColors || {};
+    badge.style.backgroundColor = catalogued?.color ||
+        colors[line] || colors[String(line).split(/[-\s]/)[0]] || info?.color || '#888888';
+    if (catalogued?.textColor) {
+        badge.style.color = catalogued.textColor;
+    }
+    return badge;
+}
+
+/**
+ * Counts the minutes until a prediction, against the server's clock
+ * @param {Object} prediction - Version 2 prediction
+ * @param {number} now - Server time in milliseconds
+ * @returns {number|null} Minutes away, or null without an expected time
+ */
+function getMinutesAway(prediction, now) {
+    const expected = Date.parse(prediction.expectedArrival || prediction.expectedDeparture);
+    return isNaN(expected) ? null : Math.round((expected - now) / 60000);
+}
+
+/**
+ * Formats the time until a departure
+ * @param {Object} departure - Prediction with minutes
+ * @returns {string} e.g. "At stop", "Arriving" or "5 min"
+ */
+function formatDue(departure) {
+    if (departure.atStop) return 'At stop';
+    if (departure.minutes === 0) return 'Arriving';
+    return `${departure.minutes} min`;
+}
+
+/**
+ * Formats a time of day for labels
+ * @param {number} time - Time in milliseconds
+ * @returns {string} e.g. "5:42 PM"
+ */
+function formatTime(time) {
+    return new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Fetches predictions for every stop on the board; stops that fail keep
+ * their last known predictions
+ * @async
+ */
+async function refreshPredictions() {
+    if (!agencies.length) {
+        await loadLineColors();
+    }
+
+    const params = new URLSearchParams({ stops: settings.stops.join(',') });
+    if (settings.lines.length) {
+        params.set('lines', settings.lines.join(','));
+    }
+
+    let data = null;
+    try {
+        data = await fetchJson(`/api/v2/predictions?${params}`);
+    } catch (error) {
+        console.error('Error loading predictions:', error);
+    }
+    lastRefreshAt = Date.now();
+
+    if (data) {
+        clockOffset = (Date.parse(data.serverTime) - lastRefreshAt) || 0;
+        Object.entries(data.stops).forEach(([stopId, stop]) => {
+            if (stop.error) {
+                console.error(`Error loading predictions for stop ${stopId}:`, stop.error);
+            } else {
+                lastKnown.set(stopId, { stop, fetchedAt: lastRefreshAt });
+            }
+        });
+    }
+    renderBoard();
+}
+
+/**
+ * Fetches service alerts for the agencies of the board's stops
+ * @async
+ */
+async function refreshAlerts() {
+    const agencyIds = [...new Set(settings.stops.map(getStopAgency))];
+    const results = await Promise.allSettled(agencyIds.map(agency =>
+        fetchJson(`/api/alerts?agency=${encodeURIComponent(agency)}`)));
+
+    // Keep an agency's last alerts if its refresh failed
+    const failed = new Set();
+    const fresh = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            fresh.push(...result.value.alerts.map(alert => ({ ...alert, agency: alert.agency || agencyIds[index] })));
+        } else {
+            console.error(`Error loading ${agencyIds[index]} alerts:`, result.reason);
+            failed.add(agencyIds[index]);
+        }
+    });
+    alerts = [...alerts.filter(alert => failed.has(alert.agency)), ...fresh];
+    renderAlert();
+}
+
+/**
+ * Fetches the weather at the board's stops, keeping the last weather if it fails
+ * @async
+ */
+async function refreshWeather() {
+    try {
+        weather = await fetchJson(`/api/weather?stops=${encodeURIComponent(settings.stops.join(','))}`);
+    } catch (error) {
+        console.error('Error loading weather:', error);
+    }
+    renderWeather();
+}
+
+/**
+ * Lists the alerts that affect the board's stops or lines. Without a lines
+ * setting, the lines are those in the stops' predictions.
+ * @returns {Array<Object>} Relevant alerts
+ */
+function getRelevantAlerts() {
+    // Lines as "<agency>:<line>", since agencies reuse line names
+    const lines = new Set();
+    if (settings.lines.length) {
+        settings.stops.map(getStopAgency).forEach(agency =>
+            settings.lines.forEach(line => lines.add(`${agency}:${line}`)));
+    } else {
+        lastKnown.forEach(({ stop }) => stop.predictions.forEach(prediction =>
+            lines.add(`${stop.agency}:${String(prediction.line).toUpperCase()}`)));
+    }
+    return alerts.filter(alert =>
+        alert.stops.some(stopId => settings.stops.includes(stopId)) ||
+        alert.lines.some(line => lines.has(`${alert.agency}:${String(line).toUpperCase()}`)));
+}
+
+/**
+ * Shows one relevant alert at a time in the footer
+ */
+function renderAlert() {
+    const footer = document.getElementById('board-alerts');
+    const relevant = settings.showAlerts ? getRelevantAlerts() : [];
+    footer.hidden = !relevant.length;
+    if (!relevant.length) return;
+
+    const alert = relevant[currentAlert % relevant.length];
+    footer.innerHTML = '';
+    const affected = document.createElement('span');
+    affected.className = 'board-alert-lines';
+    alert.lines.forEach(line => affected.appendChild(createLineBadge(line, alert.agency)));
+    const text = document.createElement('span');
+    text.textContent = `⚠ ${alert.header || alert.effect.toLowerCase().replace(/_/g, ' ')}`;
+    footer.append(affected, text);
+    if (relevant.length > 1) {
+        const count = document.createElement('span');
+        count.className = 'board-alert-count';
+        count.textContent = `${currentAlert % relevant.length + 1}/${relevant.length}`;
+        footer.appendChild(count);
+    }
+}
+
+/**
+ * Shows the current conditions where the stop on screen is
+ */
+function renderWeather() {
+    const container = document.getElementById('board-weather');
+    const stopId = settings.stops[currentPage];
+    const locations = (weather?.locations || []).filter(location => !location.error);
+    const location = locations.find(candidate => candidate.stops.includes(stopId)) || locations[0];
+    container.hidden = !settings.showWeather || !location;
+    if (container.hidden) return;
+
+    container.innerHTML = '';
+    const temperature = document.createElement('div');
+    temperature.className = 'board-temperature';
+    temperature.textContent = `${Math.round(location.current.temperature)}°F`;
+    const description = document.createElement('div');
+    description.className = 'board-weather-description';
+    description.textContent = location.current.description;
+    container.append(temperature, description);
+}
+
+/**
+ * Shows the departures of the stop on screen, counting minutes away again
+ * from the expected times so last known data stays correct while refreshes fail
+ */
+function renderBoard() {
+    const stopId = settings.stops[currentPage];
+    const entry = lastKnown.get(stopId);
+    document.getElementById('board-stop-name').textContent = entry?.stop.stopName || `Stop #${stopId}`;
+
+    const status = document.getElementById('board-status');
+    status.hidden = !entry || entry.fetchedAt >= lastRefreshAt;
+    status.textContent = entry ? `Not live · last updated ${formatTime(entry.fetchedAt)}` : '';
+
+    const now = Date.now() + clockOffset;
+    const departures = (entry?.stop.predictions || [])
+        .map(prediction => ({ ...prediction, minutes: getMinutesAway(prediction, now) }))
+        .filter(departure => departure.minutes !== null && departure.minutes >= 0)
+        .slice(0, settings.rows);
+
+    const rows = document.getElementById('board-rows');
+    rows.innerHTML = '';
+    if (!departures.length) {
+        const cell = rows.insertRow().insertCell();
+        cell.colSpan = 3;
+        cell.className = 'board-empty';
+        if (entry) {
+            cell.textContent = 'No departures';
+        } else {
+            cell.textContent = lastRefreshAt ? 'Predictions unavailable' : 'Loading…';
+        }
+    }
+    departures.forEach(departure => {
+        const row = rows.insertRow();
+        const line = row.insertCell();
+        line.className = 'board-line';
+        line.appendChild(createLineBadge(departure.line, entry.stop.agency));
+        const destination = row.insertCell();
+        destination.className = 'board-destination';
+        destination.textContent = (departure.destination || '').replace(' Station', '').replace('Metro ', '');
+        const due = row.insertCell();
+        due.className = `board-due${departure.atStop || departure.minutes <= 1 ? ' soon' : ''}`;
+        due.textContent = formatDue(departure);
+    });
+
+    const pages = document.getElementById('board-pages');
+    pages.innerHTML = '';
+    if (settings.stops.length > 1) {
+        settings.stops.forEach((id, index) => {
+            const dot = document.createElement('span');
+            dot.className = `board-page${index === currentPage ? ' active' : ''}`;
+            pages.appendChild(dot);
+        });
+    }
+    renderWeather();
+}
+
+/**
+ * Moves to the next stop and alert
+ */
+function advanceBoard() {
+    if (settings.rotateSeconds) {
+        currentPage = (currentPage + 1) % settings.stops.length;
+    }
+    currentAlert++;
+    renderBoard();
+    renderAlert();
+}
+
+/**
+ * Updates the clock and date
+ */
+function updateClock() {
+    const now = new Date(Date.now() + clockOffset);
+    document.getElementById('board-clock').textContent = formatTime(now);
+    document.getElementById('board-date').textContent = now.toLocaleDateString('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Keeps the display awake where the browser supports screen wake locks
+ * @async
+ */
+async function keepScreenOn() {
+    try {
+        await navigator.wakeLock?.request('screen');
+    } catch (error) {
+        console.warn('Screen wake lock unavailable:', error.message);
+    }
+}
+
+/**
+ * Starts the clock, the refresh timers and stop rotation
+ * @async
+ */
+async function initializeBoard() {
+    document.getElementById('board-title').textContent = settings.title;
+    document.title = `${settings.title} · SF Muni`;
+    updateClock();
+    setInterval(updateClock, 1000);
+
+    await loadLineColors();
+    renderBoard();
+    refreshPredictions();
+    setInterval(refreshPredictions, settings.refreshSeconds * 1000);
+    if (settings.showAlerts) {
+        refreshAlerts();
+        setInterval(refreshAlerts, ALERTS_REFRESH_MS);
+    }
+    if (settings.showWeather) {
+        refreshWeather();
+        setInterval(refreshWeather, WEATHER_REFRESH_MS);
+    }
+    // Alerts take turns even when the stops don't
+    setInterval(advanceBoard, (settings.rotateSeconds || BOARD_DEFAULTS.rotateSeconds) * 1000);
+
+    keepScreenOn();
+    // The browser drops the wake lock whenever the page is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') keepScreenOn();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeBoard);
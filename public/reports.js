@@ -0,0 +1,319 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Report shown when the page opens, in days up to today
+const DEFAULT_REPORT_DAYS = 7;
+// Labels for each groupBy field, in table column order
+const GROUP_LABELS = {
+    line: 'Line',
+    direction: 'Direction',
+    stop: 'Stop',
+    hour: 'Hour',
+    scheduledTime: 'Scheduled'
+};
+// Line colors by line ID, from /api/lines/catalogue
+const lineColors = new Map();
+
+/**
+ * Formats a date as YYYY-MM-DD in the browser's timezone
+ * @param {Date} date - The date
+ * @returns {string} Date for a date input
+ */
+function toDateInput(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Fills in the hour options and the default date range
+ */
+function initializeForm() {
+    const hourSelect = document.getElementById('report-hour');
+    for (let hour = 0; hour < 24; hour++) {
+        const option = document.createElement('option');
+        option.value = hour;
+        option.textContent = `${String(hour).padStart(2, '0')}:00`;
+        hourSelect.appendChild(option);
+    }
+
+    const today = new Date();
+    const from = new Date(today);
+    from.setDate(today.getDate() - (DEFAULT_REPORT_DAYS - 1));
+    document.getElementById('report-from').value = toDateInput(from);
+    document.getElementById('report-to').value = toDateInput(today);
+}
+
+/**
+ * Fills in the line filter and line colors from the server's line catalogue
+ * @async
+ */
+async function loadLineOptions() {
+    try {
+        const response = await fetch('/api/lines/catalogue');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const catalogue = await response.json();
+        const lineSelect = document.getElementById('report-line');
+        catalogue.lines.forEach(line => {
+            lineColors.set(line.id, line.color);
+            lineSelect.add(new Option(line.id, line.id));
+        });
+    } catch (error) {
+        console.error('Error loading line catalogue:', error);
+    }
+}
+
+/**
+ * Builds the report query string from the form, leaving out empty fields
+ * @returns {string} Query string
+ */
+function getReportQuery() {
+    const params = new URLSearchParams();
+    new FormData(document.getElementById('report-form')).forEach((value, key) => {
+        if (String(value).trim()) params.set(key, String(value).trim());
+    });
+    return params.toString();
+}
+
+/**
+ * Fetches one report
+ * @async
+ * @param {('lateness'|'headways')} name - Report name
+ * @param {string} query - Query string from getReportQuery
+ * @returns {Promise<Object>} The report
+ * @throws {Error} With the server's message if the request fails
+ */
+async function fetchReport(name, query) {
+    const response = await fetch(`/api/reports/${name}?${query}`);
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP error! status: ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Describes a report row's group, e.g. "K inbound · 08:00"
+ * @param {Object} row - Report row
+ * @param {Array<string>} groupBy - Group fields
+ * @returns {string} Group label
+ */
+function formatGroup(row, groupBy) {
+    if (!groupBy.length) return 'All';
+    return groupBy.map(name => {
+        if (name === 'hour') return `${String(row.hour).padStart(2, '0')}:00`;
+        if (name === 'stop') return row.stopName ? `${row.stopName} (#${row.stop})` : `#${row.stop}`;
+        return row[name] ?? '—';
+    }).join(' · ');
+}
+
+/**
+ * Gets the bar color for a row: its line color when grouped by line
+ * @param {Object} row - Report row
+ * @returns {string} CSS color
+ */
+function getBarColor(row) {
+    return (row.line && lineColors.get(row.line)) || 'var(--accent-color)';
+}
+
+/**
+ * Draws a horizontal bar chart
+ * @param {HTMLElement} container - Chart container
+ * @param {Array<Object>} bars - { label, value, text, color, marker } where marker
+ *   is an optional second value drawn as a tick, such as the scheduled figure
+ * @param {number} [max] - Value of a full-width bar; defaults to the largest value
+ */
+function renderBarChart(container, bars, max) {
+    container.innerHTML = '';
+    const scale = max || Math.max(...bars.map(bar => Math.max(bar.value || 0, bar.marker || 0)), 1);
+
+    bars.forEach(bar => {
+        const row = document.createElement('div');
+        row.className = 'chart-row';
+
+        const label = document.createElement('div');
+        label.className = 'chart-label';
+        label.textContent = bar.label;
+        row.appendChild(label);
+
+        const track = document.createElement('div');
+        track.className = 'chart-track';
+        const fill = document.createElement('div');
+        fill.className = 'chart-bar';
+        fill.style.width = `${Math.min((bar.value || 0) / scale, 1) * 100}%`;
+        fill.style.backgroundColor = bar.color;
+        track.appendChild(fill);
+        if (bar.marker !== null && bar.marker !== undefined) {
+            const marker = document.createElement('div');
+            marker.className = 'chart-marker';
+            marker.style.left = `${Math.min(bar.marker / scale, 1) * 100}%`;
+            track.appendChild(marker);
+        }
+        row.appendChild(track);
+
+        const value = document.createElement('div');
+        value.className = 'chart-value';
+        value.textContent = bar.text;
+        row.appendChild(value);
+
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Draws a table of report rows
+ * @param {HTMLElement} container - Table container
+ * @param {Object} report - Report from the API
+ * @param {Array<Array>} columns - [heading, row => cell text] pairs after the group columns
+ */
+function renderTable(container, report, columns) {
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    const headings = [...report.groupBy.map(name => GROUP_LABELS[name]), ...columns.map(([heading]) => heading)];
+    const head = table.createTHead().insertRow();
+    headings.forEach(heading => {
+        const cell = document.createElement('th');
+        cell.textContent = heading;
+        head.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    report.rows.forEach(row => {
+        const tableRow = body.insertRow();
+        report.groupBy.forEach(name => {
+            tableRow.insertCell().textContent = formatGroup(row, [name]);
+        });
+        columns.forEach(([, format]) => {
+            tableRow.insertCell().textContent = format(row);
+        });
+    });
+
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+/**
+ * Formats a number of minutes for a table cell
+ * @param {number|null} minutes - Minutes
+ * @returns {string} e.g. "2.5 min", or "—" when unknown
+ */
+function formatMinutes(minutes) {
+    return minutes === null || minutes === undefined ? '—' : `${minutes} min`;
+}
+
+/**
+ * Formats a percentage for a table cell
+ * @param {number|null} percent - Percentage
+ * @returns {string} e.g. "82%", or "—" when unknown
+ */
+function formatPercent(percent) {
+    return percent === null || percent === undefined ? '—' : `${percent}%`;
+}
+
+/**
+ * Shows the lateness report as on-time bars and a table
+ * @param {Object} report - Lateness report from the API
+ */
+function renderLateness(report) {
+    const chart = document.getElementById('lateness-chart');
+    const table = document.getElementById('lateness-table');
+    if (!report.rows.length) {
+        chart.innerHTML = '<div class="loading">No arrivals recorded for these filters</div>';
+        table.innerHTML = '';
+        return;
+    }
+
+    renderBarChart(chart, report.rows.map(row => ({
+        label: formatGroup(row, report.groupBy),
+        value: row.onTimePercent,
+        text: row.onTimePercent === null ? 'no schedule' : `${row.onTimePercent}% on time`,
+        color: getBarColor(row)
+    })), 100);
+
+    renderTable(table, report, [
+        ['Arrivals', row => row.arrivals],
+        ['On time', row => formatPercent(row.onTimePercent)],
+        ['Early', row => formatPercent(row.earlyPercent)],
+        ['Late', row => formatPercent(row.latePercent)],
+        ['Avg delay', row => formatMinutes(row.averageDelayMinutes)],
+        ['Worst delay', row => formatMinutes(row.maxDelayMinutes)]
+    ]);
+}
+
+/**
+ * Shows the headway report as average wait bars, with the scheduled wait
+ * as a tick, and a table
+ * @param {Object} report - Headway report from the API
+ */
+function renderHeadwayReport(report) {
+    const chart = document.getElementById('headway-chart');
+    const table = document.getElementById('headway-table');
+    if (!report.rows.length) {
+        chart.innerHTML = '<div class="loading">Not enough arrivals recorded for these filters</div>';
+        table.innerHTML = '';
+        return;
+    }
+
+    renderBarChart(chart, report.rows.map(row => ({
+        label: formatGroup(row, report.groupBy),
+        value: row.averageWaitMinutes,
+        marker: row.scheduledWaitMinutes,
+        text: row.excessWaitMinutes === null
+            ? `${row.averageWaitMinutes} min wait`
+            : `${row.averageWaitMinutes} min wait (${row.excessWaitMinutes >= 0 ? '+' : ''}${row.excessWaitMinutes})`,
+        color: getBarColor(row)
+    })));
+
+    renderTable(table, report, [
+        ['Headways', row => row.headways],
+        ['Avg headway', row => formatMinutes(row.averageHeadwayMinutes)],
+        ['Scheduled', row => formatMinutes(row.scheduledHeadwayMinutes)],
+        ['Variation', row => row.headwayVariation],
+        ['Avg wait', row => formatMinutes(row.averageWaitMinutes)],
+        ['Excess wait', row => formatMinutes(row.excessWaitMinutes)],
+        ['Reliable', row => formatPercent(row.reliablePercent)]
+    ]);
+}
+
+/**
+ * Loads both reports for the current filters
+ * @async
+ */
+async function loadReports() {
+    const status = document.getElementById('report-status');
+    const query = getReportQuery();
+    status.textContent = 'Loading…';
+
+    try {
+        const [lateness, headways] = await Promise.all([
+            fetchReport('lateness', query),
+            fetchReport('headways', query)
+        ]);
+        renderLateness(lateness);
+        renderHeadwayReport(headways);
+        status.textContent = `Service days ${lateness.from} to ${lateness.to}`;
+    } catch (error) {
+        console.error('Error loading reports:', error);
+        status.textContent = error.message;
+    }
+}
+
+/**
+ * Sets up the filter form and shows the default reports
+ * @async
+ */
+async function initializeReports() {
+    initializeForm();
+    await loadLineOptions();
+    document.getElementById('report-form').addEventListener('submit', event => {
+        event.preventDefault();
+        loadReports();
+    });
+    loadReports();
+}
+
+document.addEventListener('DOMContentLoaded', initializeReports);
@@ -5,49 +5,161 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-// Array of train lines
-const trainLines = ['J', 'K', 'L', 'M', 'N', 'T'];
+// Lines tracked by the server, from /api/lines/catalogue, in selector order
+let trainLines = [];
+// Line details by line ID: { id, name, mode, routeType, color, textColor }
+const lineCatalogue = new Map();
+// Headings for the line selector's groups, keyed by mode
+const MODE_LABELS = {
+    metro: 'Metro',
+    streetcar: 'Streetcar',
+    'cable-car': 'Cable car',
+    bus: 'Bus'
+};
 
 // Store all valid stops from train-routes.json
 let allStops = new Map();
-// Current stop being edited (inbound or outbound)
-let currentStopType = null;
-// Default stops
-const defaultStops = {
-    inbound: '15779',
-    outbound: '15780'
-};
-// Current stops
-let currentStops = { ...defaultStops };
+// Stops shown to first-time visitors
+const defaultStops = [
+    { id: '15779', label: 'Inbound' },
+    { id: '15780', label: 'Outbound' }
+];
+// Matches the server's per-request stop limit
+const MAX_SAVED_STOPS = 20;
+// Saved stops in display order, persisted in localStorage
+let savedStops = loadSavedStops();
+// Index of the saved stop being edited, or null when adding a new one
+let editingStopIndex = null;
+// Latest prediction data by stop ID, used to redraw cards after edits
+const latestPredictions = new Map();
+
+// Agencies enabled on the server, from /api/agencies; SF Muni alone until they load.
+// Stops of other agencies are keyed by "<agency>:<stopId>", e.g. BA:12018
+let defaultAgency = 'SF';
+let agencies = [{ id: 'SF', name: 'SF Muni', lineColors: {}, stopsFile: 'train-routes.json' }];
+// Agencies whose trains and alerts are shown, persisted in localStorage
+let selectedAgencies = new Set(JSON.parse(localStorage.getItem('selectedAgencies') || '[]'));
 
 /**
- * Loads all train stops from train-routes.json and stores them in allStops Map
+ * Loads the enabled agencies and drops selections the server no longer offers
  * @async
- * @throws {Error} If fetching or parsing train routes fails
  */
-async function loadAllStops() {
+async function loadAgencies() {
     try {
-        const response = await fetch('/train-routes.json');
+        const response = await fetch('/api/agencies');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
         const data = await response.json();
-        
-        // Create a Map of all valid stops with their details
-        data.routes.forEach(route => {
-            route.stops.forEach(stop => {
-                if (stop.id && stop.name) {
-                    allStops.set(stop.id, {
-                        name: stop.name,
-                        line: route.line,
-                        lat: stop.lat,
-                        long: stop.long
-                    });
-                }
-            });
-        });
+        defaultAgency = data.defaultAgency;
+        agencies = data.agencies;
+    } catch (error) {
+        console.error('Error loading agencies:', error);
+    }
+
+    selectedAgencies = new Set([...selectedAgencies].filter(id => getAgencyInfo(id)));
+    if (!selectedAgencies.size) {
+        selectedAgencies.add(defaultAgency);
+    }
+}
+
+/**
+ * Loads the default agency's line catalogue. Without it (offline on a first
+ * visit, say), the lines come from the stop catalogue and share one group.
+ * @async
+ */
+async function loadLineCatalogue() {
+    try {
+        const response = await fetch('/api/lines/catalogue');
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const catalogue = await response.json();
+        catalogue.lines.forEach(line => lineCatalogue.set(line.id, line));
+        trainLines = catalogue.lines.map(line => line.id);
     } catch (error) {
-        console.error('Error loading stops:', error);
+        console.error('Error loading line catalogue:', error);
+        const lines = new Set();
+        allStops.forEach(stop => {
+            if (stop.agency === defaultAgency) stop.lines.forEach(line => lines.add(line));
+        });
+        trainLines = [...lines].sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
     }
 }
 
+/**
+ * Looks up an enabled agency
+ * @param {string} agencyId - Agency code, e.g. BA
+ * @returns {Object|undefined} Agency from /api/agencies
+ */
+function getAgencyInfo(agencyId) {
+    return agencies.find(agency => agency.id === agencyId);
+}
+
+/**
+ * Builds the stop reference used for saved stops and API requests
+ * @param {string} agencyId - Agency code
+ * @param {string} stopId - Stop ID within the agency
+ * @returns {string} Bare stop ID for the default agency, "<agency>:<stopId>" otherwise
+ */
+function toStopRef(agencyId, stopId) {
+    return agencyId === defaultAgency ? stopId : `${agencyId}:${stopId}`;
+}
+
+/**
+ * Checks whether a stop reference belongs to the default agency
+ * @param {string} stopRef - Stop reference
+ * @returns {boolean} True for a bare stop ID
+ */
+function isDefaultStop(stopRef) {
+    return !stopRef.includes(':');
+}
+
+/**
+ * Builds the query string that picks an agency on the REST endpoints
+ * @param {string} agencyId - Agency code
+ * @returns {string} Empty for the default agency, so offline copies keep their URLs
+ */
+function agencyQuery(agencyId) {
+    return agencyId === defaultAgency ? '' : `?agency=${encodeURIComponent(agencyId)}`;
+}
+
+/**
+ * Loads every agency's stops and stores them in the allStops Map by stop reference
+ * @async
+ * @throws {Error} If fetching or parsing a stop list fails
+ */
+async function loadAllStops() {
+    await Promise.all(agencies.filter(agency => agency.stopsFile).map(async agency => {
+        try {
+            const response = await fetch(`/${agency.stopsFile}`);
+            const data = await response.json();
+
+            // Create a Map of all valid stops with their details
+            data.routes.forEach(route => {
+                route.stops.forEach(stop => {
+                    if (stop.id && stop.name) {
+                        const stopRef = toStopRef(agency.id, stop.id);
+                        const existing = allStops.get(stopRef);
+                        if (existing) {
+                            if (!existing.lines.includes(route.line)) existing.lines.push(route.line);
+                            return;
+                        }
+                        allStops.set(stopRef, {
+                            agency: agency.id,
+                            name: stop.name,
+                            line: route.line,
+                            lines: [route.line],
+                            direction: stop.direction || getStopDirection(stop.name),
+                            searchText: normalizeSearchText(stop.name),
+                            lat: stop.lat,
+                            long: stop.long
+                        });
+                    }
+                });
+            });
+        } catch (error) {
+            console.error(`Error loading ${agency.name} stops:`, error);
+        }
+    }));
+}
+
 /**
  * Validates a stop ID against the loaded stops
  * @param {string} stopId - The ID to validate
@@ -61,6 +173,103 @@ function validateStop(stopId) {
     };
 }
 
+/**
+ * Infers a stop's direction from its name (e.g., "Metro Church Station/Outbound")
+ * @param {string} name - Stop name
+ * @returns {('inbound'|'outbound'|null)} Direction, or null if the name does not say
+ */
+function getStopDirection(name) {
+    if (/\b(outbound|outbd)\b/i.test(name)) return 'outbound';
+    if (/\b(inbound|inbd)\b/i.test(name)) return 'inbound';
+    return null;
+}
+
+/**
+ * Lowercases text and reduces punctuation to single spaces for matching
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeSearchText(text) {
+    return text.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Checks whether the characters of a token appear in order within text
+ * @param {string} token - Search token
+ * @param {string} text - Text to search
+ * @returns {boolean} True if every character of token is found in order
+ */
+function isSubsequence(token, text) {
+    let position = 0;
+    for (const char of token) {
+        position = text.indexOf(char, position) + 1;
+        if (!position) return false;
+    }
+    return true;
+}
+
+/**
+ * Scores how well a stop matches a search query. Exact words score highest,
+ * then word prefixes, substrings and finally characters in order, so that
+ * "church", "west portal" and "wst portl" all find what was meant.
+ * @param {Object} stop - Stop from allStops
+ * @param {string} stopId - The stop ID
+ * @param {Array<string>} tokens - Normalized query words
+ * @returns {number} Match score, or 0 if the stop does not match
+ */
+function scoreStopMatch(stop, stopId, tokens) {
+    if (tokens.length === 1 && /^\d+$/.test(tokens[0])) {
+        return stopId.startsWith(tokens[0]) ? 10 : 0;
+    }
+
+    const words = stop.searchText.split(' ');
+    let score = 0;
+    for (const token of tokens) {
+        if (words.includes(token)) {
+            score += 3;
+        } else if (words.some(word => word.startsWith(token))) {
+            score += 2;
+        } else if (stop.searchText.includes(token)) {
+            score += 1;
+        } else if (isSubsequence(token, stop.searchText)) {
+            score += 0.5;
+        } else {
+            return 0;
+        }
+    }
+    // Prefer names that begin with the query, e.g. "West Portal Station" for "west portal"
+    return stop.searchText.startsWith(tokens.join(' ')) ? score + 1 : score;
+}
+
+/**
+ * Searches stops by name or ID
+ * @param {string} query - Search text
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.line] - Only stops served by this line
+ * @param {string} [filters.direction] - Only stops in this direction ('inbound' or 'outbound')
+ * @param {number} [limit=8] - Maximum number of results
+ * @returns {Array<Object>} Matching stops with their IDs, best match first
+ */
+function searchStops(query, filters = {}, limit = 8) {
+    const tokens = normalizeSearchText(query).split(' ').filter(Boolean);
+    if (!tokens.length) return [];
+
+    const results = [];
+    allStops.forEach((stop, stopId) => {
+        if (filters.agency && stop.agency !== filters.agency) return;
+        if (filters.line && !stop.lines.includes(filters.line)) return;
+        if (filters.direction && stop.direction && stop.direction !== filters.direction) return;
+        const score = scoreStopMatch(stop, stopId, tokens);
+        if (score > 0) {
+            results.push({ id: stopId, ...stop, score });
+        }
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
 // Modal elements
 const modal = document.getElementById('stop-modal');
 const closeBtn = document.querySelector('.close');
@@ -69,693 +278,3338 @@ const saveBtn = document.getElementById('save-stop');
 const stopInput = document.getElementById('stop-id');
 const validationMsg = document.getElementById('stop-validation');
 
-// Click handlers for stop info
-document.getElementById('inbound-stop').addEventListener('click', () => openStopModal('inbound'));
-document.getElementById('outbound-stop').addEventListener('click', () => openStopModal('outbound'));
+const stopLabelInput = document.getElementById('stop-label');
+const stopLinesField = document.getElementById('stop-lines');
+const stopLinesOptions = document.getElementById('stop-lines-options');
+const stopSearchInput = document.getElementById('stop-search');
+const stopResults = document.getElementById('stop-results');
+const stopAgencyFilter = document.getElementById('stop-filter-agency');
+const stopLineFilter = document.getElementById('stop-filter-line');
+const stopDirectionFilter = document.getElementById('stop-filter-direction');
+
+// Current search results and the highlighted one
+let stopSearchResults = [];
+let highlightedResult = -1;
+// Small map in the modal previewing the chosen stop
+let previewMap = null;
+let previewMarker = null;
+
+document.getElementById('add-stop').addEventListener('click', () => openStopModal(null));
+
+/**
+ * Reads saved stops from localStorage, falling back to the defaults
+ * @returns {Array<{id: string, label: string, lines?: Array<string>}>} Saved stops in
+ *   display order; lines, if set, limits a stop's predictions to those lines
+ */
+function loadSavedStops() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('savedStops'));
+        if (Array.isArray(stored)) {
+            return stored
+                .filter(stop => stop && typeof stop.id === 'string')
+                .map(stop => {
+                    const saved = { id: stop.id, label: String(stop.label || '') };
+                    if (Array.isArray(stop.lines) && stop.lines.length) {
+                        saved.lines = stop.lines.map(String);
+                    }
+                    return saved;
+                })
+                .slice(0, MAX_SAVED_STOPS);
+        }
+    } catch (error) {
+        console.error('Error reading saved stops:', error);
+    }
+    return defaultStops.map(stop => ({ ...stop }));
+}
+
+/**
+ * Writes saved stops to localStorage
+ */
+function persistSavedStops() {
+    localStorage.setItem('savedStops', JSON.stringify(savedStops));
+}
+
+/**
+ * Gets the distinct stop IDs of the saved stops
+ * @returns {Array<string>} Stop IDs in display order
+ */
+function getSavedStopIds() {
+    return [...new Set(savedStops.map(stop => stop.id))];
+}
 
 /**
- * Opens the stop selection modal for a specific direction
- * @param {('inbound'|'outbound')} type - The direction type
+ * Opens the stop modal to edit a saved stop or add a new one
+ * @param {number|null} index - Index of the saved stop, or null to add a stop
+ * @param {string} [stopId] - Stop to preselect, e.g. one picked on the map
  */
-function openStopModal(type) {
-    currentStopType = type;
+function openStopModal(index, stopId) {
+    editingStopIndex = index;
+    const stop = index === null ? { id: '', label: '' } : savedStops[index];
+    document.getElementById('stop-modal-title').textContent = index === null ? 'Add Stop' : 'Edit Stop';
     modal.style.display = 'block';
-    stopInput.value = currentStops[type];
+    stopInput.value = stop.id;
+    stopLabelInput.value = stop.label;
+    stopSearchInput.value = '';
+    renderStopResults([]);
     saveBtn.disabled = true;
     validationMsg.className = 'validation-message';
     validationMsg.textContent = '';
+
+    const selectedId = stopId || stop.id;
+    if (selectedId) {
+        stopInput.value = selectedId;
+        showStopValidation(selectedId);
+    } else {
+        showStopPreview(null);
+        showStopLineOptions(null);
+    }
+    stopSearchInput.focus();
 }
 
 function closeModal() {
     modal.style.display = 'none';
     stopInput.value = '';
-    currentStopType = null;
+    stopLabelInput.value = '';
+    stopSearchInput.value = '';
+    renderStopResults([]);
+    editingStopIndex = null;
 }
 
-// Close modal when clicking X or outside
-closeBtn.onclick = closeModal;
-window.onclick = (event) => {
-    if (event.target === modal) {
-        closeModal();
-    }
-};
-
-// Validate button click handler
-validateBtn.addEventListener('click', () => {
-    const stopId = stopInput.value.trim();
+/**
+ * Validates a stop ID, shows the result in the modal and previews the stop
+ * @param {string} stopId - The stop ID to check
+ * @returns {boolean} Whether the stop is valid
+ */
+function showStopValidation(stopId) {
     const validation = validateStop(stopId);
     
     if (validation.isValid) {
         validationMsg.className = 'validation-message success';
-        validationMsg.textContent = `Valid stop: ${validation.details.name} (${validation.details.line} Line)`;
+        const agencyName = validation.details.agency === defaultAgency ? '' : `${getAgencyInfo(validation.details.agency).name} `;
+        validationMsg.textContent = `Valid stop: ${validation.details.name} (${agencyName}${validation.details.lines.join(', ')} Line${validation.details.lines.length > 1 ? 's' : ''})`;
         saveBtn.disabled = false;
+        showStopPreview(validation.details);
+        showStopLineOptions(stopId, validation.details);
     } else {
         validationMsg.className = 'validation-message error';
         validationMsg.textContent = 'Invalid stop ID. Please enter a valid stop ID.';
         saveBtn.disabled = true;
+        showStopPreview(null);
+        showStopLineOptions(null);
     }
-});
+    return validation.isValid;
+}
 
-// Save button click handler
-saveBtn.addEventListener('click', () => {
-    const stopId = stopInput.value.trim();
-    const validation = validateStop(stopId);
-    
-    if (validation.isValid) {
-        const stopDetails = allStops.get(stopId);
-        currentStops[currentStopType] = stopId;
-        document.getElementById(`${currentStopType}-stop`).textContent = `Stop #${stopId}`;
-        document.getElementById(`${currentStopType}-location`).textContent = stopDetails.name;
-        closeModal();
-        fetchPredictions(); // Refresh predictions with new stop
+/**
+ * Shows a checkbox for each line at a stop, so a saved stop can be limited to
+ * the lines the user rides. Only shown for stops served by more than one line.
+ * @param {string|null} stopId - The stop ID, or null to hide the checkboxes
+ * @param {Object} [stop] - The stop's details from allStops
+ */
+function showStopLineOptions(stopId, stop) {
+    stopLinesOptions.innerHTML = '';
+    if (!stopId || !stop || stop.lines.length < 2) {
+        stopLinesField.hidden = true;
+        return;
     }
-});
 
-// Object to store the selected state of each train line
-let selectedTrainLines = {};
+    // Keep the lines already chosen when editing the same stop
+    const editing = editingStopIndex === null ? null : savedStops[editingStopIndex];
+    const selected = editing?.id === stopId && editing.lines ? editing.lines : stop.lines;
+    stop.lines.forEach(line => {
+        const option = document.createElement('label');
+        option.className = 'stop-line-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = line;
+        checkbox.checked = selected.includes(line);
+        option.append(checkbox, createLineBadge(line, stop.agency));
+        stopLinesOptions.appendChild(option);
+    });
+    stopLinesField.hidden = false;
+}
 
 /**
- * Gets the color for a train line from CSS variables
- * @param {string} line - The train line identifier (J, K, L, M, N, T)
- * @returns {string} The CSS color value for the line
+ * Reads the lines checked in the stop modal
+ * @returns {Array<string>|undefined} Checked lines, or undefined if all or none are
+ *   checked, which both mean every line
  */
-function getRouteColor(line) {
-    return getComputedStyle(document.documentElement).getPropertyValue(`--route-${line.toLowerCase()}`).trim();
+function getCheckedStopLines() {
+    const checkboxes = [...stopLinesOptions.querySelectorAll('input[type="checkbox"]')];
+    const checked = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+    return checked.length && checked.length < checkboxes.length ? checked : undefined;
 }
 
 /**
- * Formats minutes into a human-readable string
- * @param {number} minutes - Number of minutes
- * @returns {string} Formatted string (e.g., "5 mins" or "Arriving")
+ * Creates a colored badge for a train line
+ * @param {string} line - The train line identifier
+ * @param {string} [agency=defaultAgency] - Agency the line belongs to
+ * @returns {HTMLElement} The badge element
  */
-function formatMinutes(minutes) {
-    if (minutes === 0) return 'Arriving';
-    return `${minutes} min${minutes === 1 ? '' : 's'}`;
+function createLineBadge(line, agency = defaultAgency) {
+    const badge = document.createElement('span');
+    badge.className = 'line-badge';
+    badge.textContent = line;
+    badge.style.backgroundColor = getRouteColor(line, agency);
+    return badge;
 }
 
 /**
- * Generates and adds train line toggle buttons to the UI
- * Initializes selectedTrainLines state
+ * Fills the stop modal's agency filter, shown only when more than one agency is enabled,
+ * and the line filter with the lines of the chosen agency
  */
-function generateTrainLineButtons() {
-    const container = document.getElementById('train-line-buttons');
-    trainLines.forEach(line => {
-        const button = document.createElement('button');
-        button.className = 'train-line-button selected ' + line.toLowerCase();
-        button.textContent = line;
-        button.addEventListener('click', () => toggleTrainLine(line));
-        container.appendChild(button);
-        selectedTrainLines[line] = true;
+function updateStopFilters() {
+    if (!stopAgencyFilter.options.length) {
+        stopAgencyFilter.add(new Option('All agencies', ''));
+        agencies.forEach(agency => stopAgencyFilter.add(new Option(agency.name, agency.id)));
+        stopAgencyFilter.hidden = agencies.length < 2;
+    }
+
+    const lines = new Set();
+    allStops.forEach(stop => {
+        if (!stopAgencyFilter.value || stop.agency === stopAgencyFilter.value) {
+            stop.lines.forEach(line => lines.add(line));
+        }
     });
+    const selectedLine = stopLineFilter.value;
+    stopLineFilter.innerHTML = '';
+    stopLineFilter.add(new Option('All lines', ''));
+    [...lines].sort().forEach(line => stopLineFilter.add(new Option(line, line)));
+    stopLineFilter.value = lines.has(selectedLine) ? selectedLine : '';
 }
 
 /**
- * Toggles visibility of a train line on the map
- * Updates UI and refreshes map markers
- * @param {string} line - The train line to toggle
+ * Runs the stop search with the current query and filters
  */
-function toggleTrainLine(line) {
-    selectedTrainLines[line] = !selectedTrainLines[line];
-    const button = document.querySelector(`.train-line-button.${line.toLowerCase()}`);
-    if (selectedTrainLines[line]) {
-        button.classList.add('selected');
-        button.classList.remove('deselected');
-    } else {
-        button.classList.add('deselected');
-        button.classList.remove('selected');
+function updateStopSearch() {
+    const results = searchStops(stopSearchInput.value, {
+        agency: stopAgencyFilter.value,
+        line: stopLineFilter.value,
+        direction: stopDirectionFilter.value
+    });
+    renderStopResults(results);
+    if (stopSearchInput.value.trim() && !results.length) {
+        const empty = document.createElement('li');
+        empty.className = 'stop-result-empty';
+        empty.textContent = 'No matching stops';
+        stopResults.appendChild(empty);
     }
-    fetchVehiclePositions();
-    fetchAndPlotStops();
 }
 
 /**
- * Updates the last updated time display
+ * Renders the stop search results list
+ * @param {Array<Object>} results - Stops returned by searchStops
  */
-function updateTimeDisplay() {
-    const now = new Date();
-    const timeString = now.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit'
+function renderStopResults(results) {
+    stopSearchResults = results;
+    highlightedResult = results.length ? 0 : -1;
+    stopResults.innerHTML = '';
+
+    results.forEach((stop, index) => {
+        const item = document.createElement('li');
+        item.className = 'stop-result';
+        item.id = `stop-result-${index}`;
+        item.setAttribute('role', 'option');
+
+        const name = document.createElement('span');
+        name.className = 'stop-result-name';
+        name.textContent = stop.name;
+        const meta = document.createElement('span');
+        meta.className = 'stop-result-meta';
+        const agencyName = stop.agency === defaultAgency ? '' : `${getAgencyInfo(stop.agency).name} · `;
+        meta.textContent = `${agencyName}#${stop.id}${stop.direction ? ` · ${stop.direction}` : ''}`;
+        const badges = document.createElement('span');
+        badges.className = 'stop-result-lines';
+        stop.lines.forEach(line => badges.appendChild(createLineBadge(line, stop.agency)));
+
+        item.append(name, badges, meta);
+        // mousedown keeps focus in the search box
+        item.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+            selectStopResult(index);
+        });
+        item.addEventListener('mousemove', () => highlightStopResult(index));
+        stopResults.appendChild(item);
     });
-    document.getElementById('update-time').textContent = timeString;
+
+    stopResults.hidden = !results.length && !stopSearchInput.value.trim();
+    highlightStopResult(highlightedResult);
 }
 
 /**
- * Creates a DOM element for a prediction
- * @param {Object} prediction - The prediction data
- * @param {number} prediction.minutes - Minutes until arrival
- * @param {string} prediction.destination - Destination name
- * @param {boolean} prediction.atStop - Whether train is at stop
- * @returns {HTMLElement} The prediction element
+ * Highlights a search result for keyboard selection
+ * @param {number} index - Index of the result, or -1 for none
  */
-function createPredictionElement(prediction) {
-    const predictionItem = document.createElement('div');
-    predictionItem.className = 'prediction-item';
-    
-    const status = prediction.atStop ? 'At Stop' : formatMinutes(prediction.minutes);
-    const destination = prediction.destination.replace(' Station', '').replace('Metro ', '');
-    
-    predictionItem.innerHTML = `
-        <div class="prediction-info">
-            <div class="destination">${destination}</div>
-            <div class="time">
-                <span class="minutes ${prediction.atStop ? 'at-stop' : ''}">${status}</span>
-            </div>
-        </div>
-    `;
-    return predictionItem;
+function highlightStopResult(index) {
+    highlightedResult = index;
+    stopResults.querySelectorAll('.stop-result').forEach((item, i) => {
+        item.classList.toggle('highlighted', i === index);
+        item.setAttribute('aria-selected', i === index);
+    });
+    if (index >= 0) {
+        stopSearchInput.setAttribute('aria-activedescendant', `stop-result-${index}`);
+        stopResults.children[index].scrollIntoView({ block: 'nearest' });
+    } else {
+        stopSearchInput.removeAttribute('aria-activedescendant');
+    }
 }
 
 /**
- * Extracts and processes arrival predictions from 511.org stop monitoring data
- * @param {Object} stopData - Raw stop monitoring data from 511.org API
- * @returns {Array<Object>} Array of processed predictions, sorted by arrival time
- * @property {number} minutes - Minutes until arrival
- * @property {string} destination - Destination display name
- * @property {boolean} atStop - Whether vehicle is currently at the stop
+ * Picks a search result as the stop for the modal
+ * @param {number} index - Index of the result
  */
-function extractPredictions(stopData) {
-    try {
-        if (!stopData?.ServiceDelivery?.StopMonitoringDelivery?.MonitoredStopVisit) {
-            return [];
-        }
-
-        const visits = stopData.ServiceDelivery.StopMonitoringDelivery.MonitoredStopVisit;
-        
-        return visits
-            .map(visit => {
-                try {
-                    const journey = visit.MonitoredVehicleJourney;
-                    if (!journey?.MonitoredCall?.ExpectedArrivalTime) {
-                        return null;
-                    }
-
-                    const arrivalTime = new Date(journey.MonitoredCall.ExpectedArrivalTime);
-                    const now = new Date();
-                    const minutesAway = Math.round((arrivalTime - now) / 60000);
-
-                    if (minutesAway < 0) return null;
-
-                    return {
-                        minutes: minutesAway,
-                        destination: journey.MonitoredCall.DestinationDisplay || journey.DestinationName,
-                        atStop: journey.MonitoredCall.VehicleAtStop === 'true'
-                    };
-                } catch (error) {
-                    console.error('Error processing visit:', error);
-                    return null;
-                }
-            })
-            .filter(prediction => prediction !== null)
-            .sort((a, b) => a.minutes - b.minutes);
-    } catch (error) {
-        console.error('Error processing predictions:', error);
-        return [];
-    }
+function selectStopResult(index) {
+    const stop = stopSearchResults[index];
+    if (!stop) return;
+    stopInput.value = stop.id;
+    stopSearchInput.value = stop.name;
+    renderStopResults([]);
+    showStopValidation(stop.id);
 }
 
 /**
- * Updates the predictions display for a specific stop
- * @param {Object} data - Stop data including predictions
- * @param {string} elementId - ID of the container element
+ * Shows a stop on the modal's preview map, creating the map on first use
+ * @param {Object|null} stop - Stop details with lat/long, or null to hide the preview
  */
-function updatePredictionsDisplay(data, elementId) {
-    const container = document.getElementById(elementId);
-    container.innerHTML = '';
-
-    const stopNameHeader = document.createElement('h2');
-    stopNameHeader.className = 'stop-name';
-    stopNameHeader.textContent = data.stopName;
-    container.appendChild(stopNameHeader);
-
-    const predictions = extractPredictions(data);
-    if (!predictions || !predictions.length) {
-        container.appendChild(document.createElement('div')).className = 'loading';
-        container.lastChild.textContent = 'No predictions available';
+function showStopPreview(stop) {
+    const container = document.getElementById('stop-preview-map');
+    if (!stop || !stop.lat || !stop.long || !mapboxgl.accessToken) {
+        container.hidden = true;
         return;
     }
+    container.hidden = false;
 
-    predictions.forEach(prediction => {
-        container.appendChild(createPredictionElement(prediction));
-    });
+    const lngLat = [parseFloat(stop.long), parseFloat(stop.lat)];
+    if (!previewMap) {
+        previewMap = new mapboxgl.Map({
+            container: 'stop-preview-map',
+            style: 'mapbox://styles/mapbox/dark-v10',
+            center: lngLat,
+            zoom: 15,
+            interactive: false
+        });
+        previewMarker = new mapboxgl.Marker({ color: getRouteColor(stop.lines[0]) })
+            .setLngLat(lngLat)
+            .addTo(previewMap);
+    } else {
+        previewMap.resize();
+        previewMap.jumpTo({ center: lngLat, zoom: 15 });
+        previewMarker.setLngLat(lngLat);
+    }
 }
 
-/**
- * Processes API response data and updates the UI
- * @param {Object} data - Response data containing inbound and outbound predictions
- */
-function processApiResponse(data) {
-    if (data.inbound) {
-        updatePredictionsDisplay(data.inbound, 'inbound-predictions');
-    }
-    if (data.outbound) {
-        updatePredictionsDisplay(data.outbound, 'outbound-predictions');
+stopSearchInput.addEventListener('input', updateStopSearch);
+stopAgencyFilter.addEventListener('change', () => {
+    updateStopFilters();
+    updateStopSearch();
+});
+stopLineFilter.addEventListener('change', updateStopSearch);
+stopDirectionFilter.addEventListener('change', updateStopSearch);
+
+// Arrow keys move through results, Enter picks one, Escape closes the modal
+stopSearchInput.addEventListener('keydown', (event) => {
+    const count = stopSearchResults.length;
+    if (event.key === 'ArrowDown' && count) {
+        event.preventDefault();
+        highlightStopResult((highlightedResult + 1) % count);
+    } else if (event.key === 'ArrowUp' && count) {
+        event.preventDefault();
+        highlightStopResult((highlightedResult - 1 + count) % count);
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (highlightedResult >= 0) {
+            selectStopResult(highlightedResult);
+        } else if (!saveBtn.disabled) {
+            saveBtn.click();
+        }
     }
-    updateTimeDisplay();
-}
+});
 
-/**
+modal.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+        closeModal();
+    }
+});
+
+// Close modal when clicking X or outside
+closeBtn.onclick = closeModal;
+window.onclick = (event) => {
+    if (event.target === modal) {
+        closeModal();
+    }
+};
+
+// Validate button click handler
+validateBtn.addEventListener('click', () => {
+    showStopValidation(stopInput.value.trim());
+});
+
+// Changing the stop ID requires validating it again
+stopInput.addEventListener('input', () => {
+    saveBtn.disabled = true;
+});
+
+// Save button click handler
+saveBtn.addEventListener('click', () => {
+    const stopId = stopInput.value.trim();
+    const validation = validateStop(stopId);
+    
+    if (validation.isValid) {
+        const stop = {
+            id: stopId,
+            label: stopLabelInput.value.trim() || validation.details.name
+        };
+        const lines = getCheckedStopLines();
+        if (lines) {
+            stop.lines = lines;
+        }
+        if (editingStopIndex === null) {
+            savedStops.push(stop);
+        } else {
+            savedStops[editingStopIndex] = stop;
+        }
+        persistSavedStops();
+        closeModal();
+        renderSavedStops();
+        resubscribe(); // Refresh predictions with new stop
+        updateAlertBanner();
+        fetchWeather();
+    }
+});
+
+/**
+ * Moves a saved stop up or down the list
+ * @param {number} index - Index of the saved stop
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveSavedStop(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= savedStops.length) return;
+    [savedStops[index], savedStops[target]] = [savedStops[target], savedStops[index]];
+    persistSavedStops();
+    renderSavedStops();
+}
+
+/**
+ * Removes a saved stop
+ * @param {number} index - Index of the saved stop
+ */
+function removeSavedStop(index) {
+    savedStops.splice(index, 1);
+    persistSavedStops();
+    renderSavedStops();
+    resubscribe();
+    updateAlertBanner();
+    fetchWeather();
+}
+
+/**
+ * Creates a small icon button for a saved stop card
+ * @param {string} text - Button text
+ * @param {string} label - Accessible label
+ * @param {Function} onClick - Click handler
+ * @param {boolean} [disabled=false] - Whether the button is disabled
+ * @returns {HTMLButtonElement} The button
+ */
+function createStopActionButton(text, label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.className = 'saved-stop-action';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Renders a prediction card for each saved stop
+ */
+function renderSavedStops() {
+    const container = document.getElementById('arrivals-container');
+    container.innerHTML = '';
+
+    if (!savedStops.length) {
+        const empty = document.createElement('div');
+        empty.className = 'loading';
+        empty.textContent = 'No saved stops. Add a stop to see predictions.';
+        container.appendChild(empty);
+    }
+
+    savedStops.forEach((stop, index) => {
+        const card = document.createElement('div');
+        card.className = 'direction-box saved-stop';
+        card.dataset.stopId = stop.id;
+        card.dataset.lines = (stop.lines || []).join(',');
+
+        const header = document.createElement('div');
+        header.className = 'saved-stop-header';
+        const title = document.createElement('h2');
+        title.textContent = stop.label;
+        const actions = document.createElement('div');
+        actions.className = 'saved-stop-actions';
+        actions.append(
+            createStopActionButton('↑', `Move ${stop.label} up`, () => moveSavedStop(index, -1), index === 0),
+            createStopActionButton('↓', `Move ${stop.label} down`, () => moveSavedStop(index, 1), index === savedStops.length - 1),
+            createStopActionButton('✕', `Remove ${stop.label}`, () => removeSavedStop(index))
+        );
+        header.append(title, actions);
+
+        const details = document.createElement('div');
+        details.className = 'stop-details';
+        const info = document.createElement('div');
+        info.className = 'stop-info clickable';
+        info.textContent = `Stop #${stop.id}`;
+        info.addEventListener('click', () => openStopModal(index));
+        const location = document.createElement('div');
+        location.className = 'stop-location';
+        location.textContent = allStops.get(stop.id)?.name || 'Click to choose stop';
+        if (stop.lines) {
+            location.textContent += ` · ${stop.lines.join(', ')} only`;
+        }
+        details.append(info, location);
+
+        const predictions = document.createElement('div');
+        predictions.className = 'predictions';
+        if (latestPredictions.has(stop.id)) {
+            updatePredictionsDisplay(latestPredictions.get(stop.id), predictions, stop.lines);
+        } else {
+            predictions.innerHTML = '<div class="loading">Loading predictions…</div>';
+        }
+
+        card.append(header, details, predictions);
+        container.appendChild(card);
+    });
+
+    // Forget predictions for stops that are no longer saved
+    const stopIds = getSavedStopIds();
+    [...latestPredictions.keys()]
+        .filter(stopId => !stopIds.includes(stopId))
+        .forEach(stopId => latestPredictions.delete(stopId));
+
+    document.getElementById('add-stop').disabled = savedStops.length >= MAX_SAVED_STOPS;
+}
+
+// Nearby stops from the browser's location or a point clicked on the map
+const NEARBY_RADIUS_M = 800;
+// Stops in the nearby list that get live predictions
+const NEARBY_PREDICTION_STOPS = 3;
+let nearbyActive = false;
+let nearbyStops = [];
+let nearbyRefreshTimer = null;
+let nearbyMarker = null;
+
+document.getElementById('near-me').addEventListener('click', openNearby);
+document.getElementById('nearby-close').addEventListener('click', closeNearby);
+
+/**
+ * Formats a distance in meters for display
+ * @param {number} meters - Distance in meters
+ * @returns {string} Formatted distance (e.g., "350 m" or "1.2 km")
+ */
+function formatDistance(meters) {
+    return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Shows a status message in the nearby stops panel
+ * @param {string} message - Message text (empty to clear)
+ */
+function setNearbyStatus(message) {
+    document.getElementById('nearby-status').textContent = message;
+}
+
+/**
+ * Opens the nearby stops panel and looks up the browser's location
+ */
+function openNearby() {
+    nearbyActive = true;
+    document.getElementById('nearby-panel').hidden = false;
+
+    if (!navigator.geolocation) {
+        setNearbyStatus('Location is not available in this browser. Click the map to pick a point.');
+        return;
+    }
+    setNearbyStatus('Finding your location…');
+    navigator.geolocation.getCurrentPosition(
+        position => loadNearbyStops(position.coords.latitude, position.coords.longitude),
+        error => {
+            console.error('Error getting location:', error);
+            setNearbyStatus('Could not get your location. Click the map to pick a point.');
+        },
+        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+}
+
+/**
+ * Closes the nearby stops panel and stops refreshing its predictions
+ */
+function closeNearby() {
+    nearbyActive = false;
+    nearbyStops = [];
+    clearInterval(nearbyRefreshTimer);
+    nearbyRefreshTimer = null;
+    document.getElementById('nearby-panel').hidden = true;
+    document.getElementById('nearby-lines').innerHTML = '';
+    document.getElementById('nearby-list').innerHTML = '';
+    if (nearbyMarker) {
+        nearbyMarker.remove();
+        nearbyMarker = null;
+    }
+}
+
+/**
+ * Fetches the stops near a point and shows them with live predictions
+ * @async
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @throws {Error} If the API request fails
+ */
+async function loadNearbyStops(lat, lon) {
+    if (!nearbyActive) return;
+    try {
+        setNearbyStatus('Finding nearby stops…');
+        const params = new URLSearchParams({ lat, lon, radius: NEARBY_RADIUS_M });
+        const response = await fetch(`/api/stops/nearby?${params}`);
+        if (!response.ok) throw new Error('Network response was not ok');
+        const data = await response.json();
+
+        nearbyStops = data.stops;
+        if (mapLoaded) {
+            if (!nearbyMarker) {
+                nearbyMarker = new mapboxgl.Marker({ color: '#ffffff' });
+            }
+            nearbyMarker.setLngLat([lon, lat]).addTo(map);
+            map.flyTo({ center: [lon, lat], zoom: 15 });
+        }
+
+        setNearbyStatus(nearbyStops.length
+            ? `Stops within ${formatDistance(NEARBY_RADIUS_M)}. Click the map to search somewhere else.`
+            : `No stops within ${formatDistance(NEARBY_RADIUS_M)}. Click the map to search somewhere else.`);
+        renderNearbyStops(data.byLine);
+
+        clearInterval(nearbyRefreshTimer);
+        refreshNearbyPredictions();
+        nearbyRefreshTimer = setInterval(refreshNearbyPredictions, 60000);
+    } catch (error) {
+        console.error('Error fetching nearby stops:', error);
+        setNearbyStatus('Error finding nearby stops');
+    }
+}
+
+/**
+ * Renders the nearest stop per line and direction, and the nearby stop list
+ * @param {Array<Object>} byLine - Nearest stop per line and direction from the API
+ */
+function renderNearbyStops(byLine) {
+    const lines = document.getElementById('nearby-lines');
+    lines.innerHTML = '';
+    byLine.forEach(entry => {
+        const stop = nearbyStops.find(s => s.id === entry.stopId) || allStops.get(entry.stopId);
+        const item = document.createElement('div');
+        item.className = 'nearby-line';
+        item.appendChild(createLineBadge(entry.line));
+        item.appendChild(document.createTextNode(
+            ` ${entry.direction ? `${entry.direction} · ` : ''}${stop ? stop.name : `Stop #${entry.stopId}`} (${formatDistance(entry.distance)})`
+        ));
+        lines.appendChild(item);
+    });
+
+    const list = document.getElementById('nearby-list');
+    list.innerHTML = '';
+    nearbyStops.forEach((stop, index) => {
+        const item = document.createElement('li');
+        item.className = 'nearby-stop';
+        item.dataset.stopId = stop.id;
+
+        const header = document.createElement('div');
+        header.className = 'nearby-stop-header';
+        const name = document.createElement('span');
+        name.className = 'nearby-stop-name';
+        name.textContent = stop.name;
+        const badges = document.createElement('span');
+        badges.className = 'stop-result-lines';
+        stop.lines.forEach(line => badges.appendChild(createLineBadge(line)));
+        const save = createStopActionButton('+', `Save ${stop.name}`, () => openStopModal(null, stop.id));
+        header.append(name, badges, save);
+
+        const meta = document.createElement('div');
+        meta.className = 'stop-result-meta';
+        meta.textContent = `#${stop.id}${stop.direction ? ` · ${stop.direction}` : ''} · ` +
+            `${formatDistance(stop.distance)} away, about ${stop.walkingMinutes} min walk (${formatDistance(stop.walkingDistance)})`;
+
+        item.append(header, meta);
+        if (index < NEARBY_PREDICTION_STOPS) {
+            const predictions = document.createElement('div');
+            predictions.className = 'nearby-predictions';
+            predictions.innerHTML = '<div class="loading">Loading predictions…</div>';
+            item.appendChild(predictions);
+        }
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Fetches live predictions for the closest nearby stops
+ * @async
+ * @throws {Error} If the API request fails
+ */
+async function refreshNearbyPredictions() {
+    const stopIds = nearbyStops.slice(0, NEARBY_PREDICTION_STOPS).map(stop => stop.id);
+    if (!stopIds.length) return;
+    try {
+        const response = await fetch(`/api/predictions?stops=${encodeURIComponent(stopIds.join(','))}`);
+        if (!response.ok) throw new Error('Network response was not ok');
+        const data = await response.json();
+
+        document.querySelectorAll('.nearby-stop').forEach(item => {
+            const container = item.querySelector('.nearby-predictions');
+            const stopData = data.stops[item.dataset.stopId];
+            if (!container || !stopData) return;
+
+            container.innerHTML = '';
+            const predictions = stopData.error ? [] : extractPredictions(stopData).slice(0, 3);
+            if (!predictions.length) {
+                container.innerHTML = `<div class="loading">${stopData.error ? 'Error loading predictions' : 'No predictions available'}</div>`;
+                return;
+            }
+            predictions.forEach(prediction => {
+                const element = createPredictionElement(prediction);
+                element.querySelector('.destination').prepend(createLineBadge(prediction.line, stopData.agency), ' ');
+                container.appendChild(element);
+            });
+        });
+    } catch (error) {
+        console.error('Error fetching nearby predictions:', error);
+    }
+}
+
+// Trip planner
+const PLAN_LEG_WIDTH = 6;
+// Itineraries from the last plan, drawn on the map when selected
+let plannedItineraries = [];
+
+document.getElementById('plan-trip').addEventListener('click', () => openPlanner());
+document.getElementById('planner-close').addEventListener('click', closePlanner);
+document.getElementById('planner-swap').addEventListener('click', () => {
+    const from = document.getElementById('planner-from');
+    const to = document.getElementById('planner-to');
+    [from.value, to.value] = [to.value, from.value];
+});
+document.getElementById('planner-form').addEventListener('submit', event => {
+    event.preventDefault();
+    planTrip();
+});
+
+/**
+ * Describes a stop for the planner inputs, e.g. "Metro Church Station/Outbound (#16998)"
+ * @param {string} stopId - The stop ID
+ * @returns {string} Input text
+ */
+function formatPlannerStop(stopId) {
+    const stop = allStops.get(stopId);
+    return stop ? `${stop.name} (#${stopId})` : stopId;
+}
+
+/**
+ * Reads a stop ID from a planner input: the "(#id)" suffix, a bare ID, or the best search match
+ * @param {string} text - Input text
+ * @returns {string|null} Stop ID, or null if nothing matches
+ */
+function parsePlannerStop(text) {
+    const value = text.trim();
+    const match = /\(#(\w+)\)$/.exec(value) || /^(\d+)$/.exec(value);
+    if (match) return match[1];
+    return searchStops(value, { agency: defaultAgency }, 1)[0]?.id || null;
+}
+
+/**
+ * Opens the trip planner, optionally filling in one end of the trip
+ * @param {Object} [stops]
+ * @param {string} [stops.from] - Origin stop ID
+ * @param {string} [stops.to] - Destination stop ID
+ */
+function openPlanner({ from, to } = {}) {
+    const list = document.getElementById('planner-stops');
+    if (!list.children.length) {
+        // The planner only knows the Muni schedule
+        allStops.forEach((stop, stopId) => {
+            if (stop.agency !== defaultAgency) return;
+            const option = document.createElement('option');
+            option.value = formatPlannerStop(stopId);
+            list.appendChild(option);
+        });
+    }
+
+    if (from) document.getElementById('planner-from').value = formatPlannerStop(from);
+    if (to) document.getElementById('planner-to').value = formatPlannerStop(to);
+    document.getElementById('planner-panel').hidden = false;
+
+    if (document.getElementById('planner-from').value && document.getElementById('planner-to').value) {
+        planTrip();
+    } else {
+        document.getElementById(from ? 'planner-to' : 'planner-from').focus();
+    }
+}
+
+/**
+ * Closes the trip planner and clears the planned route from the map
+ */
+function closePlanner() {
+    plannedItineraries = [];
+    document.getElementById('planner-panel').hidden = true;
+    document.getElementById('planner-results').innerHTML = '';
+    document.getElementById('planner-status').textContent = '';
+    drawItinerary(null);
+}
+
+/**
+ * Formats a time of day for the planner
+ * @param {string} time - ISO 8601 time
+ * @returns {string} e.g. "5:42 PM"
+ */
+function formatPlannerTime(time) {
+    return new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Fetches itineraries between the planner's stops and lists them
+ * @async
+ * @throws {Error} If the API request fails
+ */
+async function planTrip() {
+    const status = document.getElementById('planner-status');
+    const from = parsePlannerStop(document.getElementById('planner-from').value);
+    const to = parsePlannerStop(document.getElementById('planner-to').value);
+    if (!from || !to) {
+        status.textContent = 'Pick a Muni stop for both ends of the trip';
+        return;
+    }
+
+    status.textContent = 'Planning…';
+    try {
+        const response = await fetch(`/api/plan?${new URLSearchParams({ from, to })}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+
+        plannedItineraries = data.itineraries;
+        status.textContent = plannedItineraries.length
+            ? `${data.origin.name} to ${data.destination.name}`
+            : 'No trip with at most one transfer between these stops';
+        renderItineraries();
+        drawItinerary(plannedItineraries[0] || null);
+    } catch (error) {
+        console.error('Error planning trip:', error);
+        status.textContent = error.message;
+    }
+}
+
+/**
+ * Describes one leg of an itinerary, e.g. "K inbound · Ocean Ave & Aptos Ave → Van Ness (6 stops)"
+ * @param {Object} leg - Leg from the API
+ * @returns {HTMLElement} Leg element
+ */
+function createLegElement(leg) {
+    const item = document.createElement('div');
+    item.className = 'planner-leg';
+    item.appendChild(createLineBadge(leg.line));
+
+    const text = document.createElement('div');
+    const route = document.createElement('div');
+    route.textContent = `${leg.direction} · ${leg.from.name} → ${leg.to.name} (${leg.stops} stop${leg.stops === 1 ? '' : 's'}, ${leg.rideMinutes} min)`;
+    text.appendChild(route);
+
+    const times = document.createElement('div');
+    times.className = 'stop-result-meta';
+    if (leg.departureTime) {
+        const others = leg.nextDepartures.slice(1).map(formatPlannerTime);
+        times.textContent = `Departs ${formatPlannerTime(leg.departureTime)} ` +
+            `${leg.source === 'live' ? '(live)' : '(scheduled)'}` +
+            `${others.length ? `, then ${others.join(', ')}` : ''}`;
+    } else {
+        times.textContent = 'No departure found';
+    }
+    text.appendChild(times);
+
+    item.appendChild(text);
+    return item;
+}
+
+/**
+ * Lists the planned itineraries; clicking one draws it on the map
+ */
+function renderItineraries() {
+    const list = document.getElementById('planner-results');
+    list.innerHTML = '';
+
+    plannedItineraries.forEach((itinerary, index) => {
+        const item = document.createElement('li');
+        item.className = 'planner-itinerary';
+        item.classList.toggle('selected', index === 0);
+        item.tabIndex = 0;
+
+        const summary = document.createElement('div');
+        summary.className = 'planner-summary';
+        const transfers = itinerary.transfers ? '1 transfer' : 'Direct';
+        summary.textContent = itinerary.arrivalTime
+            ? `Arrive ${formatPlannerTime(itinerary.arrivalTime)} · ${itinerary.durationMinutes} min · ${transfers}`
+            : `${transfers} · about ${itinerary.scheduledMinutes} min on board`;
+        item.appendChild(summary);
+
+        if (itinerary.walkToStartMinutes) {
+            const walk = document.createElement('div');
+            walk.className = 'stop-result-meta';
+            walk.textContent = `Walk ${itinerary.walkToStartMinutes} min to ${itinerary.legs[0].from.name}`;
+            item.appendChild(walk);
+        }
+        itinerary.legs.forEach((leg, legIndex) => {
+            if (legIndex === 1 && itinerary.transfer) {
+                const transfer = document.createElement('div');
+                transfer.className = 'planner-transfer';
+                const { walkMinutes, waitMinutes } = itinerary.transfer;
+                transfer.textContent = `Change at ${itinerary.transfer.to.name}` +
+                    `${walkMinutes ? ` · ${walkMinutes} min walk` : ''}` +
+                    `${waitMinutes !== null ? ` · ${waitMinutes} min wait` : ''}`;
+                item.appendChild(transfer);
+            }
+            item.appendChild(createLegElement(leg));
+        });
+
+        const select = () => {
+            list.querySelectorAll('.planner-itinerary').forEach(other => other.classList.toggle('selected', other === item));
+            drawItinerary(itinerary);
+        };
+        item.addEventListener('click', select);
+        item.addEventListener('keydown', event => {
+            if (event.key === 'Enter') select();
+        });
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Draws an itinerary's legs and its boarding, transfer and alighting stops on
+ * the map and zooms to it
+ * @param {Object|null} itinerary - Itinerary from the API, or null to clear
+ */
+function drawItinerary(itinerary) {
+    if (!mapLoaded) return;
+
+    const features = [];
+    (itinerary ? itinerary.legs : []).forEach(leg => {
+        if (leg.coordinates.length > 1) {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: leg.coordinates },
+                properties: { kind: 'leg', color: getRouteColor(leg.line) }
+            });
+        }
+        [leg.from, leg.to].forEach(stop => {
+            if (stop.lat === null || stop.lon === null) return;
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [stop.lon, stop.lat] },
+                properties: { kind: 'stop', name: stop.name }
+            });
+        });
+    });
+    const data = { type: 'FeatureCollection', features };
+
+    if (map.getSource('trip-plan')) {
+        map.getSource('trip-plan').setData(data);
+    } else {
+        map.addSource('trip-plan', { type: 'geojson', data });
+        map.addLayer({
+            id: 'trip-plan-legs',
+            type: 'line',
+            source: 'trip-plan',
+            filter: ['==', ['get', 'kind'], 'leg'],
+            layout: { 'line-join': 'round', 'line-cap': 'round' },
+            paint: {
+                'line-color': ['get', 'color'],
+                'line-width': PLAN_LEG_WIDTH,
+                'line-opacity': 0.9
+            }
+        });
+        map.addLayer({
+            id: 'trip-plan-stops',
+            type: 'circle',
+            source: 'trip-plan',
+            filter: ['==', ['get', 'kind'], 'stop'],
+            paint: {
+                'circle-radius': 7,
+                'circle-color': '#ffffff',
+                'circle-stroke-width': 3,
+                'circle-stroke-color': '#000000'
+            }
+        });
+    }
+
+    const coordinates = features.flatMap(feature => feature.geometry.type === 'Point'
+        ? [feature.geometry.coordinates]
+        : feature.geometry.coordinates);
+    if (coordinates.length) {
+        const bounds = coordinates.reduce((box, coordinate) => box.extend(coordinate),
+            new mapboxgl.LngLatBounds(coordinates[0], coordinates[0]));
+        map.fitBounds(bounds, { padding: 60, maxZoom: 15 });
+    }
+}
+
+// Arrival alerts
+const NOTIFICATION_TOAST_MS = 10000;
+const ALERT_DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Identifies this browser's alert rules and push subscription to the server
+const notificationClientId = getNotificationClientId();
+let serviceWorkerRegistration = null;
+
+document.getElementById('arrival-alerts').addEventListener('click', openAlerts);
+document.getElementById('alerts-close').addEventListener('click', () => {
+    document.getElementById('alerts-panel').hidden = true;
+});
+document.getElementById('alerts-push').addEventListener('click', togglePushNotifications);
+document.getElementById('alerts-test').addEventListener('click', sendTestNotification);
+document.getElementById('alerts-form').addEventListener('submit', event => {
+    event.preventDefault();
+    addAlertRule();
+});
+
+/**
+ * Reads this browser's notification client ID from localStorage, creating it on first use
+ * @returns {string} Client ID
+ */
+function getNotificationClientId() {
+    let clientId = localStorage.getItem('notificationClientId');
+    if (!clientId) {
+        clientId = window.crypto?.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        localStorage.setItem('notificationClientId', clientId);
+    }
+    return clientId;
+}
+
+/**
+ * Shows a status message in the arrival alerts panel
+ * @param {string} message - Message text (empty to clear)
+ */
+function setAlertsStatus(message) {
+    document.getElementById('alerts-status').textContent = message;
+}
+
+/**
+ * Calls a notifications endpoint for this browser
+ * @async
+ * @param {string} path - Path under /api/notifications/
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.body] - JSON body; the client ID is added to it, or to the query string without one
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the server's message if the request fails
+ */
+async function notificationsRequest(path, { method = 'GET', body } = {}) {
+    const url = body ? `/api/notifications/${path}`
+        : `/api/notifications/${path}${path.includes('?') ? '&' : '?'}clientId=${encodeURIComponent(notificationClientId)}`;
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify({ clientId: notificationClientId, ...body }) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Opens the arrival alerts panel with the saved stops to choose from
+ */
+function openAlerts() {
+    const stopSelect = document.getElementById('alert-stop');
+    stopSelect.innerHTML = '';
+    // Arrival alerts are checked against Muni stops only
+    getSavedStopIds().filter(isDefaultStop).forEach(stopId => {
+        const saved = savedStops.find(stop => stop.id === stopId);
+        const option = document.createElement('option');
+        option.value = stopId;
+        option.textContent = saved.label || allStops.get(stopId)?.name || `Stop #${stopId}`;
+        stopSelect.appendChild(option);
+    });
+
+    const lineSelect = document.getElementById('alert-line');
+    if (!lineSelect.options.length) {
+        trainLines.forEach(line => lineSelect.add(new Option(line, line)));
+    }
+
+    const days = document.getElementById('alert-days');
+    if (!days.querySelector('input')) {
+        ALERT_DAY_LABELS.forEach((label, day) => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = day;
+            checkbox.checked = day >= 1 && day <= 5;
+            option.append(checkbox, label);
+            days.appendChild(option);
+        });
+    }
+
+    document.getElementById('alerts-panel').hidden = false;
+    setAlertsStatus(getSavedStopIds().length ? '' : 'Save a stop first to set an alert for it');
+    loadAlertRules();
+    updatePushButton();
+}
+
+/**
+ * Fetches and lists this browser's alert rules
+ * @async
+ */
+async function loadAlertRules() {
+    try {
+        const { rules } = await notificationsRequest('rules');
+        renderAlertRules(rules);
+    } catch (error) {
+        console.error('Error loading alert rules:', error);
+        setAlertsStatus(error.message);
+    }
+}
+
+/**
+ * Lists alert rules with a delete button for each
+ * @param {Array<Object>} rules - Rules from the API
+ */
+function renderAlertRules(rules) {
+    const list = document.getElementById('alerts-rules');
+    list.innerHTML = '';
+    if (!rules.length) {
+        list.innerHTML = '<li class="nearby-status">No alerts yet</li>';
+        return;
+    }
+
+    rules.forEach(rule => {
+        const item = document.createElement('li');
+        item.className = 'nearby-stop nearby-stop-header';
+        const description = document.createElement('span');
+        description.className = 'nearby-stop-name';
+        description.textContent = rule.description;
+        item.append(createLineBadge(rule.line), description,
+            createStopActionButton('✕', 'Delete alert', () => deleteAlertRule(rule.id)));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Adds an alert rule from the form
+ * @async
+ */
+async function addAlertRule() {
+    const days = [...document.querySelectorAll('#alert-days input:checked')].map(input => Number(input.value));
+    try {
+        await notificationsRequest('rules', {
+            method: 'POST',
+            body: {
+                stopId: document.getElementById('alert-stop').value,
+                line: document.getElementById('alert-line').value,
+                direction: document.getElementById('alert-direction').value || null,
+                minutes: Number(document.getElementById('alert-minutes').value),
+                days,
+                start: document.getElementById('alert-start').value,
+                end: document.getElementById('alert-end').value
+            }
+        });
+        setAlertsStatus('Alert added');
+        loadAlertRules();
+    } catch (error) {
+        console.error('Error adding alert rule:', error);
+        setAlertsStatus(error.message);
+    }
+}
+
+/**
+ * Deletes an alert rule
+ * @async
+ * @param {string} ruleId - Rule ID
+ */
+async function deleteAlertRule(ruleId) {
+    try {
+        await notificationsRequest(`rules/${encodeURIComponent(ruleId)}`, { method: 'DELETE' });
+        loadAlertRules();
+    } catch (error) {
+        console.error('Error deleting alert rule:', error);
+        setAlertsStatus(error.message);
+    }
+}
+
+/**
+ * Converts a base64url VAPID key to the bytes pushManager.subscribe expects
+ * @param {string} base64 - Base64url-encoded key
+ * @returns {Uint8Array} Key bytes
+ */
+function decodeVapidKey(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), character => character.charCodeAt(0));
+}
+
+/**
+ * Gets this browser's current push subscription
+ * @async
+ * @returns {Promise<PushSubscription|null>} The subscription, or null if there is none or push is unsupported
+ */
+async function getPushSubscription() {
+    return serviceWorkerRegistration?.pushManager ? serviceWorkerRegistration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Shows whether system notifications are on in the alerts panel
+ * @async
+ */
+async function updatePushButton() {
+    const button = document.getElementById('alerts-push');
+    if (!serviceWorkerRegistration?.pushManager || !('Notification' in window)) {
+        button.hidden = true;
+        setAlertsStatus('This browser cannot receive push notifications; alerts appear on this page while it is open');
+        return;
+    }
+    button.textContent = await getPushSubscription() ? 'Turn off notifications' : 'Enable notifications';
+}
+
+/**
+ * Subscribes this browser to Web Push, or unsubscribes it if it already is
+ * @async
+ */
+async function togglePushNotifications() {
+    try {
+        const subscription = await getPushSubscription();
+        if (subscription) {
+            await subscription.unsubscribe();
+            await notificationsRequest('subscription', { method: 'DELETE' });
+            setAlertsStatus('Alerts will appear on this page while it is open');
+        } else {
+            if (await Notification.requestPermission() !== 'granted') {
+                throw new Error('Notifications are blocked for this site; alerts will appear on this page while it is open');
+            }
+            const { publicKey } = await notificationsRequest('config');
+            if (!publicKey) {
+                throw new Error('Push notifications are not available on this server');
+            }
+            const created = await serviceWorkerRegistration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: decodeVapidKey(publicKey)
+            });
+            await notificationsRequest('subscription', { method: 'PUT', body: { subscription: created.toJSON() } });
+            setAlertsStatus('Notifications are on');
+        }
+    } catch (error) {
+        console.error('Error changing push subscription:', error);
+        setAlertsStatus(error.message);
+    }
+    updatePushButton();
+}
+
+/**
+ * Asks the server to send this browser a test notification
+ * @async
+ */
+async function sendTestNotification() {
+    try {
+        const { delivery } = await notificationsRequest('test', { method: 'POST', body: {} });
+        setAlertsStatus(delivery ? `Test sent by ${delivery === 'push' ? 'push notification' : 'the live stream'}`
+            : 'Could not reach this browser; reload the page and try again');
+    } catch (error) {
+        console.error('Error sending test notification:', error);
+        setAlertsStatus(error.message);
+    }
+}
+
+/**
+ * Shows a notification that arrived over the live stream: as a system
+ * notification when the page is in the background and allowed to, and as a
+ * toast on the page otherwise
+ * @param {Object} payload - { title, body, tag }
+ */
+function showArrivalNotification(payload) {
+    if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+        const notification = new Notification(payload.title, { body: payload.body, tag: payload.tag });
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+        return;
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'notification-toast';
+    const title = document.createElement('strong');
+    title.textContent = payload.title;
+    const body = document.createElement('div');
+    body.textContent = payload.body;
+    const dismiss = document.createElement('button');
+    dismiss.className = 'alert-dismiss';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.innerHTML = '&times;';
+    dismiss.addEventListener('click', () => toast.remove());
+    toast.append(dismiss, title, body);
+    document.getElementById('notification-toasts').appendChild(toast);
+    setTimeout(() => toast.remove(), NOTIFICATION_TOAST_MS);
+}
+
+/**
+ * Sets up push notifications with the service worker, and refreshes the
+ * server's copy of an existing subscription in case it was dropped
+ * @async
+ * @param {ServiceWorkerRegistration|null} registration - Service worker registration
+ */
+async function initializeNotifications(registration) {
+    serviceWorkerRegistration = registration;
+    if (!registration) return;
+    try {
+        const subscription = await getPushSubscription();
+        if (subscription) {
+            await notificationsRequest('subscription', { method: 'PUT', body: { subscription: subscription.toJSON() } });
+        }
+    } catch (error) {
+        console.error('Error setting up notifications:', error);
+    }
+}
+
+// Object to store the selected state of each train line, persisted in localStorage
+let selectedTrainLines = {};
+
+/**
+ * Gets the color for a line: Muni lines from the line catalogue, falling back
+ * to CSS variables; other agencies' lines from their line colors, matched on
+ * the whole line or the part before a dash
+ * @param {string} line - The line identifier (e.g. K, 14 or Yellow-N)
+ * @param {string} [agency=defaultAgency] - Agency the line belongs to
+ * @returns {string} The CSS color value for the line
+ */
+function getRouteColor(line, agency = defaultAgency) {
+    if (agency !== defaultAgency) {
+        const info = getAgencyInfo(agency);
+        const colors = info?.lineColors || {};
+        return colors[line] || colors[String(line).split(/[-\s]/)[0]] || info?.color || '#888888';
+    }
+    return lineCatalogue.get(line)?.color ||
+        getComputedStyle(document.documentElement).getPropertyValue(`--route-${line.toLowerCase()}`).trim() ||
+        getAgencyInfo(defaultAgency)?.color ||
+        '#888888';
+}
+
+/**
+ * Formats minutes into a human-readable string
+ * @param {number} minutes - Number of minutes
+ * @returns {string} Formatted string (e.g., "5 mins" or "Arriving")
+ */
+function formatMinutes(minutes) {
+    if (minutes === 0) return 'Arriving';
+    return `${minutes} min${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Generates and adds line toggle buttons to the UI, grouped by mode
+ * Initializes selectedTrainLines state and the full-train filter
+ */
+function generateTrainLineButtons() {
+    generateAgencyButtons();
+    const container = document.getElementById('train-line-buttons');
+    // Stored lines the catalogue no longer has are dropped; until the user
+    // picks lines, only Metro is shown (or every line without mode info)
+    const storedLines = JSON.parse(localStorage.getItem('selectedLines') || '[]')
+        .filter(line => trainLines.includes(line));
+    const hasMetro = trainLines.some(line => lineCatalogue.get(line)?.mode === 'metro');
+    trainLines.forEach(line => {
+        selectedTrainLines[line] = storedLines.length
+            ? storedLines.includes(line)
+            : !hasMetro || lineCatalogue.get(line)?.mode === 'metro';
+    });
+
+    const groups = new Map();
+    trainLines.forEach(line => {
+        const mode = lineCatalogue.get(line)?.mode || '';
+        if (!groups.has(mode)) groups.set(mode, []);
+        groups.get(mode).push(line);
+    });
+
+    groups.forEach((lines, mode) => {
+        const group = document.createElement('div');
+        group.className = 'line-group';
+        // Headings only help once there is more than one mode to tell apart
+        if (groups.size > 1) {
+            const heading = document.createElement('h3');
+            heading.textContent = MODE_LABELS[mode] || 'Other';
+            group.appendChild(heading);
+        }
+        const buttons = document.createElement('div');
+        buttons.className = 'train-line-buttons';
+        lines.forEach(line => {
+            const button = document.createElement('button');
+            button.className = `train-line-button ${selectedTrainLines[line] ? 'selected' : 'deselected'}`;
+            button.dataset.line = line;
+            button.textContent = line;
+            button.title = lineCatalogue.get(line)?.name || line;
+            button.style.backgroundColor = getRouteColor(line);
+            button.addEventListener('click', () => toggleTrainLine(line));
+            buttons.appendChild(button);
+        });
+        group.appendChild(buttons);
+        container.appendChild(group);
+    });
+
+    const hideFull = document.getElementById('hide-full-trains');
+    hideFull.checked = hideFullTrains;
+    hideFull.addEventListener('change', () => setHideFullTrains(hideFull.checked));
+}
+
+/**
+ * Adds a toggle button per agency above the line buttons when more than one is enabled
+ */
+function generateAgencyButtons() {
+    const container = document.getElementById('agency-buttons');
+    container.hidden = agencies.length < 2;
+    agencies.forEach(agency => {
+        const button = document.createElement('button');
+        button.className = `train-line-button agency-button ${selectedAgencies.has(agency.id) ? 'selected' : 'deselected'}`;
+        button.dataset.agency = agency.id;
+        button.textContent = agency.name;
+        button.style.backgroundColor = agency.color;
+        button.addEventListener('click', () => toggleAgency(agency.id));
+        container.appendChild(button);
+    });
+}
+
+/**
+ * Shows or hides an agency's trains and alerts
+ * @param {string} agencyId - Agency code
+ */
+function toggleAgency(agencyId) {
+    if (selectedAgencies.has(agencyId)) {
+        selectedAgencies.delete(agencyId);
+    } else {
+        selectedAgencies.add(agencyId);
+    }
+    localStorage.setItem('selectedAgencies', JSON.stringify([...selectedAgencies]));
+
+    const button = document.querySelector(`.agency-button[data-agency="${agencyId}"]`);
+    button.classList.toggle('selected', selectedAgencies.has(agencyId));
+    button.classList.toggle('deselected', !selectedAgencies.has(agencyId));
+    resubscribe();
+    showSelectedAlerts();
+    if (mapLoaded && !playback.active) {
+        updateMapMarkers(getSelectedVehicles());
+    }
+}
+
+/**
+ * Toggles visibility of a train line on the map
+ * Updates UI and refreshes map markers
+ * @param {string} line - The train line to toggle
+ */
+function toggleTrainLine(line) {
+    selectedTrainLines[line] = !selectedTrainLines[line];
+    localStorage.setItem('selectedLines', JSON.stringify(trainLines.filter(trainLine => selectedTrainLines[trainLine])));
+    const button = document.querySelector(`.train-line-button[data-line="${line}"]`);
+    if (selectedTrainLines[line]) {
+        button.classList.add('selected');
+        button.classList.remove('deselected');
+    } else {
+        button.classList.add('deselected');
+        button.classList.remove('selected');
+    }
+    resubscribe();
+    fetchAndPlotStops();
+    updateAlertBanner();
+    renderHeadways();
+    if (playback.active) {
+        renderPlaybackFrame();
+    }
+}
+
+/**
+ * Updates the last updated time display
+ */
+function updateTimeDisplay() {
+    // Offline, the time of the last update stays on screen
+    if (connectionState === 'offline') return;
+    const now = new Date();
+    const timeString = now.toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    document.getElementById('update-time').textContent = timeString;
+}
+
+/**
+ * Formats schedule adherence as "on time", "4 min late" or "2 min early"
+ * @param {Object} adherence - Schedule adherence from the server
+ * @param {string} adherence.status - 'early', 'on-time' or 'late'
+ * @param {number} adherence.deviationMinutes - Minutes behind (positive) or ahead of schedule
+ * @returns {string} The adherence text
+ */
+function formatAdherence(adherence) {
+    if (adherence.status === 'on-time') return 'on time';
+    return `${Math.abs(adherence.deviationMinutes)} min ${adherence.status}`;
+}
+
+/**
+ * Creates the HTML for a schedule adherence badge
+ * @param {Object|null} adherence - Schedule adherence from the server
+ * @returns {string} Badge HTML, or an empty string without adherence
+ */
+function createAdherenceBadge(adherence) {
+    if (!adherence) return '';
+    const scheduled = new Date(adherence.scheduledTime).toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    return `<span class="adherence adherence-${adherence.status}" title="Scheduled ${scheduled}">${formatAdherence(adherence)}</span>`;
+}
+
+/**
+ * Creates a DOM element for a prediction
+ * @param {Object} prediction - The prediction data
+ * @param {number} prediction.minutes - Minutes until arrival
+ * @param {string} prediction.destination - Destination name
+ * @param {boolean} prediction.atStop - Whether train is at stop
+ * @param {Object|null} prediction.adherence - Schedule adherence from the server
+ * @returns {HTMLElement} The prediction element
+ */
+function createPredictionElement(prediction) {
+    const predictionItem = document.createElement('div');
+    predictionItem.className = 'prediction-item';
+    predictionItem.dataset.line = prediction.line;
+    
+    const status = prediction.atStop ? 'At Stop' : formatMinutes(prediction.minutes);
+    const destination = prediction.destination.replace(' Station', '').replace('Metro ', '');
+    
+    predictionItem.innerHTML = `
+        <div class="prediction-info">
+            <div class="destination">${destination}</div>
+            <div class="time">
+                <span class="minutes ${prediction.atStop ? 'at-stop' : ''}">${status}</span>
+                ${createAdherenceBadge(prediction.adherence)}
+            </div>
+        </div>
+    `;
+    return predictionItem;
+}
+
+/**
+ * Extracts and processes arrival predictions from 511.org stop monitoring data
+ * @param {Object} stopData - Raw stop monitoring data from 511.org API
+ * @returns {Array<Object>} Array of processed predictions, sorted by arrival time
+ * @property {string} line - Line (SIRI LineRef)
+ * @property {number} minutes - Minutes until arrival
+ * @property {string} destination - Destination display name
+ * @property {boolean} atStop - Whether vehicle is currently at the stop
+ * @property {Object|null} adherence - Schedule adherence, if the server matched the trip
+ */
+function extractPredictions(stopData) {
+    try {
+        if (!stopData?.ServiceDelivery?.StopMonitoringDelivery?.MonitoredStopVisit) {
+            return [];
+        }
+
+        const visits = stopData.ServiceDelivery.StopMonitoringDelivery.MonitoredStopVisit;
+        
+        return visits
+            .map(visit => {
+                try {
+                    const journey = visit.MonitoredVehicleJourney;
+                    if (!journey?.MonitoredCall?.ExpectedArrivalTime) {
+                        return null;
+                    }
+
+                    const arrivalTime = new Date(journey.MonitoredCall.ExpectedArrivalTime);
+                    const now = new Date();
+                    const minutesAway = Math.round((arrivalTime - now) / 60000);
+
+                    if (minutesAway < 0) return null;
+
+                    return {
+                        line: String(journey.LineRef || ''),
+                        minutes: minutesAway,
+                        destination: journey.MonitoredCall.DestinationDisplay || journey.DestinationName,
+                        atStop: journey.MonitoredCall.VehicleAtStop === 'true',
+                        adherence: journey.scheduleAdherence || null
+                    };
+                } catch (error) {
+                    console.error('Error processing visit:', error);
+                    return null;
+                }
+            })
+            .filter(prediction => prediction !== null)
+            .sort((a, b) => a.minutes - b.minutes);
+    } catch (error) {
+        console.error('Error processing predictions:', error);
+        return [];
+    }
+}
+
+/**
+ * Groups predictions by line, ordering lines by their soonest arrival
+ * @param {Array<Object>} predictions - Predictions from extractPredictions, soonest first
+ * @returns {Map<string, Array<Object>>} Predictions by line
+ */
+function groupPredictionsByLine(predictions) {
+    const groups = new Map();
+    predictions.forEach(prediction => {
+        if (!groups.has(prediction.line)) {
+            groups.set(prediction.line, []);
+        }
+        groups.get(prediction.line).push(prediction);
+    });
+    return groups;
+}
+
+/**
+ * Updates the predictions display for a specific stop
+ * @param {Object} data - Stop data including predictions
+ * @param {HTMLElement} container - The predictions container element
+ * @param {Array<string>} [lines] - Only show these lines (default all)
+ */
+function updatePredictionsDisplay(data, container, lines) {
+    container.innerHTML = '';
+
+    const stopNameHeader = document.createElement('h2');
+    stopNameHeader.className = 'stop-name';
+    stopNameHeader.textContent = data.stopName;
+    container.appendChild(stopNameHeader);
+
+    // Predictions served from the offline cache, or kept while the stream is down, may be out of date
+    if (data.asOf && (data.cached || connectionState !== 'live')) {
+        const staleLabel = document.createElement('div');
+        staleLabel.className = 'stale-label';
+        staleLabel.textContent = data.cached ? `Offline · ${formatAsOf(data.asOf)}` : `Not live · ${formatAsOf(data.asOf)}`;
+        container.appendChild(staleLabel);
+    }
+
+    const predictions = extractPredictions(data)
+        .filter(prediction => !lines || lines.some(line => line.toUpperCase() === prediction.line.toUpperCase()));
+    if (!predictions.length) {
+        container.appendChild(document.createElement('div')).className = 'loading';
+        container.lastChild.textContent = lines
+            ? `No ${lines.join(', ')} predictions available`
+            : 'No predictions available';
+        return;
+    }
+
+    groupPredictionsByLine(predictions).forEach((linePredictions, line) => {
+        const group = document.createElement('div');
+        group.className = 'prediction-line-group';
+        if (line) {
+            group.appendChild(createLineBadge(line, data.agency));
+        }
+        linePredictions.forEach(prediction => {
+            group.appendChild(createPredictionElement(prediction));
+        });
+        container.appendChild(group);
+    });
+}
+
+/**
+ * Shows predictions on every card for a stop and remembers them for redraws
+ * @param {string} stopId - The stop ID
+ * @param {Object} data - Stop data including predictions
+ */
+function showStopPredictions(stopId, data) {
+    latestPredictions.set(stopId, data);
+    document.querySelectorAll('.saved-stop').forEach(card => {
+        if (card.dataset.stopId === stopId) {
+            const lines = card.dataset.lines ? card.dataset.lines.split(',') : undefined;
+            updatePredictionsDisplay(data, card.querySelector('.predictions'), lines);
+        }
+    });
+}
+
+/**
+ * Shows a message in place of predictions on every saved stop card
+ * @param {string} message - Message text
+ * @param {string} [stopId] - Only update cards for this stop
+ */
+function showPredictionsMessage(message, stopId) {
+    document.querySelectorAll('.saved-stop').forEach(card => {
+        if (!stopId || card.dataset.stopId === stopId) {
+            card.querySelector('.predictions').innerHTML = `<div class="loading">${message}</div>`;
+        }
+    });
+}
+
+/**
+ * Processes API response data and updates the UI
+ * @param {Object} data - Response data with predictions keyed by stop ID
+ * @param {number|null} [cachedAt=null] - When the response was fetched, if it came from the offline cache
+ */
+function processApiResponse(data, cachedAt = null) {
+    Object.entries(data.stops).forEach(([stopId, stopData]) => {
+        const current = latestPredictions.get(stopId);
+        if (stopData.error) {
+            showPredictionsMessage('Error loading predictions', stopId);
+        } else if (cachedAt && current?.asOf > cachedAt) {
+            // Predictions from the stream are newer than the offline copy
+            showStopPredictions(stopId, current);
+        } else {
+            showStopPredictions(stopId, { ...stopData, asOf: cachedAt || Date.now(), cached: Boolean(cachedAt) });
+        }
+    });
+    updateTimeDisplay();
+}
+
+/**
  * Fetches predictions from the API and updates the UI
  * @async
  * @throws {Error} If the API request fails
  */
-async function fetchPredictions() {
-    try {
-        const response = await fetch(`/api/predictions?inbound=${currentStops.inbound}&outbound=${currentStops.outbound}`);
-        if (!response.ok) throw new Error('Network response was not ok');
-        const data = await response.json();
-        processApiResponse(data);
-    } catch (error) {
-        console.error('Error fetching predictions:', error);
-        document.getElementById('inbound-predictions').innerHTML = 
-            '<div class="loading">Error loading predictions</div>';
-        document.getElementById('outbound-predictions').innerHTML = 
-            '<div class="loading">Error loading predictions</div>';
-    }
+async function fetchPredictions() {
+    const stopIds = getSavedStopIds();
+    if (!stopIds.length) return;
+    try {
+        const response = await fetch(`/api/predictions?stops=${encodeURIComponent(stopIds.join(','))}`);
+        if (!response.ok) throw new Error('Network response was not ok');
+        const data = await response.json();
+        processApiResponse(data, getCachedAt(response));
+    } catch (error) {
+        console.error('Error fetching predictions:', error);
+        // Keep showing the last predictions rather than an error
+        stopIds.forEach(stopId => {
+            if (latestPredictions.has(stopId)) {
+                showStopPredictions(stopId, latestPredictions.get(stopId));
+            } else {
+                showPredictionsMessage(navigator.onLine ? 'Error loading predictions' : 'Offline; no saved predictions for this stop', stopId);
+            }
+        });
+    }
+}
+
+/**
+ * Fetches the weather at the saved stops from the API and updates the UI
+ * @async
+ * @throws {Error} If the API request fails
+ */
+async function fetchWeather() {
+    const stopIds = getSavedStopIds();
+    const url = stopIds.length ? `/api/weather?stops=${encodeURIComponent(stopIds.join(','))}` : '/api/weather';
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('Network response was not ok');
+        const data = await response.json();
+        updateWeatherDisplay(data, getCachedAt(response));
+    } catch (error) {
+        console.error('Error fetching weather:', error);
+        if (!navigator.onLine) {
+            // Leave the last weather on screen
+            document.getElementById('weather-as-of').textContent = 'Offline';
+            return;
+        }
+        document.getElementById('weather-locations').innerHTML = '<div class="loading">Error loading weather</div>';
+    }
+}
+
+// Active service alerts of the selected agencies, from /api/alerts
+let serviceAlerts = [];
+// Latest alerts for each agency
+const alertsByAgency = new Map();
+// IDs of alerts the user has dismissed, persisted across page loads
+const dismissedAlerts = new Set(JSON.parse(localStorage.getItem('dismissedAlerts') || '[]'));
+
+/**
+ * Fetches active service alerts from the API and updates the banner and stop markers
+ * @async
+ * @throws {Error} If the API request fails
+ */
+async function fetchAlerts() {
+    await Promise.all([...selectedAgencies].map(async agency => {
+        try {
+            const response = await fetch(`/api/alerts${agencyQuery(agency)}`);
+            if (!response.ok) throw new Error('Network response was not ok');
+            const data = await response.json();
+            applyAlerts(data.alerts || [], agency);
+        } catch (error) {
+            console.error('Error fetching alerts:', error);
+        }
+    }));
+}
+
+/**
+ * Stores the latest alerts for an agency and refreshes the banner and stop markers
+ * @param {Array<Object>} alerts - Active alerts from the API
+ * @param {string} [agency=defaultAgency] - Agency the alerts belong to
+ */
+function applyAlerts(alerts, agency = defaultAgency) {
+    alertsByAgency.set(agency, alerts);
+    showSelectedAlerts();
+}
+
+/**
+ * Collects the alerts of the selected agencies and refreshes the banner and stop markers
+ */
+function showSelectedAlerts() {
+    serviceAlerts = [...selectedAgencies].flatMap(agency => alertsByAgency.get(agency) || []);
+    updateAlertBanner();
+    fetchAndPlotStops();
+}
+
+/**
+ * Returns undismissed alerts that affect a selected train line or one of the current stops.
+ * The line buttons only cover Muni, so every line alert of another selected agency counts.
+ * @returns {Array<Object>} Relevant alerts
+ */
+function getRelevantAlerts() {
+    const watchedStops = getSavedStopIds();
+    return serviceAlerts.filter(alert =>
+        !dismissedAlerts.has(alert.id) &&
+        (alert.lines.some(line => (alert.agency && alert.agency !== defaultAgency) || selectedTrainLines[line]) ||
+            alert.stops.some(stopId => watchedStops.includes(stopId)))
+    );
+}
+
+/**
+ * Renders the dismissable alert banner for alerts relevant to the user's lines and stops
+ */
+function updateAlertBanner() {
+    const banner = document.getElementById('alert-banner');
+    banner.innerHTML = '';
+
+    const alerts = getRelevantAlerts();
+    banner.hidden = alerts.length === 0;
+
+    alerts.forEach(alert => {
+        const item = document.createElement('div');
+        item.className = 'alert-item';
+
+        const text = document.createElement('div');
+        text.className = 'alert-text';
+
+        const header = document.createElement('strong');
+        header.textContent = alert.header || formatEnumName(alert.effect);
+        text.appendChild(header);
+
+        const meta = document.createElement('span');
+        meta.className = 'alert-meta';
+        const affected = alert.lines.length ? `${alert.lines.join(', ')} Line` : `${alert.stops.length} stop(s)`;
+        meta.textContent = `${affected} · ${formatEnumName(alert.effect)}`;
+        text.appendChild(meta);
+
+        const dismissBtn = document.createElement('button');
+        dismissBtn.className = 'alert-dismiss';
+        dismissBtn.setAttribute('aria-label', 'Dismiss alert');
+        dismissBtn.innerHTML = '&times;';
+        dismissBtn.addEventListener('click', () => dismissAlert(alert.id));
+
+        item.appendChild(text);
+        item.appendChild(dismissBtn);
+        banner.appendChild(item);
+    });
+}
+
+/**
+ * Hides an alert from the banner and remembers the choice
+ * @param {string} alertId - The alert ID
+ */
+function dismissAlert(alertId) {
+    dismissedAlerts.add(alertId);
+    // Only keep dismissals for alerts that are still active
+    const activeIds = serviceAlerts.map(alert => alert.id);
+    localStorage.setItem('dismissedAlerts', JSON.stringify([...dismissedAlerts].filter(id => activeIds.includes(id))));
+    updateAlertBanner();
+}
+
+/**
+ * Updates the weather display with one row per location: the saved stops
+ * there, current conditions and a precipitation strip for the next few hours
+ * @param {Object} data - Weather data from /api/weather
+ * @param {number|null} [cachedAt=null] - When the data was fetched, if it came from the offline cache
+ */
+function updateWeatherDisplay(data, cachedAt = null) {
+    document.getElementById('weather-as-of').textContent = cachedAt ? `Offline · ${formatAsOf(cachedAt)}` : '';
+    const container = document.getElementById('weather-locations');
+    container.innerHTML = '';
+    data.locations.forEach(location => container.appendChild(createWeatherLocation(location)));
+}
+
+/**
+ * Formats an ISO time as an hour, e.g. "3 PM"
+ * @param {string} time - ISO-8601 time
+ * @returns {string} Hour in the browser's locale
+ */
+function formatWeatherHour(time) {
+    return new Date(time).toLocaleTimeString('en-US', { hour: 'numeric' });
+}
+
+/**
+ * Creates the weather row for one location
+ * @param {Object} location - Location from /api/weather
+ * @returns {HTMLElement} The row
+ */
+function createWeatherLocation(location) {
+    const row = document.createElement('div');
+    row.className = 'weather-location';
+
+    const title = document.createElement('h3');
+    const names = location.stops.map(stopRef =>
+        savedStops.find(stop => stop.id === stopRef)?.label || allStops.get(stopRef)?.name || `Stop #${stopRef}`);
+    title.textContent = names.length ? names.join(', ') : 'San Francisco';
+    row.appendChild(title);
+
+    if (location.error) {
+        const error = document.createElement('div');
+        error.className = 'weather-error';
+        error.textContent = 'Error loading weather';
+        row.appendChild(error);
+        return row;
+    }
+
+    const content = document.createElement('div');
+    content.className = 'weather-content';
+    const icon = document.createElement('i');
+    icon.className = `weather-icon wi ${getWeatherIconClass(location.current.condition, location.current.isDay)}`;
+    const current = document.createElement('div');
+    current.className = 'weather-info';
+    const temperature = document.createElement('span');
+    temperature.className = 'current-temp';
+    temperature.textContent = `${Math.round(location.current.temperature)}°F`;
+    current.append(temperature, ` ${location.current.description}`);
+    content.append(icon, current);
+    row.appendChild(content);
+
+    if (location.hourly.length) {
+        const strip = document.createElement('div');
+        strip.className = 'precip-strip';
+        strip.setAttribute('aria-label', 'Chance of precipitation');
+        location.hourly.forEach(period => {
+            const chance = period.precipitationChance;
+            const cell = document.createElement('div');
+            cell.className = 'precip-period';
+            cell.title = `${formatWeatherHour(period.time)}: ${Math.round(period.temperature)}°F, ${period.description}` +
+                (period.precipitation ? `, ${period.precipitation} mm` : '');
+            cell.innerHTML = `
+                <div class="precip-bar-track"><div class="precip-bar" style="height: ${chance || 0}%"></div></div>
+                <div class="precip-chance">${chance === null ? '—' : `${chance}%`}</div>
+                <div class="precip-time">${formatWeatherHour(period.time)}</div>
+            `;
+            strip.appendChild(cell);
+        });
+        row.appendChild(strip);
+    }
+    return row;
+}
+
+// Weather Icons classes by condition, for day and night
+const WEATHER_ICONS = {
+    clear: { day: 'wi-day-sunny', night: 'wi-night-clear' },
+    'partly-cloudy': { day: 'wi-day-cloudy', night: 'wi-night-alt-cloudy' },
+    cloudy: { day: 'wi-cloudy', night: 'wi-cloudy' },
+    drizzle: { day: 'wi-showers', night: 'wi-showers' },
+    rain: { day: 'wi-day-rain', night: 'wi-night-alt-rain' },
+    thunderstorm: { day: 'wi-thunderstorm', night: 'wi-thunderstorm' },
+    snow: { day: 'wi-snow', night: 'wi-snow' },
+    fog: { day: 'wi-fog', night: 'wi-fog' }
+};
+
+/**
+ * Maps a weather condition to a Weather Icons class
+ * @param {string|null} condition - Condition from /api/weather, e.g. partly-cloudy
+ * @param {boolean} isDay - Whether it is daytime
+ * @returns {string} Weather Icons class name
+ */
+function getWeatherIconClass(condition, isDay) {
+    const icons = WEATHER_ICONS[condition];
+    if (!icons) return 'wi-na';
+    return isDay ? icons.day : icons.night;
+}
+
+/**
+ * Formats a timestamp into a human-readable string
+ * Handles both regular timestamps and protobuf Long objects
+ * @param {(number|Object)} timestamp - Unix timestamp or protobuf Long object
+ * @returns {string} Formatted time string
+ */
+function formatTimestamp(timestamp) {
+    if (!timestamp) return 'N/A';
+    
+    if (timestamp.low !== undefined && timestamp.high !== undefined) {
+        const milliseconds = timestamp.low * 1000 + timestamp.high * 4294967296000;
+        timestamp = milliseconds;
+    }
+    
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) {
+        console.log('Invalid date');
+        return 'Invalid Date';
+    }
+    return date.toLocaleString('en-US', { 
+        hour: 'numeric', 
+        minute: 'numeric',
+        second: 'numeric',
+        hour12: true 
+    });
+}
+
+// Mapbox initialization
+let map;
+let mapLoaded = false;
+
+/**
+ * Initializes the Mapbox map and sets up event handlers
+ * Fetches Mapbox token from server and configures the map with SF-specific settings
+ * @async
+ * @throws {Error} If configuration fetch fails or map initialization fails
+ */
+async function initializeMap() {
+    try {
+        const response = await fetch('/api/config');
+        if (!response.ok) throw new Error('Failed to fetch configuration');
+        const config = await response.json();
+        if (!config.mapboxToken) {
+            console.warn('No Mapbox token configured; map disabled');
+            return;
+        }
+        
+        mapboxgl.accessToken = config.mapboxToken;
+        map = new mapboxgl.Map({
+            container: 'map',
+            style: 'mapbox://styles/mapbox/dark-v10',
+            center: [-122.4194, 37.7749], // San Francisco coordinates
+            zoom: 12
+        });
+
+        // In near-me mode, clicking the map away from a stop searches around that point
+        map.on('click', (e) => {
+            if (!nearbyActive) return;
+            if (map.getLayer('train-stops') && map.queryRenderedFeatures(e.point, { layers: ['train-stops'] }).length) return;
+            loadNearbyStops(e.lngLat.lat, e.lngLat.lng);
+        });
+
+        // Bearing arrows are drawn relative to the screen, so follow the map's rotation
+        map.on('rotate', () => vehicleMarkers.forEach(rotateBearingArrow));
+
+        map.on('load', () => {
+            mapLoaded = true;
+            fetchVehiclePositions();
+            fetchAndDrawRoutes();
+            fetchAndPlotStops();
+        });
+    } catch (error) {
+        console.error('Error initializing map:', error);
+    }
+}
+
+/**
+ * Handles map resize events
+ */
+function resizeMap() {
+    if (map) {
+        map.resize();
+    }
+}
+
+// Initialize map on page load
+initializeMap();
+
+// Add event listener for window resize
+window.addEventListener('resize', resizeMap);
+
+// Vehicle markers keyed by trainId, animated between updates
+const vehicleMarkers = new Map();
+let vehicleAnimationFrame = null;
+const VEHICLE_ANIMATION_MS = 1500;
+const VEHICLE_FADE_MS = 1000;
+// Keep trains moving along their route at their reported speed between updates
+const DEAD_RECKONING = true;
+const DEAD_RECKONING_MAX_MS = 90000;
+// How far a reported position may be from a route line and still follow it
+const ROUTE_SNAP_METERS = 60;
+// GTFS direction_id values, as used by the route geometry
+const VEHICLE_DIRECTIONS = { 0: 'outbound', 1: 'inbound' };
+// Direction badge text and color on train markers
+const DIRECTION_BADGES = {
+    inbound: { text: 'in', color: '#4CAF50' },
+    outbound: { text: 'out', color: '#FFA500' }
+};
+const CROWDING_LABELS = {
+    low: 'Seats available',
+    medium: 'Few seats',
+    high: 'Standing room only',
+    full: 'Full'
+};
+// Hide trains whose crowding is 'full'; kept in localStorage
+let hideFullTrains = localStorage.getItem('hideFullTrains') === 'true';
+// Last vehicles drawn, so filters can redraw without waiting for an update
+let lastVehicleUpdate = { vehicles: [], options: {} };
+// Latest vehicles for each agency, merged for the map
+const vehiclesByAgency = new Map();
+
+/**
+ * Merges the latest vehicles of the selected agencies
+ * @returns {Array<Object>} Vehicle position data
+ */
+function getSelectedVehicles() {
+    return [...selectedAgencies].flatMap(agency => vehiclesByAgency.get(agency) || []);
+}
+
+/**
+ * Stores an agency's vehicles and redraws the map with every selected agency's trains
+ * @param {string} agency - Agency the vehicles belong to
+ * @param {Array<Object>} vehicles - Vehicle position data
+ */
+function showAgencyVehicles(agency, vehicles) {
+    vehiclesByAgency.set(agency, vehicles);
+    if (mapLoaded && !playback.active) {
+        updateMapMarkers(getSelectedVehicles());
+        // Headways are worked out for Muni only
+        if (agency === defaultAgency) fetchHeadways();
+    }
+}
+
+/**
+ * Fetches current vehicle positions for the selected agencies from the API
+ * @async
+ * @throws {Error} If the API request fails
+ */
+async function fetchVehiclePositions() {
+    await Promise.all([...selectedAgencies].map(async agency => {
+        try {
+            const response = await fetch(`/api/vehicles${agencyQuery(agency)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            if (!data || !data.vehicles) {
+                throw new Error('Invalid data structure received from server');
+            }
+            const cachedAt = getCachedAt(response);
+            // The trains on the map are newer than the offline copy
+            if (cachedAt && vehiclesAsOf > cachedAt) return;
+            vehiclesAsOf = cachedAt || Date.now();
+            setConnectionStatus(connectionState);
+            if (data.vehicles.length > 0) {
+                showAgencyVehicles(agency, data.vehicles);
+            }
+        } catch (error) {
+            console.error('Error fetching vehicle positions:', error);
+        }
+    }));
+}
+
+// Route lines are offset to the right of travel so both directions show side by side
+const ROUTE_LINE_WIDTH = 3;
+const ROUTE_VARIANT_WIDTH = 2;
+const ROUTE_LINE_OFFSET = 2;
+// Last drawn route geometry, which vehicle markers follow between updates
+let routeGeometry = null;
+
+/**
+ * Plots train stops on the map for selected lines
+ * @param {Array<Object>} routes - Array of route data
+ * @param {string} routes[].line - Train line identifier
+ * @param {Array<Object>} routes[].stops - Array of stop data
+ */
+function plotTrainStops(routes) {
+    const features = [];
+    routes.forEach(route => {
+        if (!selectedTrainLines[route.line]) return;
+        
+        route.stops.forEach(stop => {
+            if (!stop.lat || !stop.long) return;
+
+            const stopAlerts = serviceAlerts.filter(alert => alert.stops.includes(stop.id));
+            
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [parseFloat(stop.long), parseFloat(stop.lat)]
+                },
+                properties: {
+                    id: stop.id,
+                    name: stop.name,
+                    line: route.line,
+                    color: getRouteColor(route.line),
+                    hasAlert: stopAlerts.length > 0,
+                    alertText: stopAlerts.map(alert => alert.header || formatEnumName(alert.effect)).join('; ')
+                }
+            });
+        });
+    });
+
+    const data = {
+        type: 'FeatureCollection',
+        features: features
+    };
+
+    // Layer and hover handlers only need to be set up once
+    if (map.getSource('train-stops')) {
+        map.getSource('train-stops').setData(data);
+        return;
+    }
+
+    map.addSource('train-stops', {
+        type: 'geojson',
+        data: data
+    });
+
+    map.addLayer({
+        id: 'train-stops',
+        type: 'circle',
+        source: 'train-stops',
+        paint: {
+            'circle-radius': 6,
+            'circle-color': ['get', 'color'],
+            'circle-stroke-width': ['case', ['get', 'hasAlert'], 4, 2],
+            'circle-stroke-color': ['case', ['get', 'hasAlert'], '#ff9900', '#ffffff']
+        }
+    });
+
+    const popup = new mapboxgl.Popup({
+        closeButton: false,
+        closeOnClick: false
+    });
+
+    map.on('mouseenter', 'train-stops', (e) => {
+        map.getCanvas().style.cursor = 'pointer';
+        
+        const coordinates = e.features[0].geometry.coordinates.slice();
+        const { id: stopId, name: stopName, hasAlert, alertText } = e.features[0].properties;
+        
+        const content = document.createElement('div');
+        content.innerHTML = `<strong>Stop #${stopId}</strong><br>`;
+        content.appendChild(document.createTextNode(stopName));
+        if (hasAlert) {
+            const alertLine = document.createElement('p');
+            alertLine.className = 'stop-alert';
+            alertLine.textContent = `⚠ ${alertText}`;
+            content.appendChild(alertLine);
+        }
+
+        popup.setLngLat(coordinates)
+            .setDOMContent(content)
+            .addTo(map);
+    });
+
+    map.on('mouseleave', 'train-stops', () => {
+        map.getCanvas().style.cursor = '';
+        popup.remove();
+    });
+
+    // Clicking a stop offers to save it
+    map.on('click', 'train-stops', (e) => {
+        const { id: stopId, name: stopName } = e.features[0].properties;
+        popup.remove();
+
+        const content = document.createElement('div');
+        content.innerHTML = `<strong>Stop #${stopId}</strong><br>`;
+        content.appendChild(document.createTextNode(stopName));
+        const button = document.createElement('button');
+        button.className = 'popup-save-stop';
+        button.textContent = 'Use as saved stop';
+        content.appendChild(button);
+        const planFrom = document.createElement('button');
+        planFrom.className = 'popup-plan-stop';
+        planFrom.textContent = 'Plan from here';
+        const planTo = document.createElement('button');
+        planTo.className = 'popup-plan-stop';
+        planTo.textContent = 'Plan to here';
+        content.append(planFrom, planTo);
+
+        const actionPopup = new mapboxgl.Popup()
+            .setLngLat(e.features[0].geometry.coordinates.slice())
+            .setDOMContent(content)
+            .addTo(map);
+        button.addEventListener('click', () => {
+            actionPopup.remove();
+            openStopModal(null, stopId);
+        });
+        planFrom.addEventListener('click', () => {
+            actionPopup.remove();
+            openPlanner({ from: String(stopId) });
+        });
+        planTo.addEventListener('click', () => {
+            actionPopup.remove();
+            openPlanner({ to: String(stopId) });
+        });
+    });
+}
+
+/**
+ * Fetches and plots train stops for all lines
+ * @async
+ * @throws {Error} If fetching stops data fails
+ */
+async function fetchAndPlotStops() {
+    try {
+        const response = await fetch('/train-routes.json');
+        const data = await response.json();
+        if (mapLoaded) {
+            plotTrainStops(data.routes);
+        }
+    } catch (error) {
+        console.error('Error fetching train stops:', error);
+    }
+}
+
+/**
+ * Builds route geometry from the live /api/patterns calls, one request per line.
+ * Only used when the server has no GTFS bundle to draw shapes from.
+ * @async
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of the main pattern per line
+ * @throws {Error} If fetching route data fails
+ */
+async function fetchPatternGeometry() {
+    const response = await fetch('/api/lines');
+    const linesData = await response.json();
+
+    const railLines = linesData.filter(line => trainLines.includes(line.LineShortName));
+
+    const features = [];
+    for (const line of railLines) {
+        const patternResponse = await fetch(`/api/patterns/${line.LineShortName}`);
+        const patternData = await patternResponse.json();
+
+        if (patternData.Patterns?.Pattern?.PatternPath?.Point) {
+            const coordinates = patternData.Patterns.Pattern.PatternPath.Point
+                .map(point => [parseFloat(point.Lon), parseFloat(point.Lat)]);
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates },
+                properties: { line: line.LineShortName, primary: true }
+            });
+        }
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Fetches and draws route lines on the map. Each line, direction and pattern
+ * variant is drawn from the server's GTFS shapes; short-turn and other variants
+ * are drawn thinner and dashed beneath the main pattern.
+ * @async
+ * @throws {Error} If fetching route data fails
+ */
+async function fetchAndDrawRoutes() {
+    try {
+        const response = await fetch('/api/lines/geometry');
+        let geometry;
+        if (response.status === 503) {
+            geometry = await fetchPatternGeometry();
+        } else if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        } else {
+            geometry = await response.json();
+        }
+        routeGeometry = geometry;
+
+        if (map.getSource('route-lines')) {
+            map.getSource('route-lines').setData(geometry);
+            return;
+        }
+
+        map.addSource('route-lines', { type: 'geojson', data: geometry });
+
+        const lineColor = ['match', ['get', 'line'],
+            ...trainLines.flatMap(line => [line, getRouteColor(line)]),
+            '#888888'
+        ];
+        // Only offset lines that have a direction, so the two directions sit apart
+        const lineOffset = ['case', ['has', 'direction'], ROUTE_LINE_OFFSET, 0];
+        const beforeId = map.getLayer('train-stops') ? 'train-stops' : undefined;
+
+        map.addLayer({
+            id: 'route-variants',
+            type: 'line',
+            source: 'route-lines',
+            filter: ['!', ['get', 'primary']],
+            paint: {
+                'line-color': lineColor,
+                'line-width': ROUTE_VARIANT_WIDTH,
+                'line-offset': lineOffset,
+                'line-opacity': 0.7,
+                'line-dasharray': [2, 2]
+            }
+        }, beforeId);
+
+        map.addLayer({
+            id: 'route-lines',
+            type: 'line',
+            source: 'route-lines',
+            filter: ['get', 'primary'],
+            layout: { 'line-join': 'round', 'line-cap': 'round' },
+            paint: {
+                'line-color': lineColor,
+                'line-width': ROUTE_LINE_WIDTH,
+                'line-offset': lineOffset,
+                // Inbound is drawn a little fainter so the pair reads as two tracks
+                'line-opacity': ['match', ['get', 'direction'], 'inbound', 0.75, 1]
+            }
+        }, beforeId);
+    } catch (error) {
+        console.error('Error drawing routes:', error);
+    }
+}
+
+// Equirectangular approximation, accurate enough across San Francisco
+const METERS_PER_DEGREE = 111320;
+const LONGITUDE_SCALE = Math.cos(37.77 * Math.PI / 180);
+const measuredLines = new WeakMap();
+
+/**
+ * Converts a coordinate to planar meters
+ * @param {Array<number>} coordinate - [lon, lat]
+ * @returns {Array<number>} [x, y] in meters
+ */
+function toMeters([lon, lat]) {
+    return [lon * METERS_PER_DEGREE * LONGITUDE_SCALE, lat * METERS_PER_DEGREE];
+}
+
+/**
+ * Measures a route line feature once and caches the result
+ * @param {Object} feature - GeoJSON LineString feature
+ * @returns {Object} { coordinates, points (meters), distances (cumulative meters), length }
+ */
+function measureLine(feature) {
+    if (!measuredLines.has(feature)) {
+        const coordinates = feature.geometry.coordinates;
+        const points = coordinates.map(toMeters);
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            distances.push(distances[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+        }
+        measuredLines.set(feature, { coordinates, points, distances, length: distances[distances.length - 1] });
+    }
+    return measuredLines.get(feature);
+}
+
+/**
+ * Projects a coordinate onto a measured line
+ * @param {Object} line - Line from measureLine
+ * @param {Array<number>} coordinate - [lon, lat]
+ * @returns {Object} { distance: meters along the line, offset: meters from the line }
+ */
+function projectOntoLine(line, coordinate) {
+    const [x, y] = toMeters(coordinate);
+    let best = { distance: 0, offset: Infinity };
+
+    for (let i = 1; i < line.points.length; i++) {
+        const [ax, ay] = line.points[i - 1];
+        const [bx, by] = line.points[i];
+        const segmentLength = line.distances[i] - line.distances[i - 1];
+        const t = segmentLength
+            ? Math.min(Math.max(((x - ax) * (bx - ax) + (y - ay) * (by - ay)) / (segmentLength * segmentLength), 0), 1)
+            : 0;
+        const offset = Math.hypot(x - (ax + t * (bx - ax)), y - (ay + t * (by - ay)));
+        if (offset < best.offset) {
+            best = { distance: line.distances[i - 1] + t * segmentLength, offset };
+        }
+    }
+    return best;
+}
+
+/**
+ * Gets the coordinate at a distance along a measured line
+ * @param {Object} line - Line from measureLine
+ * @param {number} distance - Meters along the line (clamped to its ends)
+ * @returns {Array<number>} [lon, lat]
+ */
+function pointAlongLine(line, distance) {
+    const target = Math.min(Math.max(distance, 0), line.length);
+    let i = 1;
+    while (i < line.distances.length - 1 && line.distances[i] < target) i++;
+
+    const segmentLength = line.distances[i] - line.distances[i - 1];
+    const t = segmentLength ? (target - line.distances[i - 1]) / segmentLength : 0;
+    const [lon1, lat1] = line.coordinates[i - 1];
+    const [lon2, lat2] = line.coordinates[i];
+    return [lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t];
+}
+
+/**
+ * Finds the route line a vehicle is travelling on: the closest line of its
+ * route and direction within ROUTE_SNAP_METERS of the reported position
+ * @param {Object} vehicle - Vehicle position data
+ * @param {Array<number>} coordinate - The reported [lon, lat]
+ * @returns {Object|null} { line, feature, distance }, or null if the vehicle is off every line
+ */
+function findVehicleRouteLine(vehicle, coordinate) {
+    if (!routeGeometry) return null;
+    const routeId = vehicle.routeId || vehicle.trainId[0];
+    const direction = VEHICLE_DIRECTIONS[vehicle.direction];
+
+    let best = null;
+    routeGeometry.features
+        .filter(feature => feature.properties.line === routeId &&
+            (!feature.properties.direction || feature.properties.direction === direction))
+        .forEach(feature => {
+            const line = measureLine(feature);
+            const projection = projectOntoLine(line, coordinate);
+            if (projection.offset <= ROUTE_SNAP_METERS && (!best || projection.offset < best.offset)) {
+                best = { line, feature, distance: projection.distance, offset: projection.offset };
+            }
+        });
+    return best;
+}
+
+/**
+ * Creates the marker, popup and elements for a vehicle
+ * @param {Object} vehicle - Vehicle position data
+ * @param {Array<number>} coordinate - Initial [lon, lat]
+ * @returns {Object} Marker state for vehicleMarkers
+ */
+function createVehicleMarker(vehicle, coordinate) {
+    const markerContainer = document.createElement('div');
+    markerContainer.className = 'marker-container';
+
+    const el = document.createElement('div');
+    el.className = 'train-marker';
+    el.style.color = '#ffffff';
+    el.style.width = '32px';
+    el.style.height = '32px';
+    el.style.borderRadius = '50%';
+    el.style.display = 'flex';
+    el.style.justifyContent = 'center';
+    el.style.alignItems = 'center';
+    el.style.fontWeight = 'bold';
+    el.style.fontSize = '16px';
+
+    const directionIndicator = document.createElement('div');
+    directionIndicator.className = 'direction-indicator';
+    directionIndicator.style.color = '#ffffff';
+    directionIndicator.style.width = '24px';
+    directionIndicator.style.height = '24px';
+    directionIndicator.style.borderRadius = '50%';
+    directionIndicator.style.display = 'flex';
+    directionIndicator.style.justifyContent = 'center';
+    directionIndicator.style.alignItems = 'center';
+    directionIndicator.style.fontWeight = 'bold';
+    directionIndicator.style.fontSize = '10px';
+    directionIndicator.style.position = 'absolute';
+    directionIndicator.style.top = '-8px';
+    directionIndicator.style.right = '-8px';
+
+    // Points the way the train is heading; hidden when the feed has no bearing
+    const bearingArrow = document.createElement('div');
+    bearingArrow.className = 'bearing-arrow';
+
+    const crowdingIndicator = document.createElement('div');
+    crowdingIndicator.className = 'crowding-indicator';
+
+    markerContainer.appendChild(bearingArrow);
+    markerContainer.appendChild(el);
+    markerContainer.appendChild(directionIndicator);
+    markerContainer.appendChild(crowdingIndicator);
+
+    const popup = new mapboxgl.Popup({
+        closeButton: true,
+        closeOnClick: false,
+        className: 'dark-theme-popup',
+        offset: [0, -10]
+    });
+
+    const marker = new mapboxgl.Marker({
+        element: markerContainer,
+        anchor: 'center'
+    })
+    .setLngLat(coordinate)
+    .setPopup(popup)
+    .addTo(map);
+
+    el.addEventListener('click', () => {
+        vehicleMarkers.forEach(state => state.popup.remove());
+        popup.addTo(map);
+    });
+
+    return {
+        marker,
+        popup,
+        container: markerContainer,
+        badge: el,
+        indicator: directionIndicator,
+        arrow: bearingArrow,
+        crowding: crowdingIndicator,
+        bearing: null,
+        position: coordinate,
+        from: coordinate,
+        to: coordinate,
+        track: null,
+        start: performance.now(),
+        duration: 0,
+        speed: 0,
+        fadeTimer: null
+    };
+}
+
+/**
+ * Refreshes a vehicle marker's label, colors and popup text
+ * @param {Object} state - Marker state from createVehicleMarker
+ * @param {Object} vehicle - Vehicle position data
+ */
+function renderVehicleMarker(state, vehicle) {
+    // Muni lines fit on the badge; other agencies' lines are named in full (e.g. Yellow-N), so show the initial
+    const isDefault = !vehicle.agency || vehicle.agency === defaultAgency;
+    const line = isDefault ? vehicle.routeId || vehicle.trainId[0] : vehicle.routeId;
+    const label = isDefault ? line : line[0];
+    state.badge.textContent = label;
+    state.badge.style.fontSize = label.length > 2 ? '11px' : label.length > 1 ? '13px' : '16px';
+    state.badge.style.backgroundColor = getRouteColor(line, vehicle.agency || defaultAgency);
+    const directionBadge = DIRECTION_BADGES[VEHICLE_DIRECTIONS[vehicle.direction]];
+    state.indicator.style.display = directionBadge ? 'flex' : 'none';
+    state.indicator.textContent = directionBadge?.text || '';
+    state.indicator.style.backgroundColor = directionBadge?.color || '';
+
+    state.bearing = Number.isFinite(vehicle.bearing) ? vehicle.bearing : null;
+    rotateBearingArrow(state);
+
+    state.container.classList.toggle('bunched', !playback.active && bunchedTrainIds.has(vehicle.trainId));
+
+    state.crowding.className = `crowding-indicator${vehicle.crowding ? ` crowding-${vehicle.crowding}` : ''}`;
+    state.crowding.title = vehicle.crowding ? CROWDING_LABELS[vehicle.crowding] : '';
+
+    // Built from nodes since labels and stop names come from the feed
+    const content = document.createElement('div');
+    const title = document.createElement('h3');
+    title.textContent = `Train ${vehicle.trainId}`;
+    const status = document.createElement('p');
+    status.textContent = vehicle.readableStatus;
+    content.append(title, status, ...createVehicleDetails(vehicle));
+    content.insertAdjacentHTML('beforeend', createAdherenceBadge(vehicle.scheduleAdherence));
+    state.popup.setDOMContent(content);
+}
+
+/**
+ * Points a marker's bearing arrow along the train's heading, allowing for map rotation
+ * @param {Object} state - Marker state from createVehicleMarker
+ */
+function rotateBearingArrow(state) {
+    state.arrow.hidden = state.bearing === null;
+    if (state.bearing !== null) {
+        state.arrow.style.transform = `rotate(${state.bearing - map.getBearing()}deg)`;
+    }
+}
+
+/**
+ * Turns a GTFS-realtime enum name such as FEW_SEATS_AVAILABLE or SIGNIFICANT_DELAYS
+ * into readable text, e.g. "Few seats available"
+ * @param {string} name - Enum value name
+ * @returns {string} Readable text
+ */
+function formatEnumName(name) {
+    const text = name.toLowerCase().replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Builds the popup lines for a train's cars, crowding and traffic
+ * @param {Object} vehicle - Vehicle position data
+ * @returns {Array<HTMLElement>} Popup paragraphs, empty when the feed has none of these details
+ */
+function createVehicleDetails(vehicle) {
+    const details = [];
+    const addDetail = (text) => {
+        const detail = document.createElement('p');
+        detail.className = 'vehicle-detail';
+        detail.textContent = text;
+        details.push(detail);
+        return detail;
+    };
+
+    if (vehicle.carriageCount) {
+        const cars = vehicle.carriageCount === 1 ? '1 car' : `${vehicle.carriageCount} cars`;
+        addDetail(vehicle.label ? `${cars} (${vehicle.label})` : cars);
+    } else if (vehicle.label) {
+        addDetail(`Car ${vehicle.label}`);
+    }
+
+    if (vehicle.crowding) {
+        const status = vehicle.occupancyStatus && vehicle.occupancyStatus !== 'NO_DATA_AVAILABLE'
+            ? formatEnumName(vehicle.occupancyStatus)
+            : CROWDING_LABELS[vehicle.crowding];
+        const percentage = Number.isFinite(vehicle.occupancyPercentage) ? ` (${vehicle.occupancyPercentage}%)` : '';
+        const crowding = document.createElement('span');
+        crowding.className = `crowding-text crowding-${vehicle.crowding}`;
+        crowding.textContent = `${status}${percentage}`;
+        addDetail('').appendChild(crowding);
+    }
+
+    // Per-car crowding, front car first, when cars differ
+    const carCrowding = (vehicle.carriages || []).filter(carriage => carriage.crowding);
+    if (carCrowding.length > 1 && new Set(carCrowding.map(carriage => carriage.crowding)).size > 1) {
+        addDetail(carCrowding
+            .map(carriage => `${carriage.label || carriage.sequence}: ${CROWDING_LABELS[carriage.crowding].toLowerCase()}`)
+            .join(', '));
+    }
+
+    if (vehicle.congestionLevel && vehicle.congestionLevel !== 'UNKNOWN_CONGESTION_LEVEL') {
+        addDetail(`Traffic: ${formatEnumName(vehicle.congestionLevel).toLowerCase()}`);
+    }
+
+    return details;
+}
+
+/**
+ * Shows or hides full trains on the map
+ * @param {boolean} hide - Whether to hide trains whose crowding is 'full'
+ */
+function setHideFullTrains(hide) {
+    hideFullTrains = hide;
+    localStorage.setItem('hideFullTrains', String(hide));
+    if (mapLoaded) {
+        updateMapMarkers(lastVehicleUpdate.vehicles, lastVehicleUpdate.options);
+    }
+}
+
+/**
+ * Fades a vehicle marker out and removes it
+ * @param {string} trainId - The vehicle's train ID
+ */
+function fadeOutVehicleMarker(trainId) {
+    const state = vehicleMarkers.get(trainId);
+    if (!state || state.fadeTimer) return;
+    state.container.classList.add('fading');
+    state.fadeTimer = setTimeout(() => {
+        state.marker.remove();
+        vehicleMarkers.delete(trainId);
+    }, VEHICLE_FADE_MS);
+}
+
+/**
+ * Works out where a vehicle marker should be drawn at a given time
+ * @param {Object} state - Marker state
+ * @param {number} now - performance.now() timestamp
+ * @returns {{position: Array<number>, moving: boolean}} Position and whether it will keep changing
+ */
+function getVehicleFramePosition(state, now) {
+    const elapsed = now - state.start;
+
+    if (elapsed < state.duration) {
+        const t = elapsed / state.duration;
+        if (state.track?.alongLine) {
+            const { line, fromDistance, toDistance } = state.track;
+            return { position: pointAlongLine(line, fromDistance + (toDistance - fromDistance) * t), moving: true };
+        }
+        return {
+            position: [
+                state.from[0] + (state.to[0] - state.from[0]) * t,
+                state.from[1] + (state.to[1] - state.from[1]) * t
+            ],
+            moving: true
+        };
+    }
+
+    if (state.speed && state.track) {
+        const reckoned = Math.min(elapsed - state.duration, DEAD_RECKONING_MAX_MS);
+        const distance = state.track.toDistance + state.track.heading * state.speed * reckoned / 1000;
+        return { position: pointAlongLine(state.track.line, distance), moving: reckoned < DEAD_RECKONING_MAX_MS };
+    }
+
+    return { position: state.to, moving: false };
+}
+
+/**
+ * Moves every vehicle marker one animation frame, and keeps animating
+ * while any vehicle is still moving
+ * @param {number} now - requestAnimationFrame timestamp
+ */
+function animateVehicleMarkers(now) {
+    let moving = false;
+    vehicleMarkers.forEach(state => {
+        if (state.fadeTimer) return;
+        const frame = getVehicleFramePosition(state, now);
+        if (frame.position[0] !== state.position[0] || frame.position[1] !== state.position[1]) {
+            state.position = frame.position;
+            state.marker.setLngLat(frame.position);
+        }
+        moving = moving || frame.moving;
+    });
+
+    vehicleAnimationFrame = moving ? requestAnimationFrame(animateVehicleMarkers) : null;
+}
+
+/**
+ * Updates train markers on the map with current vehicle positions.
+ * Markers are kept per trainId and animated along their route line from the
+ * position they are drawn at to the new one; trains missing from the update fade out.
+ * @param {Array<Object>} vehicles - Array of vehicle position data
+ * @param {string} vehicles[].trainId - Train identifier (e.g., "K123")
+ * @param {number} vehicles[].direction - Direction (0=outbound, 1=inbound)
+ * @param {number} vehicles[].latitude - Vehicle latitude
+ * @param {number} vehicles[].longitude - Vehicle longitude
+ * @param {number} [vehicles[].speed] - Speed in meters per second
+ * @param {string} vehicles[].readableStatus - Human-readable status text
+ * @param {Object|null} [vehicles[].scheduleAdherence] - Schedule adherence from the server
+ * @param {number|null} [vehicles[].bearing] - Heading in degrees clockwise from north
+ * @param {string|null} [vehicles[].crowding] - 'low', 'medium', 'high' or 'full'
+ * @param {Object} [options]
+ * @param {boolean} [options.deadReckon=DEAD_RECKONING] - Keep moving trains at their speed until the next update
+ */
+function updateMapMarkers(vehicles, { deadReckon = DEAD_RECKONING } = {}) {
+    lastVehicleUpdate = { vehicles, options: { deadReckon } };
+
+    const selectedVehicles = vehicles.filter(vehicle => {
+        // The line buttons cover Muni; other agencies are shown or hidden as a whole
+        const isDefault = !vehicle.agency || vehicle.agency === defaultAgency;
+        const trainLine = vehicle.routeId || vehicle.trainId[0];
+        const lineSelected = isDefault ? Boolean(selectedTrainLines[trainLine]) : selectedAgencies.has(vehicle.agency);
+        return lineSelected &&
+            !(hideFullTrains && vehicle.crowding === 'full') &&
+            Number.isFinite(vehicle.longitude) && Number.isFinite(vehicle.latitude);
+    });
+    const now = performance.now();
+    const seen = new Set();
+
+    selectedVehicles.forEach(vehicle => {
+        const coordinate = [vehicle.longitude, vehicle.latitude];
+        seen.add(vehicle.trainId);
+
+        let state = vehicleMarkers.get(vehicle.trainId);
+        const isNew = !state;
+        if (isNew) {
+            state = createVehicleMarker(vehicle, coordinate);
+            vehicleMarkers.set(vehicle.trainId, state);
+        } else if (state.fadeTimer) {
+            // Back in the feed before it finished fading out
+            clearTimeout(state.fadeTimer);
+            state.fadeTimer = null;
+            state.container.classList.remove('fading');
+        }
+        renderVehicleMarker(state, vehicle);
+
+        const route = findVehicleRouteLine(vehicle, coordinate);
+        state.track = null;
+        if (route) {
+            const from = projectOntoLine(route.line, state.position);
+            // Shapes run in the direction of travel; undirected fallback lines follow the last move
+            const heading = route.feature.properties.direction ? 1 : Math.sign(route.distance - from.distance);
+            state.track = {
+                line: route.line,
+                // Only follow the line if the marker is already on it
+                alongLine: from.offset <= ROUTE_SNAP_METERS,
+                fromDistance: from.distance,
+                toDistance: route.distance,
+                heading
+            };
+        }
+        state.from = state.position;
+        state.to = coordinate;
+        state.start = now;
+        state.duration = isNew ? 0 : VEHICLE_ANIMATION_MS;
+        // Stopped trains (currentStatus 1) stay put
+        state.speed = deadReckon && vehicle.currentStatus !== 1 && vehicle.speed > 0 ? vehicle.speed : 0;
+    });
+
+    vehicleMarkers.forEach((state, trainId) => {
+        if (!seen.has(trainId)) fadeOutVehicleMarker(trainId);
+    });
+
+    if (!vehicleAnimationFrame && vehicleMarkers.size) {
+        vehicleAnimationFrame = requestAnimationFrame(animateVehicleMarkers);
+    }
+}
+
+// Headways between trains, from /api/headways
+let latestHeadways = null;
+let bunchedTrainIds = new Set();
+
+/**
+ * Fetches headways for the live vehicle positions, then updates the
+ * headway summary and the bunched-train highlights
+ * @async
+ * @throws {Error} If the API request fails
+ */
+async function fetchHeadways() {
+    try {
+        const response = await fetch('/api/headways');
+        if (response.status === 503) {
+            latestHeadways = { unavailable: true, lines: [] };
+        } else if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        } else {
+            latestHeadways = await response.json();
+        }
+    } catch (error) {
+        console.error('Error fetching headways:', error);
+        return;
+    }
+
+    bunchedTrainIds = new Set();
+    latestHeadways.lines.forEach(group => group.headways
+        .filter(headway => headway.status === 'bunched')
+        .forEach(headway => {
+            bunchedTrainIds.add(headway.leader);
+            bunchedTrainIds.add(headway.follower);
+        }));
+    vehicleMarkers.forEach((state, trainId) => {
+        state.container.classList.toggle('bunched', !playback.active && bunchedTrainIds.has(trainId));
+    });
+    renderHeadways();
+}
+
+/**
+ * Shows the headway summary for the selected lines in the info panel
+ */
+function renderHeadways() {
+    const container = document.getElementById('headway-summary');
+    if (!latestHeadways) return;
+    if (latestHeadways.unavailable) {
+        container.innerHTML = '<div class="loading">Headways need an imported GTFS schedule</div>';
+        return;
+    }
+
+    const groups = latestHeadways.lines.filter(group => selectedTrainLines[group.line]);
+    if (!groups.length) {
+        container.innerHTML = '<div class="loading">No trains running on the selected lines</div>';
+        return;
+    }
+
+    container.innerHTML = '';
+    groups.forEach(group => {
+        const { summary } = group;
+        const row = document.createElement('div');
+        row.className = 'headway-row';
+        row.appendChild(createLineBadge(group.line));
+
+        const text = document.createElement('div');
+        text.className = 'headway-text';
+        const trains = `${summary.trains} train${summary.trains === 1 ? '' : 's'} ${group.direction}`;
+        let spacing = '';
+        if (summary.minMinutes !== null) {
+            const min = Math.round(summary.minMinutes);
+            const max = Math.round(summary.maxMinutes);
+            spacing = min === max ? ` · ${min} min apart` : ` · ${min}–${max} min apart`;
+        }
+        text.textContent = trains + spacing;
+        row.appendChild(text);
+
+        if (summary.bunched) {
+            const flag = document.createElement('span');
+            flag.className = 'headway-flag headway-bunched';
+            flag.textContent = summary.bunched === 1 ? '1 bunched pair' : `${summary.bunched} bunched pairs`;
+            row.appendChild(flag);
+        }
+        if (summary.gaps) {
+            const largest = Math.round(summary.maxMinutes);
+            const flag = document.createElement('span');
+            flag.className = 'headway-flag headway-gap';
+            flag.textContent = summary.gaps === 1 ? `${largest} min gap` : `${summary.gaps} gaps, up to ${largest} min`;
+            row.appendChild(flag);
+        }
+        container.appendChild(row);
+    });
+}
+
+// Playback of recorded vehicle snapshots
+const playback = {
+    active: false,
+    snapshots: [],
+    from: 0,
+    to: 0,
+    time: 0,
+    index: -1,
+    timer: null
+};
+const PLAYBACK_TICK_MS = 250;
+
+/**
+ * Formats a date for a datetime-local input in the browser's time zone
+ * @param {Date} date - The date to format
+ * @returns {string} Value such as "2025-01-30T13:00"
+ */
+function toLocalInputValue(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Formats a playback position for the time label
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} Date and time with seconds
+ */
+function formatPlaybackTime(time) {
+    return new Date(time).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+}
+
+/**
+ * Shows a status or error message in the playback panel
+ * @param {string} message - Message text (empty to clear)
+ */
+function setPlaybackStatus(message) {
+    document.getElementById('playback-status').textContent = message;
 }
 
 /**
- * Fetches weather data from the API and updates the UI
+ * Loads recorded snapshots for the chosen window and switches the map to playback
  * @async
  * @throws {Error} If the API request fails
  */
-async function fetchWeather() {
+async function loadPlayback() {
+    const start = new Date(document.getElementById('playback-start').value);
+    const minutes = Number(document.getElementById('playback-duration').value);
+    if (isNaN(start.getTime())) {
+        setPlaybackStatus('Choose a start time');
+        return;
+    }
+    const end = new Date(start.getTime() + minutes * 60000);
+
     try {
-        const response = await fetch('/api/weather');
+        setPlaybackStatus('Loading recording…');
+        const params = new URLSearchParams({ from: start.toISOString(), to: end.toISOString() });
+        const response = await fetch(`/api/replay/vehicles?${params}`);
         if (!response.ok) throw new Error('Network response was not ok');
         const data = await response.json();
-        updateWeatherDisplay(data);
+
+        if (!data.snapshots.length) {
+            const rangeResponse = await fetch('/api/replay');
+            const range = await rangeResponse.json();
+            setPlaybackStatus(range.from
+                ? `No recordings in this window. Recorded data is available from ${formatPlaybackTime(Date.parse(range.from))} to ${formatPlaybackTime(Date.parse(range.to))}.`
+                : 'No recordings available yet');
+            return;
+        }
+
+        pausePlayback();
+        playback.snapshots = data.snapshots.map(snapshot => ({ ...snapshot, ms: Date.parse(snapshot.time) }));
+        playback.from = start.getTime();
+        playback.to = end.getTime();
+        playback.active = true;
+
+        const slider = document.getElementById('playback-slider');
+        slider.min = playback.from;
+        slider.max = playback.to;
+
+        document.getElementById('playback-controls').hidden = false;
+        document.querySelector('.info-panel').classList.add('playback-mode');
+        setPlaybackStatus(`Replaying ${playback.snapshots.length} recorded snapshots`);
+        seekPlayback(playback.snapshots[0].ms);
     } catch (error) {
-        console.error('Error fetching weather:', error);
-        document.getElementById('current-temp').textContent = 'Error';
-        document.getElementById('current-conditions').textContent = 'Error loading weather';
-        document.getElementById('forecast').textContent = 'Error loading forecast';
+        console.error('Error loading recording:', error);
+        setPlaybackStatus('Error loading recording');
     }
 }
 
 /**
- * Updates the weather display with current conditions and forecast
- * @param {Object} data - Weather data from OpenWeather API
+ * Moves playback to a point in time and redraws the map if a different snapshot applies
+ * @param {number} time - Milliseconds since epoch
  */
-function updateWeatherDisplay(data) {
-    const currentTemp = Math.round(data.current.main.temp);
-    const currentConditions = data.current.weather[0].description;
-    const iconCode = data.current.weather[0].icon;
-    
-    document.getElementById('current-temp').textContent = `${currentTemp}°F`;
-    document.getElementById('current-conditions').textContent = currentConditions;
-    
-    const iconElement = document.getElementById('weather-icon');
-    iconElement.className = `wi ${getWeatherIconClass(iconCode)}`;
-    
-    const nextThreeHours = data.forecast.list.slice(0, 3);
-    const forecastText = nextThreeHours
-        .map(f => {
-            const time = new Date(f.dt * 1000).toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit'
-            });
-            return `${time}: ${Math.round(f.main.temp)}°F, ${f.weather[0].description}`;
-        })
-        .join(' | ');
-    
-    document.getElementById('forecast').textContent = forecastText;
+function seekPlayback(time) {
+    playback.time = Math.min(Math.max(time, playback.from), playback.to);
+
+    // Latest snapshot at or before the playback time
+    let index = -1;
+    let low = 0;
+    let high = playback.snapshots.length - 1;
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        if (playback.snapshots[mid].ms <= playback.time) {
+            index = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    document.getElementById('playback-slider').value = playback.time;
+    document.getElementById('playback-time').textContent = formatPlaybackTime(playback.time);
+
+    if (index !== playback.index) {
+        playback.index = index;
+        renderPlaybackFrame();
+    }
 }
 
 /**
- * Maps OpenWeather icon codes to Weather Icons classes
- * @param {string} iconCode - OpenWeather icon code
- * @returns {string} Weather Icons class name
+ * Draws the current playback snapshot on the map
  */
-function getWeatherIconClass(iconCode) {
-    const iconMap = {
-        '01d': 'wi-day-sunny',
-        '01n': 'wi-night-clear',
-        '02d': 'wi-day-cloudy',
-        '02n': 'wi-night-alt-cloudy',
-        '03d': 'wi-cloud',
-        '03n': 'wi-cloud',
-        '04d': 'wi-cloudy',
-        '04n': 'wi-cloudy',
-        '09d': 'wi-showers',
-        '09n': 'wi-showers',
-        '10d': 'wi-day-rain',
-        '10n': 'wi-night-alt-rain',
-        '11d': 'wi-thunderstorm',
-        '11n': 'wi-thunderstorm',
-        '13d': 'wi-snow',
-        '13n': 'wi-snow',
-        '50d': 'wi-fog',
-        '50n': 'wi-fog'
-    };
-    return iconMap[iconCode] || 'wi-na';
+function renderPlaybackFrame() {
+    if (!mapLoaded) return;
+    const snapshot = playback.snapshots[playback.index];
+    updateMapMarkers(snapshot ? snapshot.vehicles : [], { deadReckon: false });
 }
 
 /**
- * Formats a timestamp into a human-readable string
- * Handles both regular timestamps and protobuf Long objects
- * @param {(number|Object)} timestamp - Unix timestamp or protobuf Long object
- * @returns {string} Formatted time string
+ * Starts playing from the current position at the selected speed
  */
-function formatTimestamp(timestamp) {
-    if (!timestamp) return 'N/A';
-    
-    if (timestamp.low !== undefined && timestamp.high !== undefined) {
-        const milliseconds = timestamp.low * 1000 + timestamp.high * 4294967296000;
-        timestamp = milliseconds;
+function startPlayback() {
+    if (playback.time >= playback.to) {
+        seekPlayback(playback.from);
     }
-    
-    const date = new Date(timestamp);
-    if (isNaN(date.getTime())) {
-        console.log('Invalid date');
-        return 'Invalid Date';
-    }
-    return date.toLocaleString('en-US', { 
-        hour: 'numeric', 
-        minute: 'numeric',
-        second: 'numeric',
-        hour12: true 
-    });
+    playback.timer = setInterval(() => {
+        const speed = Number(document.getElementById('playback-speed').value);
+        seekPlayback(playback.time + PLAYBACK_TICK_MS * speed);
+        if (playback.time >= playback.to) {
+            pausePlayback();
+        }
+    }, PLAYBACK_TICK_MS);
+    document.getElementById('playback-toggle').textContent = 'Pause';
 }
 
-// Mapbox initialization
-let map;
-let mapLoaded = false;
-
 /**
- * Initializes the Mapbox map and sets up event handlers
- * Fetches Mapbox token from server and configures the map with SF-specific settings
- * @async
- * @throws {Error} If configuration fetch fails or map initialization fails
+ * Pauses playback at the current position
  */
-async function initializeMap() {
-    try {
-        const response = await fetch('/api/config');
-        if (!response.ok) throw new Error('Failed to fetch configuration');
-        const config = await response.json();
-        
-        mapboxgl.accessToken = config.mapboxToken;
-        map = new mapboxgl.Map({
-            container: 'map',
-            style: 'mapbox://styles/mapbox/dark-v10',
-            center: [-122.4194, 37.7749], // San Francisco coordinates
-            zoom: 12
-        });
-
-        map.on('load', () => {
-            mapLoaded = true;
-            fetchVehiclePositions();
-            fetchAndDrawRoutes();
-            fetchAndPlotStops();
-        });
-    } catch (error) {
-        console.error('Error initializing map:', error);
-    }
+function pausePlayback() {
+    clearInterval(playback.timer);
+    playback.timer = null;
+    document.getElementById('playback-toggle').textContent = 'Play';
 }
 
 /**
- * Handles map resize events
+ * Leaves playback and returns the map to live vehicle positions
  */
-function resizeMap() {
-    if (map) {
-        map.resize();
-    }
+function exitPlayback() {
+    pausePlayback();
+    playback.active = false;
+    playback.snapshots = [];
+    playback.index = -1;
+    document.getElementById('playback-controls').hidden = true;
+    document.querySelector('.info-panel').classList.remove('playback-mode');
+    setPlaybackStatus('');
+    fetchVehiclePositions();
 }
 
-// Initialize map on page load
-initializeMap();
-
-// Add event listener for window resize
-window.addEventListener('resize', resizeMap);
+/**
+ * Sets up the playback panel controls
+ */
+function initializePlaybackControls() {
+    document.getElementById('playback-start').value = toLocalInputValue(new Date(Date.now() - 60 * 60000));
+    document.getElementById('playback-load').addEventListener('click', loadPlayback);
+    document.getElementById('playback-toggle').addEventListener('click', () => {
+        if (playback.timer) {
+            pausePlayback();
+        } else {
+            startPlayback();
+        }
+    });
+    document.getElementById('playback-slider').addEventListener('input', (event) => {
+        seekPlayback(Number(event.target.value));
+    });
+    document.getElementById('playback-exit').addEventListener('click', exitPlayback);
+}
 
-let markers = [];
+// Offline support: the service worker keeps the app and the last predictions,
+// vehicles and weather, and serves them with an X-Cached-At header when offline
+const OFFLINE_REFRESH_MS = 5 * 60000;
+const STALE_REDRAW_MS = 30000;
+let connectionState = 'connecting';
+// When the trains on the map were last updated
+let vehiclesAsOf = null;
+
+window.addEventListener('offline', () => {
+    if (eventSource) {
+        eventSource.close();
+        handleStreamDrop();
+    }
+});
+window.addEventListener('online', connectStream);
 
 /**
- * Fetches current vehicle positions from the API
+ * Registers the service worker that caches the app for offline use and shows push notifications
  * @async
- * @throws {Error} If the API request fails
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null if unsupported
  */
-async function fetchVehiclePositions() {
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return null;
     try {
-        const response = await fetch('/api/vehicles');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
-        if (!data || !data.vehicles) {
-            throw new Error('Invalid data structure received from server');
-        }
-        if (data.vehicles.length > 0 && mapLoaded) {
-            updateMapMarkers(data.vehicles);
-        }
+        return await navigator.serviceWorker.register('sw.js');
     } catch (error) {
-        console.error('Error fetching vehicle positions:', error);
+        console.error('Error registering service worker:', error);
+        return null;
     }
 }
 
-// Route line styling using CSS variables
-const routeLineStyle = {
-    J: { color: getRouteColor('j'), width: 3 },
-    K: { color: getRouteColor('k'), width: 3 },
-    L: { color: getRouteColor('l'), width: 3 },
-    M: { color: getRouteColor('m'), width: 3 },
-    N: { color: getRouteColor('n'), width: 3 },
-    T: { color: getRouteColor('t'), width: 3 }
-};
+/**
+ * Gets when a response was fetched, if the service worker served it from its offline cache
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Fetch time in milliseconds, or null for a live response
+ */
+function getCachedAt(response) {
+    const cachedAt = Date.parse(response.headers.get('X-Cached-At'));
+    return isNaN(cachedAt) ? null : cachedAt;
+}
 
 /**
- * Plots train stops on the map for selected lines
- * @param {Array<Object>} routes - Array of route data
- * @param {string} routes[].line - Train line identifier
- * @param {Array<Object>} routes[].stops - Array of stop data
+ * Formats the time data was fetched for staleness labels
+ * @param {number} time - Time in milliseconds
+ * @returns {string} e.g. "as of 5:42 PM"
  */
-function plotTrainStops(routes) {
-    if (map.getLayer('train-stops')) {
-        map.removeLayer('train-stops');
-    }
-    if (map.getSource('train-stops')) {
-        map.removeSource('train-stops');
-    }
+function formatAsOf(time) {
+    return `as of ${new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`;
+}
 
-    const features = [];
-    routes.forEach(route => {
-        if (!selectedTrainLines[route.line]) return;
-        
-        route.stops.forEach(stop => {
-            if (!stop.lat || !stop.long) return;
-            
-            features.push({
-                type: 'Feature',
-                geometry: {
-                    type: 'Point',
-                    coordinates: [parseFloat(stop.long), parseFloat(stop.lat)]
-                },
-                properties: {
-                    id: stop.id,
-                    name: stop.name,
-                    line: route.line,
-                    color: getRouteColor(route.line)
-                }
-            });
-        });
-    });
+/**
+ * Redraws every saved stop card from its last predictions, counting
+ * minutes away again from the expected arrival times
+ */
+function redrawPredictions() {
+    latestPredictions.forEach((data, stopId) => showStopPredictions(stopId, data));
+}
 
-    map.addSource('train-stops', {
-        type: 'geojson',
-        data: {
-            type: 'FeatureCollection',
-            features: features
-        }
-    });
+/**
+ * Refetches predictions and vehicles so the service worker's offline copies
+ * stay current while the live stream delivers the updates
+ */
+function refreshOfflineCopies() {
+    if (connectionState !== 'live' || !navigator.serviceWorker?.controller) return;
+    const stopIds = getSavedStopIds();
+    const urls = [...selectedAgencies].map(agency => `/api/vehicles${agencyQuery(agency)}`);
+    if (stopIds.length) {
+        urls.push(`/api/predictions?stops=${encodeURIComponent(stopIds.join(','))}`);
+    }
+    urls.forEach(url => fetch(url).catch(error => console.error('Error refreshing offline copy:', error)));
+}
 
-    map.addLayer({
-        id: 'train-stops',
-        type: 'circle',
-        source: 'train-stops',
-        paint: {
-            'circle-radius': 6,
-            'circle-color': ['get', 'color'],
-            'circle-stroke-width': 2,
-            'circle-stroke-color': '#ffffff'
-        }
-    });
+// Live update stream (Server-Sent Events) with polling fallback
+let eventSource = null;
+let lastEventId = null;
+let streamWatchdog = null;
+let reconnectTimer = null;
+let reconnectDelay = 5000;
+let pollingTimers = [];
+// Two missed server heartbeats mean the stream is dead even if the socket is open
+const STREAM_TIMEOUT_MS = 45000;
+const MAX_RECONNECT_DELAY_MS = 60000;
 
-    const popup = new mapboxgl.Popup({
-        closeButton: false,
-        closeOnClick: false
-    });
+/**
+ * Updates the live/reconnecting indicator in the top bar; while not live it
+ * also says how old the trains on the map are
+ * @param {('connecting'|'live'|'reconnecting'|'offline')} state - Stream state
+ */
+function setConnectionStatus(state) {
+    const labels = {
+        connecting: 'Connecting…',
+        live: 'Live',
+        reconnecting: 'Reconnecting…',
+        offline: 'Offline'
+    };
+    connectionState = state;
+    const trainsAsOf = state !== 'live' && vehiclesAsOf ? ` · trains ${formatAsOf(vehiclesAsOf)}` : '';
+    document.getElementById('connection-status').className = `connection-status ${state}`;
+    document.getElementById('connection-label').textContent = labels[state] + trainsAsOf;
+}
 
-    map.on('mouseenter', 'train-stops', (e) => {
-        map.getCanvas().style.cursor = 'pointer';
-        
-        const coordinates = e.features[0].geometry.coordinates.slice();
-        const stopId = e.features[0].properties.id;
-        const stopName = e.features[0].properties.name;
-        
-        popup.setLngLat(coordinates)
-            .setHTML(`<strong>Stop #${stopId}</strong><br>${stopName}`)
-            .addTo(map);
-    });
+/**
+ * Starts polling the REST endpoints while the stream is unavailable
+ */
+function startPolling() {
+    if (pollingTimers.length) return;
+    fetchPredictions();
+    fetchVehiclePositions();
+    pollingTimers = [
+        setInterval(fetchPredictions, 60000),
+        setInterval(fetchVehiclePositions, 60000),
+        setInterval(fetchAlerts, 300000)
+    ];
+}
 
-    map.on('mouseleave', 'train-stops', () => {
-        map.getCanvas().style.cursor = '';
-        popup.remove();
-    });
+/**
+ * Stops fallback polling once the stream is back
+ */
+function stopPolling() {
+    pollingTimers.forEach(timer => clearInterval(timer));
+    pollingTimers = [];
 }
 
 /**
- * Fetches and plots train stops for all lines
- * @async
- * @throws {Error} If fetching stops data fails
+ * Restarts the watchdog that detects a silent stream
  */
-async function fetchAndPlotStops() {
-    try {
-        const response = await fetch('/train-routes.json');
-        const data = await response.json();
-        if (mapLoaded) {
-            plotTrainStops(data.routes);
-        }
-    } catch (error) {
-        console.error('Error fetching train stops:', error);
-    }
+function resetStreamWatchdog() {
+    clearTimeout(streamWatchdog);
+    streamWatchdog = setTimeout(() => {
+        console.warn('Live stream timed out, reconnecting');
+        eventSource.close();
+        handleStreamDrop();
+    }, STREAM_TIMEOUT_MS);
 }
 
 /**
- * Fetches and draws route lines on the map
- * @async
- * @throws {Error} If fetching route data fails
+ * Falls back to polling and schedules a reconnect if the browser has given up
  */
-async function fetchAndDrawRoutes() {
-    try {
-        const response = await fetch('/api/lines');
-        const linesData = await response.json();
-        
-        const railLines = linesData.filter(line => 
-            line.LineShortName.match(/^[JKLMNT]$/i)
-        );
+function handleStreamDrop() {
+    setConnectionStatus(navigator.onLine ? 'reconnecting' : 'offline');
+    redrawPredictions();
+    startPolling();
+    clearTimeout(streamWatchdog);
+
+    // EventSource retries on its own unless the connection is closed for good
+    if (eventSource.readyState === EventSource.CLOSED) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(connectStream, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+    }
+}
 
-        for (const line of railLines) {
-            const patternResponse = await fetch(`/api/patterns/${line.LineShortName}`);
-            const patternData = await patternResponse.json();
-            
-            if (patternData.Patterns?.Pattern?.PatternPath?.Point) {
-                const coordinates = patternData.Patterns.Pattern.PatternPath.Point
-                    .map(point => [parseFloat(point.Lon), parseFloat(point.Lat)]);
-                
-                if (map.getSource(line.LineShortName)) {
-                    map.getSource(line.LineShortName).setData({
-                        type: 'Feature',
-                        geometry: {
-                            type: 'LineString',
-                            coordinates: coordinates
-                        }
-                    });
-                } else {
-                    map.addLayer({
-                        id: line.LineShortName,
-                        type: 'line',
-                        source: {
-                            type: 'geojson',
-                            data: {
-                                type: 'Feature',
-                                geometry: {
-                                    type: 'LineString',
-                                    coordinates: coordinates
-                                }
-                            }
-                        },
-                        paint: {
-                            'line-color': getRouteColor(line.LineShortName),
-                            'line-width': routeLineStyle[line.LineShortName].width
-                        }
-                    });
-                }
-            }
+/**
+ * Wraps a stream event handler to track the last event ID and parse its data
+ * @param {Function} handler - Called with the parsed event data
+ * @returns {Function} EventSource listener
+ */
+function streamHandler(handler) {
+    return (event) => {
+        resetStreamWatchdog();
+        if (event.lastEventId) {
+            lastEventId = event.lastEventId;
         }
-    } catch (error) {
-        console.error('Error drawing routes:', error);
-    }
+        handler(JSON.parse(event.data));
+    };
 }
 
 /**
- * Updates train markers on the map with current vehicle positions
- * Creates or updates markers with train line colors and direction indicators
- * @param {Array<Object>} vehicles - Array of vehicle position data
- * @param {string} vehicles[].trainId - Train identifier (e.g., "K123")
- * @param {number} vehicles[].direction - Direction (0=inbound, 1=outbound)
- * @param {number} vehicles[].latitude - Vehicle latitude
- * @param {number} vehicles[].longitude - Vehicle longitude
- * @param {string} vehicles[].readableStatus - Human-readable status text
+ * Opens the live update stream for the current stops and selected lines,
+ * resuming after the last received event if there is one
  */
-function updateMapMarkers(vehicles) {
-    markers.forEach(marker => marker.remove());
-    markers = [];
+function connectStream() {
+    if (eventSource) {
+        eventSource.close();
+    }
+    clearTimeout(reconnectTimer);
 
-    const selectedVehicles = vehicles.filter(vehicle => {
-        const trainLine = trainLines.find(line => vehicle.trainId.startsWith(line));
-        return trainLine && selectedTrainLines[trainLine];
+    const params = new URLSearchParams({
+        agencies: [...selectedAgencies].join(','),
+        stops: getSavedStopIds().join(','),
+        lines: trainLines.filter(line => selectedTrainLines[line]).join(','),
+        clientId: notificationClientId
     });
+    if (lastEventId) {
+        params.set('lastEventId', lastEventId);
+    }
 
-    selectedVehicles.forEach(vehicle => {
-        const markerContainer = document.createElement('div');
-        markerContainer.className = 'marker-container';
-
-        const el = document.createElement('div');
-        el.className = 'train-marker';
-        el.innerHTML = vehicle.trainId[0];
-        el.style.backgroundColor = getRouteColor(vehicle.trainId[0]);
-        el.style.color = '#ffffff';
-        el.style.width = '32px';
-        el.style.height = '32px';
-        el.style.borderRadius = '50%';
-        el.style.display = 'flex';
-        el.style.justifyContent = 'center';
-        el.style.alignItems = 'center';
-        el.style.fontWeight = 'bold';
-        el.style.fontSize = '16px';
-
-        const directionIndicator = document.createElement('div');
-        directionIndicator.className = 'direction-indicator';
-        directionIndicator.innerHTML = vehicle.direction === 0 ? 'in' : 'out';
-        directionIndicator.style.backgroundColor = vehicle.direction === 0 ? '#4CAF50' : '#FFA500';
-        directionIndicator.style.color = '#ffffff';
-        directionIndicator.style.width = '24px';
-        directionIndicator.style.height = '24px';
-        directionIndicator.style.borderRadius = '50%';
-        directionIndicator.style.display = 'flex';
-        directionIndicator.style.justifyContent = 'center';
-        directionIndicator.style.alignItems = 'center';
-        directionIndicator.style.fontWeight = 'bold';
-        directionIndicator.style.fontSize = '10px';
-        directionIndicator.style.position = 'absolute';
-        directionIndicator.style.top = '-8px';
-        directionIndicator.style.right = '-8px';
-
-        markerContainer.appendChild(el);
-        markerContainer.appendChild(directionIndicator);
-
-        const popup = new mapboxgl.Popup({
-            closeButton: true,
-            closeOnClick: false,
-            className: 'dark-theme-popup',
-            offset: [0, -10]
-        }).setHTML(`<h3>Train ${vehicle.trainId}</h3><p>${vehicle.readableStatus}</p>`);
-
-        const marker = new mapboxgl.Marker({
-            element: markerContainer,
-            anchor: 'center'
-        })
-        .setLngLat([vehicle.longitude, vehicle.latitude])
-        .setPopup(popup)
-        .addTo(map);
-
-        el.addEventListener('click', () => {
-            markers.forEach(m => m.getPopup().remove());
-            popup.addTo(map);
-        });
+    eventSource = new EventSource(`/api/stream?${params}`);
 
-        markers.push(marker);
-    });
+    eventSource.onopen = () => {
+        setConnectionStatus('live');
+        stopPolling();
+        reconnectDelay = 5000;
+        resetStreamWatchdog();
+        redrawPredictions();
+        refreshOfflineCopies();
+    };
+    eventSource.onerror = handleStreamDrop;
+
+    eventSource.addEventListener('predictions', streamHandler(data => {
+        showStopPredictions(data.stopId, { ...data, asOf: Date.now() });
+        updateTimeDisplay();
+    }));
+    eventSource.addEventListener('vehicles', streamHandler(data => {
+        vehiclesAsOf = Date.now();
+        showAgencyVehicles(data.agency || defaultAgency, data.vehicles);
+    }));
+    eventSource.addEventListener('alerts', streamHandler(data => applyAlerts(data.alerts, data.agency || defaultAgency)));
+    eventSource.addEventListener('notification', streamHandler(showArrivalNotification));
+    eventSource.addEventListener('heartbeat', streamHandler(() => {}));
+}
+
+/**
+ * Reconnects the stream after the subscribed agencies, stops or lines change
+ */
+function resubscribe() {
+    // A new subscription needs a fresh snapshot rather than a replay
+    lastEventId = null;
+    connectStream();
+    if (pollingTimers.length) {
+        fetchPredictions();
+        fetchVehiclePositions();
+        fetchAlerts();
+    }
 }
 
 /**
@@ -763,32 +3617,32 @@ function updateMapMarkers(vehicles) {
  * @async
  */
 async function initializePage() {
+    await loadAgencies();
     await loadAllStops();
-    const inboundStop = allStops.get(currentStops.inbound);
-    const outboundStop = allStops.get(currentStops.outbound);
-    if (inboundStop) {
-        document.getElementById('inbound-location').textContent = inboundStop.name;
-    }
-    if (outboundStop) {
-        document.getElementById('outbound-location').textContent = outboundStop.name;
-    }
+    await loadLineCatalogue();
+    updateStopFilters();
+    renderSavedStops();
     generateTrainLineButtons();
-    fetchPredictions();
+    initializePlaybackControls();
+    // Predictions, vehicles and alerts arrive over the live stream
+    connectStream();
     fetchWeather();
-    fetchVehiclePositions();
+    initializeNotifications(await registerServiceWorker());
 }
 
-// Update predictions every minute
-setInterval(fetchPredictions, 60000);
-
 // Update weather every 15 minutes
 setInterval(fetchWeather, 900000);
 
-// Update vehicle positions every minute
-setInterval(fetchVehiclePositions, 60000);
-
 // Update time display every second
 setInterval(updateTimeDisplay, 1000);
 
+// Count down minutes away on predictions kept while the stream is down
+setInterval(() => {
+    if (connectionState !== 'live') redrawPredictions();
+}, STALE_REDRAW_MS);
+
+// Keep the offline copies of predictions and vehicles current
+setInterval(refreshOfflineCopies, OFFLINE_REFRESH_MS);
+
 // Call initializePage when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', initializePage);
@@ -0,0 +1,125 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Service worker for the tracker. It keeps the app shell and the last
+ * successful predictions, vehicles, weather and line catalogue responses so the page still
+ * shows something useful offline (in the Muni tunnel, say), and shows Web Push
+ * notifications sent by the server for arrival alerts.
+ */
+
+// Bump to replace every cached file on the next visit
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/script.js',
+    '/train-routes.json',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+// API responses kept for offline use; the copy carries the time it was fetched
+const DATA_PATHS = ['/api/predictions', '/api/vehicles', '/api/weather', '/api/lines/catalogue'];
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL_FILES))
+        .then(() => self.skipWaiting()));
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+/**
+ * Fetches an API response, keeping a copy stamped with the fetch time, and
+ * falls back to the last copy when the network is unavailable
+ * @async
+ * @param {Request} request - The API request
+ * @returns {Promise<Response>} Live response, or the cached copy with an X-Cached-At header
+ */
+async function fetchData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+            const body = await response.clone().blob();
+            await cache.put(request, new Response(body, { status: response.status, headers }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Fetches a shell file, refreshing the cached copy, and falls back to the
+ * cache when the network is unavailable
+ * @async
+ * @param {Request} request - The request for a shell file or page
+ * @returns {Promise<Response>} Live or cached response
+ */
+async function fetchShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' && await cache.match('/'));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (DATA_PATHS.includes(url.pathname)) {
+        event.respondWith(fetchData(event.request));
+    } else if (event.request.mode === 'navigate' || SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(fetchShell(event.request));
+    }
+});
+
+self.addEventListener('push', event => {
+    const payload = event.data ? event.data.json() : {};
+    event.waitUntil(self.registration.showNotification(payload.title || 'SF Muni Metro', {
+        body: payload.body,
+        tag: payload.tag,
+        renotify: Boolean(payload.tag),
+        icon: '/icon.svg',
+        data: { url: payload.url || '/' }
+    }));
+});
+
+// Focus an open tracker window, or open one, when a notification is clicked
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const open = windows.find(client => client.url.startsWith(self.location.origin));
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Imports the GTFS static feed into a versioned data bundle for the server
+ * and regenerates public/train-routes.json for the browser.
+ *
+ * With --agency for an agency other than SF Muni, only that agency's stop
+ * catalogue is written, to public/routes/<agency>.json; the server's bundle
+ * (and everything built on it) stays Muni only.
+ *
+ * Usage: node scripts/import-gtfs.js [options]
+ *   --agency <id>         511.org agency code (default SF); must be listed in AGENCIES
+ *   --file <path>         Import a local GTFS zip or unzipped feed directory
+ *                         instead of downloading through DATA_PROVIDER
+ *   --out <dir>           Bundle directory (default GTFS_DATA_DIR or data/gtfs)
+ *   --routes-file <path>  Where to write train-routes.json (default public/train-routes.json,
+ *                         or public/routes/<agency>.json for other agencies)
+ *   --keep <n>            Number of bundle versions to keep (default 5)
+ *   --dry-run             Validate and show the diff without writing anything
+ *   --force               Write the bundle even if validation fails or the feed is unchanged
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const gtfsImport = require('../server/gtfs-import');
+const agencies = require('../server/agencies');
+const { GTFS_DATA_DIR } = require('../server/gtfs-static');
+
+const USAGE = `Usage: node scripts/import-gtfs.js [--agency <id>] [--file <zip|dir>] [--out <dir>] [--routes-file <path>] [--keep <n>] [--dry-run] [--force]`;
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ * @throws {Error} If an argument is unknown or missing its value, or the agency is not enabled
+ */
+function parseArgs(argv) {
+    const options = {
+        agency: agencies.DEFAULT_AGENCY,
+        file: null,
+        out: GTFS_DATA_DIR,
+        routesFile: null,
+        keep: 5,
+        dryRun: false,
+        force: false
+    };
+    const valueFlags = { '--agency': 'agency', '--file': 'file', '--out': 'out', '--routes-file': 'routesFile', '--keep': 'keep' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (valueFlags[arg]) {
+            if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+            options[valueFlags[arg]] = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    options.keep = Number(options.keep);
+    if (!Number.isInteger(options.keep) || options.keep < 1) {
+        throw new Error('--keep must be a positive whole number');
+    }
+    options.agency = agencies.getAgency(options.agency).id;
+    options.routesFile = options.routesFile || (options.agency === agencies.DEFAULT_AGENCY
+        ? path.join(__dirname, '..', 'public', 'train-routes.json')
+        : path.join(agencies.ROUTES_DIR, `${options.agency}.json`));
+    return options;
+}
+
+/**
+ * Writes the stop catalogue for an agency other than SF Muni, which has no server bundle
+ * @param {Object} bundle - Bundle from parseFeed
+ * @param {Object} agency - Agency from agencies.getAgency
+ * @param {Array<string>} errors - Validation errors
+ * @param {Object} options - Options from parseArgs
+ * @returns {number} Process exit code
+ */
+function writeAgencyRoutes(bundle, agency, errors, options) {
+    if (options.dryRun) {
+        console.log('Dry run; nothing written.');
+        return errors.length ? 1 : 0;
+    }
+    if (errors.length && !options.force) {
+        console.error('Validation failed; nothing written. Use --force to write the stop list anyway.');
+        return 1;
+    }
+
+    fs.mkdirSync(path.dirname(options.routesFile), { recursive: true });
+    gtfsImport.writeTrainRoutes(bundle, options.routesFile, agency.lines);
+    console.log(`Wrote ${agency.name} stops to ${options.routesFile}`);
+    return 0;
+}
+
+/**
+ * Runs the import
+ * @async
+ * @returns {Promise<number>} Process exit code
+ */
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let zipBuffer;
+    let source;
+    if (options.file) {
+        source = path.resolve(options.file);
+        console.log(`Reading GTFS feed from ${source}...`);
+        zipBuffer = gtfsImport.readFeedFile(source);
+    } else {
+        const provider = require('../server/providers');
+        source = `${provider.name} provider`;
+        console.log(`Downloading GTFS feed through the ${provider.name} provider...`);
+        zipBuffer = await provider.getStaticFeed(options.agency);
+    }
+
+    const agency = agencies.getAgency(options.agency);
+    // Other agencies keep every route unless they list lines, and need none of the Muni lines
+    const { bundle, report } = await gtfsImport.parseFeed(zipBuffer, agency.id === agencies.DEFAULT_AGENCY
+        ? {}
+        : { lines: agency.lines, requiredLines: agency.lines || [] });
+    const importedAt = new Date();
+    bundle.version = gtfsImport.makeVersion(bundle, importedAt);
+    bundle.importedAt = importedAt.toISOString();
+    bundle.source = source;
+
+    const { stats } = bundle;
+    console.log(`Parsed ${stats.routes} lines, ${stats.trips} trips, ${stats.stopTimes} stop times, ` +
+        `${stats.stops} stops, ${stats.shapes} shapes and ${stats.services} services`);
+
+    const { errors, warnings } = gtfsImport.validateFeed(bundle, report);
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+    errors.forEach(error => console.error(`Error: ${error}`));
+
+    if (agency.id !== agencies.DEFAULT_AGENCY) {
+        return writeAgencyRoutes(bundle, agency, errors, options);
+    }
+
+    const previous = gtfsImport.readBundle(options.out);
+    const diff = gtfsImport.diffBundles(previous, bundle);
+    console.log(gtfsImport.formatDiff(diff).join('\n'));
+
+    if (options.dryRun) {
+        console.log('Dry run; nothing written.');
+        return errors.length ? 1 : 0;
+    }
+    if (errors.length && !options.force) {
+        console.error('Validation failed; nothing written. Use --force to write the bundle anyway.');
+        return 1;
+    }
+    if (diff?.unchanged && !options.force) {
+        console.log('Nothing to do.');
+        return 0;
+    }
+
+    const bundleFile = gtfsImport.writeBundle(bundle, { dir: options.out, keep: options.keep });
+    console.log(`Wrote bundle ${bundle.version} to ${bundleFile}`);
+    gtfsImport.writeTrainRoutes(bundle, options.routesFile);
+    console.log(`Wrote ${options.routesFile}`);
+    console.log('Restart the server to load the new bundle.');
+    return 0;
+}
+
+main()
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error('GTFS import failed:', error.message);
+        process.exitCode = 1;
+    });
@@ -6,20 +6,40 @@
  */
 
 const express = require('express');
-const axios = require('axios');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
-
-// Validate required environment variables
-const requiredEnvVars = ['TRANSIT_API_KEY', 'WEATHER_API_KEY', 'MAPBOX_ACCESS_TOKEN'];
-for (const envVar of requiredEnvVars) {
-    if (!process.env[envVar]) {
-        console.error(`Error: ${envVar} environment variable is required`);
-        process.exit(1);
+const provider = require('./server/providers');
+const weatherProvider = require('./server/providers/weather');
+const transit = require('./server/transit');
+const poller = require('./server/poller');
+const stream = require('./server/stream');
+const recorder = require('./server/recorder');
+const stops = require('./server/stops');
+const gtfsStatic = require('./server/gtfs-static');
+const routeShapes = require('./server/route-shapes');
+const headways = require('./server/headways');
+const history = require('./server/history');
+const tripPlanner = require('./server/trip-planner');
+const notifications = require('./server/notifications');
+const agencies = require('./server/agencies');
+const lineCatalogue = require('./server/lines');
+const weather = require('./server/weather');
+const predictions = require('./server/predictions');
+
+// Validate the environment variables required by the selected data and weather providers
+for (const [kind, selected] of [['data', provider], ['weather', weatherProvider]]) {
+    for (const envVar of selected.requiredEnv) {
+        if (!process.env[envVar]) {
+            console.error(`Error: ${envVar} environment variable is required for the ${selected.name} ${kind} provider`);
+            process.exit(1);
+        }
     }
 }
+if (!process.env.MAPBOX_ACCESS_TOKEN) {
+    console.warn('Warning: MAPBOX_ACCESS_TOKEN is not set; the map will not be displayed');
+}
 
 const app = express();
 
@@ -32,7 +52,7 @@ app.use(helmet.contentSecurityPolicy({
     styleSrc: ["'self'", "'unsafe-inline'", "*.mapbox.com", "'unsafe-hashes'"],
     imgSrc: ["'self'", "data:", "blob:", "*.mapbox.com", "*.openweathermap.org"],
     connectSrc: ["'self'", "*.mapbox.com", "https://events.mapbox.com", "api.511.org", "api.openweathermap.org"],
-    workerSrc: ["blob:"],
+    workerSrc: ["'self'", "blob:"],
     childSrc: ["blob:"]
   }
 }));
@@ -51,45 +71,19 @@ app.use((req, res, next) => {
 });
 const port = process.env.PORT || 3000;
 
-const TRANSIT_API_URL = 'https://api.511.org/transit/StopMonitoring';
-const VEHICLE_POSITIONS_URL = 'https://api.511.org/transit/vehiclepositions';
-const protobuf = require('protobufjs');
-
-// Default stop information
-const STOPS = {
-    '17109': 'Inbound to Downtown',
-    '16503': 'Outbound to Ocean Beach'
-};
+// Serve static files from public directory
+app.use(express.static('public'));
+app.use(express.json({ limit: '16kb' }));
 
 /**
- * Makes API calls to 511.org to get real-time predictions for a specific stop
- * @param {string} stopId - The ID of the stop to get predictions for
- * @returns {Promise<Object>} The prediction data from 511.org
- * @throws {Error} If the API call fails or returns invalid data
+ * GET /board
+ * Full-screen departure board for wall displays, configured through its query string
+ * @route GET /board
+ * @returns {HTML} public/board.html
  */
-async function getStopPredictions(stopId) {
-    try {
-        const url = new URL(TRANSIT_API_URL);
-        const params = {
-            api_key: process.env.TRANSIT_API_KEY,
-            agency: 'SF',  // SF for San Francisco Muni
-            stopCode: stopId,
-            format: 'json'
-        };
-        Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
-        // console.log('Making 511.org API call to:', url.toString());
-        
-        const response = await axios.get(url.toString());
-        // console.log('Response for stop', stopId + ':', JSON.stringify(response.data, null, 2));
-        return response.data;
-    } catch (error) {
-        console.error(`Error calling 511.org API for stop ${stopId}:`, error.response?.data || error.message);
-        throw error;
-    }
-}
-
-// Serve static files from public directory
-app.use(express.static('public'));
+app.get('/board', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'board.html'));
+});
 
 // Endpoint to get environment variables needed by frontend
 app.get('/api/config', (req, res) => {
@@ -98,239 +92,760 @@ app.get('/api/config', (req, res) => {
     });
 });
 
+/**
+ * Reads the agency query parameter
+ * @param {Object} req - Express request
+ * @returns {string} Agency code, defaulting to SF Muni
+ * @throws {RangeError} If the agency is not enabled
+ */
+function getAgencyParam(req) {
+    return agencies.getAgency(req.query.agency || agencies.DEFAULT_AGENCY).id;
+}
+
+/**
+ * GET /api/agencies
+ * Returns the agencies enabled with AGENCIES, with their line colors and stop lists
+ * @route GET /api/agencies
+ * @returns {Object} Default agency ID and each agency's name, colors and stops file
+ */
+app.get('/api/agencies', (req, res) => {
+    res.json({
+        defaultAgency: agencies.DEFAULT_AGENCY,
+        agencies: agencies.describeAgencies()
+    });
+});
+
+/**
+ * Reads the stops query parameter as stop references
+ * @param {Object} req - Express request
+ * @returns {{stopIds: Array<string>, stopRefs: Array<string>}} Stop IDs as
+ *   requested, and their stop references
+ * @throws {RangeError} If no stops or too many are listed, or a stop's agency is not enabled
+ */
+function getStopsParam(req) {
+    const stopIds = [...new Set(String(req.query.stops || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (!stopIds.length) {
+        throw new RangeError('stops must list at least one stop ID');
+    }
+    if (stopIds.length > transit.MAX_STOPS) {
+        throw new RangeError(`At most ${transit.MAX_STOPS} stops can be requested at once`);
+    }
+
+    const agency = getAgencyParam(req);
+    const stopRefs = stopIds.map(stopId => {
+        const stopRef = stopId.includes(':') ? stopId : agencies.toStopRef(agency, stopId);
+        agencies.parseStopRef(stopRef);
+        return stopRef;
+    });
+    return { stopIds, stopRefs };
+}
+
+/**
+ * Reads one of the legacy inbound/outbound query parameters as a stop reference
+ * @param {Object} req - Express request
+ * @param {string} name - Query parameter name
+ * @param {string} defaultStopId - Stop ID used when the parameter is left out
+ * @returns {string} Stop reference
+ * @throws {RangeError} If the parameter is repeated or the stop's agency is not enabled
+ */
+function getLegacyStopParam(req, name, defaultStopId) {
+    const value = req.query[name];
+    if (!value) return defaultStopId;
+    if (typeof value !== 'string') {
+        throw new RangeError(`${name} must be a single stop ID`);
+    }
+
+    const stopId = value.trim();
+    const stopRef = stopId.includes(':') ? stopId : agencies.toStopRef(getAgencyParam(req), stopId);
+    agencies.parseStopRef(stopRef);
+    return stopRef;
+}
+
+/**
+ * Reads the lines query parameter, which limits predictions to some lines
+ * @param {Object} req - Express request
+ * @returns {Array<string>|undefined} Uppercase line IDs, or undefined for all lines
+ */
+function getLinesParam(req) {
+    if (!req.query.lines) return undefined;
+    const lines = [...new Set(String(req.query.lines).split(',').map(line => line.trim().toUpperCase()).filter(Boolean))];
+    return lines.length ? lines : undefined;
+}
+
+/**
+ * Fetches predictions for the stops and lines in the query string and maps
+ * each stop's SIRI predictions into its response entry
+ * @async
+ * @param {Object} req - Express request (query: stops, agency, lines)
+ * @param {Function} mapStop - Called as mapStop(stopRef, stop, now) for each stop, with
+ *   the stop's formatted predictions (null if they could not be fetched) and the time
+ *   the fetches finished
+ * @returns {Promise<{stops: Object, now: number}>} Entries keyed by stop ID as
+ *   requested, and the time passed to mapStop
+ * @throws {RangeError} If no stops or too many are listed, or a stop's agency is not enabled
+ */
+async function getStopsPredictions(req, mapStop) {
+    const { stopIds, stopRefs } = getStopsParam(req);
+    const lines = getLinesParam(req);
+
+    // One failing stop should not hide predictions for the others
+    const results = await Promise.allSettled(stopRefs.map(stopRef => poller.getPredictions(stopRef)));
+    const now = Date.now();
+    const stops = {};
+    results.forEach((result, index) => {
+        const stopId = stopIds[index];
+        if (result.status === 'fulfilled') {
+            stops[stopId] = mapStop(stopRefs[index], transit.formatStopPredictions(stopRefs[index], result.value, lines), now);
+        } else {
+            console.error(`Error fetching predictions for stop ${stopId}:`, result.reason.message);
+            stops[stopId] = mapStop(stopRefs[index], null, now);
+        }
+    });
+    return { stops, now };
+}
 
 /**
  * GET /api/predictions
- * Returns real-time arrival predictions for specified inbound and outbound stops
+ * Returns real-time arrival predictions for a list of stops, keyed by stop ID
+ * as requested. Without `stops`, falls back to the legacy inbound/outbound pair.
  * @route GET /api/predictions
- * @param {string} [req.query.inbound=15779] - Inbound stop ID
- * @param {string} [req.query.outbound=15780] - Outbound stop ID
- * @returns {Object} Prediction data for both stops
- * @throws {Error} If transit API key is missing or API calls fail
+ * @param {string} [req.query.stops] - Comma-separated stop IDs (up to transit.MAX_STOPS);
+ *   "<agency>:<stopId>" picks another agency's stop, e.g. BA:12018
+ * @param {string} [req.query.agency=SF] - Agency for stop IDs without a prefix
+ * @param {string} [req.query.lines] - Comma-separated lines to return predictions for,
+ *   e.g. K,M (default all)
+ * @param {string} [req.query.inbound=17109] - Legacy inbound stop ID, with an
+ *   agency prefix like the entries of `stops`
+ * @param {string} [req.query.outbound=16503] - Legacy outbound stop ID, as inbound
+ * @returns {Object} Prediction data for each stop
+ * @throws {Error} If the data provider calls fail
  */
 app.get('/api/predictions', async (req, res) => {
-    // Get stop IDs from query parameters, fallback to defaults
-    const inboundStopId = req.query.inbound || '17109';
-    const outboundStopId = req.query.outbound || '16503';
-    try {
-        if (!process.env.TRANSIT_API_KEY) {
-            throw new Error('Transit API key not configured. Please set up your 511.org API key.');
+    if (req.query.stops !== undefined) {
+        try {
+            const { stops } = await getStopsPredictions(req, (stopRef, stop) => stop || { error: 'Failed to fetch predictions' });
+            return res.json({ stops });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('Error fetching predictions:', error);
+            return res.status(500).json({ error: 'Failed to fetch predictions' });
         }
+    }
 
+    try {
+        // Get stop IDs from query parameters, fallback to defaults
+        const inboundStopId = getLegacyStopParam(req, 'inbound', '17109');
+        const outboundStopId = getLegacyStopParam(req, 'outbound', '16503');
+        const lines = getLinesParam(req);
         // console.log('Fetching predictions...');
         const [inbound, outbound] = await Promise.all([
-            getStopPredictions(inboundStopId),
-            getStopPredictions(outboundStopId)
+            poller.getPredictions(inboundStopId),
+            poller.getPredictions(outboundStopId)
         ]);
 
         // Create the response
         const response = {
-            inbound: { 
-                stopName: STOPS[inboundStopId] || `Stop #${inboundStopId}`,
-                ServiceDelivery: inbound.ServiceDelivery
-            },
-            outbound: {
-                stopName: STOPS[outboundStopId] || `Stop #${outboundStopId}`,
-                ServiceDelivery: outbound.ServiceDelivery
-            }
+            inbound: transit.formatStopPredictions(inboundStopId, inbound, lines),
+            outbound: transit.formatStopPredictions(outboundStopId, outbound, lines)
         };
 
         res.json(response);
     } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching predictions:', error);
+        res.status(500).json({ error: 'Failed to fetch predictions' });
+    }
+});
+
+/**
+ * GET /api/v2/predictions
+ * Returns arrival predictions for a list of stops, parsed from SIRI into the
+ * schema in server/openapi-v2.json, with minutes away computed against server time
+ * @route GET /api/v2/predictions
+ * @param {string} req.query.stops - Comma-separated stop IDs (up to transit.MAX_STOPS);
+ *   "<agency>:<stopId>" picks another agency's stop, e.g. BA:12018
+ * @param {string} [req.query.agency=SF] - Agency for stop IDs without a prefix
+ * @param {string} [req.query.lines] - Comma-separated lines to return predictions for (default all)
+ * @returns {Object} { version, serverTime, stops } with each stop's predictions
+ *   keyed by stop ID as requested
+ */
+app.get('/api/v2/predictions', async (req, res) => {
+    try {
+        const { stops, now } = await getStopsPredictions(req, (stopRef, stop, now) => (stop
+            ? predictions.normalizeStopPredictions(stopRef, stop, now)
+            : { stopId: stopRef, error: 'Failed to fetch predictions' }));
+        res.json({ version: 2, serverTime: new Date(now).toISOString(), stops });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error fetching predictions:', error);
         res.status(500).json({ error: 'Failed to fetch predictions' });
     }
 });
 
+/**
+ * GET /api/v2/openapi.json
+ * Returns the OpenAPI description of the version 2 API
+ * @route GET /api/v2/openapi.json
+ * @returns {Object} OpenAPI 3.0 document
+ */
+app.get('/api/v2/openapi.json', (req, res) => {
+    res.sendFile(path.join(__dirname, 'server', 'openapi-v2.json'));
+});
+
+/**
+ * GET /api/stops/nearby
+ * Returns stops on the tracked lines near a point with straight-line and estimated walking distances
+ * @route GET /api/stops/nearby
+ * @param {string} req.query.lat - Latitude
+ * @param {string} req.query.lon - Longitude
+ * @param {string} [req.query.radius=800] - Search radius in meters (up to 3000)
+ * @param {string} [req.query.limit=20] - Maximum number of stops (up to 50)
+ * @returns {Object} Nearby stops, nearest first, and the nearest stop per line and direction
+ */
+app.get('/api/stops/nearby', (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const radius = req.query.radius === undefined ? 800 : parseFloat(req.query.radius);
+    const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+
+    if (!(lat >= -90 && lat <= 90) || !(lon >= -180 && lon <= 180)) {
+        return res.status(400).json({ error: 'lat and lon must be valid coordinates' });
+    }
+    if (!(radius > 0 && radius <= 3000)) {
+        return res.status(400).json({ error: 'radius must be between 0 and 3000 meters' });
+    }
+    if (!(limit > 0 && limit <= 50)) {
+        return res.status(400).json({ error: 'limit must be between 1 and 50' });
+    }
+
+    res.json({ origin: { lat, lon }, radius, ...stops.findNearbyStops(lat, lon, { radius, limit }) });
+});
+
+/**
+ * GET /api/stream
+ * Server-Sent Events stream of prediction, vehicle and alert updates
+ * @route GET /api/stream
+ * @param {string} [req.query.agencies=SF] - Comma-separated agencies to receive vehicles and alerts for
+ * @param {string} [req.query.stops] - Comma-separated stop IDs to receive predictions for;
+ *   "<agency>:<stopId>" for agencies other than SF Muni
+ * @param {string} [req.query.lines] - Comma-separated Muni lines to receive vehicles for (default all)
+ * @param {string} [req.query.lastEventId] - Resume after this event ID
+ * @returns {EventStream} predictions, vehicles, alerts and heartbeat events
+ */
+app.get('/api/stream', stream.handleStream);
+
 /**
  * GET /api/weather
- * Returns current weather and forecast for the K-Ingleside line area
+ * Returns current weather and an hourly forecast at each stop, one location
+ * per weather grid cell. Without `stops`, returns the weather at West Portal.
  * @route GET /api/weather
- * @returns {Object} Current weather and forecast data
+ * @param {string} [req.query.stops] - Comma-separated stop IDs (up to transit.MAX_STOPS);
+ *   "<agency>:<stopId>" picks another agency's stop
+ * @returns {Object} Weather provider name, locations with their stops, current
+ *   weather and hourly forecast, and stops without coordinates
  * @throws {Error} If weather API calls fail
  */
 app.get('/api/weather', async (req, res) => {
-    try {
-        const ZIP_CODE = '94127';
-        
-        // Get current weather
-        const currentResponse = await axios.get(
-            `https://api.openweathermap.org/data/2.5/weather?zip=${ZIP_CODE},us&appid=${process.env.WEATHER_API_KEY}&units=imperial`
-        );
-
-        // Get forecast
-        const forecastResponse = await axios.get(
-            `https://api.openweathermap.org/data/2.5/forecast?zip=${ZIP_CODE},us&appid=${process.env.WEATHER_API_KEY}&units=imperial`
-        );
-
-        const response = {
-            current: currentResponse.data,
-            forecast: forecastResponse.data
-        };
+    const stopRefs = [...new Set(String(req.query.stops || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (stopRefs.length > transit.MAX_STOPS) {
+        return res.status(400).json({ error: `At most ${transit.MAX_STOPS} stops can be requested at once` });
+    }
 
-        res.json(response);
+    try {
+        res.json(await weather.getStopWeather(stopRefs));
     } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error fetching weather:', error);
         res.status(500).json({ error: 'Failed to fetch weather data' });
     }
 });
 
-// Load GTFS-realtime proto
-let FeedMessage;
-(async () => {
-    try {
-        const root = await protobuf.load("gtfs-realtime2.proto");
-        FeedMessage = root.lookupType("transit_realtime.FeedMessage");
-        //console.log('Successfully loaded GTFS-realtime protobuf schema');
-    } catch (err) {
-        console.error('Failed to load protobuf:', err);
-    }
-})();
-
 /**
  * GET /api/vehicles
- * Returns real-time positions of all SF Muni Metro trains (J, K, L, M, N, T lines)
+ * Returns real-time positions of an agency's trains; for SF Muni, the
+ * vehicles on the tracked lines
  * @route GET /api/vehicles
- * @returns {Object} Vehicle position data with human-readable status
+ * @param {string} [req.query.agency=SF] - Agency code
+ * @returns {Object} Agency and vehicle position data with human-readable status
  * @throws {Error} If protobuf schema is not loaded or API call fails
  */
 app.get('/api/vehicles', async (req, res) => {
     try {
-        //console.log('Fetching vehicle positions for all train lines...');
-        if (!FeedMessage) {
-            throw new Error('Protobuf schema not loaded');
+        const agency = getAgencyParam(req);
+        const vehicles = await poller.getVehicles(agency);
+
+        // Return the prettified data wrapped in a 'vehicles' property
+        res.json({ agency, vehicles });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('Error in /api/vehicles endpoint:', error);
+        res.status(500).json({ error: 'Failed to fetch vehicle positions: ' + error.message });
+    }
+});
 
-        const response = await axios.get(VEHICLE_POSITIONS_URL, {
-            params: {
-                api_key: process.env.TRANSIT_API_KEY,
-                agency: 'SF'
-            },
-            responseType: 'arraybuffer'
-        });
-
-        //console.log('Received response from VEHICLE_POSITIONS_URL');
-        
-        const buffer = Buffer.from(response.data);
-        //console.log('Buffer length:', buffer.length);
-
-        // Parse the protobuf data
-        const feed = FeedMessage.decode(buffer);
-        //console.log('Decoded feed:', JSON.stringify(feed, null, 2));
-
-        // Filter for SF MTA trains (J, K, L, M, N, T)
-        const sfMtaTrains = feed.entity.filter(entity => {
-            return entity.vehicle && entity.vehicle.trip && ['J', 'K', 'L', 'M', 'N', 'T'].includes(entity.vehicle.trip.routeId);
-        });
-
-        //console.log('Filtered SF Muni trains:', JSON.stringify(sfMtaTrains, null, 2));
-
-        // Prettify the output
-        const prettifiedOutput = sfMtaTrains.map(entity => {
-            const vehicle = entity.vehicle;
-            //console.log('Raw vehicle data:', JSON.stringify(vehicle, null, 2));
-            //console.log('Raw timestamp:', vehicle.timestamp);
-            return {
-                trainId: `${vehicle.trip.routeId}${vehicle.vehicle?.id}`, // Include route ID in trainId
-                routeId: vehicle.trip.routeId,
-                direction: vehicle.trip?.directionId,
-                stopId: vehicle.stopId,
-                currentStopSequence: vehicle.currentStopSequence,
-                currentStatus: vehicle.currentStatus,
-                latitude: vehicle.position?.latitude,
-                longitude: vehicle.position?.longitude,
-                speed: vehicle.position?.speed,
-                timestamp: vehicle.timestamp,
-                rawTimestamp: vehicle.timestamp
-            };
-        });
-
-        //console.log('Prettified output:', JSON.stringify(prettifiedOutput, null, 2));
-
-        // Function to get stop name from stop ID
-        function getStopName(stopId) {
-            return STOPS[stopId] || 'Unknown Stop';
+/**
+ * GET /api/headways
+ * Orders trains along each line and direction and flags bunched trains and gaps
+ * @route GET /api/headways
+ * @param {string} [req.query.lines] - Comma-separated lines (defaults to all)
+ * @param {number} [req.query.bunched] - Bunching threshold in minutes (defaults to HEADWAY_BUNCHED_MINUTES)
+ * @param {number} [req.query.gap] - Gap threshold in minutes (defaults to HEADWAY_GAP_MINUTES)
+ * @returns {Object} Thresholds and, per line and direction, ordered trains, headways and a summary
+ * @throws {Error} If vehicle positions cannot be fetched
+ */
+app.get('/api/headways', async (req, res) => {
+    const lines = req.query.lines
+        ? [...new Set(String(req.query.lines).split(',').map(line => line.trim().toUpperCase()).filter(Boolean))]
+        : undefined;
+    const bunchedMinutes = req.query.bunched === undefined ? headways.BUNCHED_MINUTES : Number(req.query.bunched);
+    const gapMinutes = req.query.gap === undefined ? headways.GAP_MINUTES : Number(req.query.gap);
+
+    const trackedLines = agencies.getLines();
+    if (lines && lines.some(line => !trackedLines.includes(line))) {
+        return res.status(400).json({ error: `lines must be among ${trackedLines.join(', ')}` });
+    }
+    if (!(bunchedMinutes >= 0) || !(gapMinutes > bunchedMinutes)) {
+        return res.status(400).json({ error: 'bunched must be a number of minutes and gap must be larger' });
+    }
+
+    try {
+        const vehicles = await poller.getVehicles();
+        const result = headways.getHeadways(vehicles, { lines, bunchedMinutes, gapMinutes });
+        if (!result) {
+            return res.status(503).json({ error: 'No GTFS bundle imported; run npm run import-gtfs' });
         }
+        res.json({ generatedAt: new Date().toISOString(), ...result });
+    } catch (error) {
+        console.error('Error in /api/headways endpoint:', error);
+        res.status(500).json({ error: 'Failed to compute headways' });
+    }
+});
 
-        // Add human-readable status and location
-        prettifiedOutput.forEach(vehicle => {
-            let status;
-            switch (vehicle.currentStatus) {
-                case 0:
-                    status = 'Incoming';
-                    break;
-                case 1:
-                    status = 'Stopped';
-                    break;
-                case 2:
-                    status = 'In Transit';
-                    break;
-                default:
-                    status = 'Unknown';
-            }
+/**
+ * GET /api/plan
+ * Plans trips on the tracked lines between two stops: direct and one-transfer itineraries
+ * ranked by estimated arrival, with live departures for the first leg
+ * @route GET /api/plan
+ * @param {string} req.query.from - Origin stop ID
+ * @param {string} req.query.to - Destination stop ID
+ * @returns {Object} Origin, destination and itineraries with legs, transfer and estimated arrival
+ * @throws {Error} If predictions cannot be loaded
+ */
+app.get('/api/plan', async (req, res) => {
+    const { from, to } = req.query;
+    if (!from || !to) {
+        return res.status(400).json({ error: 'from and to stop IDs are required' });
+    }
 
-            vehicle.readableStatus = `${status} at ${getStopName(vehicle.stopId)}`;
-        });
+    try {
+        const plan = await tripPlanner.planTrip(String(from), String(to));
+        if (!plan) {
+            return res.status(503).json({ error: 'No GTFS bundle imported; run npm run import-gtfs' });
+        }
+        res.json({ generatedAt: new Date().toISOString(), ...plan });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error in /api/plan endpoint:', error);
+        res.status(500).json({ error: 'Failed to plan trip' });
+    }
+});
 
-        //console.log('Final output:', JSON.stringify(prettifiedOutput, null, 2));
+/**
+ * GET /api/alerts
+ * Returns active service alerts affecting an agency's lines or stops; for
+ * SF Muni, the tracked lines and their stops
+ * @route GET /api/alerts
+ * @param {string} [req.query.agency=SF] - Agency code
+ * @returns {Object} Agency and alerts with cause, effect, affected lines/stops and active periods
+ * @throws {Error} If protobuf schema is not loaded or API call fails
+ */
+app.get('/api/alerts', async (req, res) => {
+    try {
+        const agency = getAgencyParam(req);
+        const alerts = await poller.getAlerts(agency);
+        res.json({ agency, alerts });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error in /api/alerts endpoint:', error);
+        res.status(500).json({ error: 'Failed to fetch service alerts' });
+    }
+});
 
-        // Return the prettified data wrapped in a 'vehicles' property
-        res.json({ vehicles: prettifiedOutput });
+/**
+ * GET /api/trips
+ * Returns real-time trip updates for an agency's trains; for SF Muni, the
+ * trips on the tracked lines
+ * @route GET /api/trips
+ * @param {string} [req.query.agency=SF] - Agency code
+ * @param {string} [req.query.route] - Only return trips on this line
+ * @returns {Object} Agency and trips with delay and upcoming stop times
+ * @throws {Error} If protobuf schema is not loaded or API call fails
+ */
+app.get('/api/trips', async (req, res) => {
+    try {
+        const agency = getAgencyParam(req);
+        let trips = await poller.getTrips(agency);
+        if (req.query.route) {
+            const route = String(req.query.route).toUpperCase();
+            trips = trips.filter(trip => trip.routeId.toUpperCase() === route);
+        }
+        res.json({ agency, trips });
     } catch (error) {
-        console.error('Error in /api/vehicles endpoint:', error);
-        res.status(500).json({ error: 'Failed to fetch vehicle positions: ' + error.message });
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error in /api/trips endpoint:', error);
+        res.status(500).json({ error: 'Failed to fetch trip updates' });
     }
 });
 
+/**
+ * GET /api/trips/:tripId
+ * Returns the real-time trip update for a single trip
+ * @route GET /api/trips/:tripId
+ * @param {string} req.params.tripId - The GTFS trip ID
+ * @param {string} [req.query.agency=SF] - Agency code
+ * @returns {Object} Trip with delay and upcoming stop times
+ * @throws {Error} If protobuf schema is not loaded or API call fails
+ */
+app.get('/api/trips/:tripId', async (req, res) => {
+    try {
+        const trips = await poller.getTrips(getAgencyParam(req));
+        const trip = trips.find(t => t.tripId === req.params.tripId);
+        if (!trip) {
+            return res.status(404).json({ error: `Trip ${req.params.tripId} not found` });
+        }
+        res.json(trip);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error in /api/trips/:tripId endpoint:', error);
+        res.status(500).json({ error: 'Failed to fetch trip updates' });
+    }
+});
+
+/**
+ * GET /api/replay
+ * Returns the time span covered by recorded vehicle snapshots
+ * @route GET /api/replay
+ * @returns {Object} Earliest and latest recorded snapshot times
+ * @throws {Error} If the recording directory cannot be read
+ */
+app.get('/api/replay', async (req, res) => {
+    try {
+        res.json(await recorder.getRange());
+    } catch (error) {
+        console.error('Error reading recordings:', error);
+        res.status(500).json({ error: 'Failed to read recordings' });
+    }
+});
+
+/**
+ * GET /api/replay/vehicles
+ * Returns recorded vehicle snapshots for a time window of up to three hours
+ * @route GET /api/replay/vehicles
+ * @param {string} req.query.from - Window start (ISO 8601)
+ * @param {string} req.query.to - Window end (ISO 8601)
+ * @returns {Object} Snapshots of vehicle positions in time order
+ * @throws {Error} If the window is invalid or recordings cannot be read
+ */
+app.get('/api/replay/vehicles', async (req, res) => {
+    try {
+        const snapshots = await recorder.getSnapshots(new Date(req.query.from), new Date(req.query.to));
+        res.json({ snapshots });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error reading recordings:', error);
+        res.status(500).json({ error: 'Failed to read recordings' });
+    }
+});
+
+/**
+ * Sends a history report, answering 400 for invalid parameters and 503 when
+ * history recording is off
+ * @param {Object} res - Express response
+ * @param {Function} report - history.getLatenessReport or history.getHeadwayReport
+ * @param {Object} query - Express query object
+ */
+function sendReport(res, report, query) {
+    if (!history.isEnabled()) {
+        return res.status(503).json({ error: 'History recording is disabled' });
+    }
+    try {
+        res.json(report(query));
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error building history report:', error);
+        res.status(500).json({ error: 'Failed to build report' });
+    }
+}
+
+/**
+ * GET /api/reports/lateness
+ * Reports observed lateness against the schedule over a date range
+ * @route GET /api/reports/lateness
+ * @param {string} [req.query.from] - First service date (YYYY-MM-DD), default 6 days before to
+ * @param {string} [req.query.to] - Last service date (YYYY-MM-DD), default today
+ * @param {string} [req.query.line] - Only this line
+ * @param {string} [req.query.direction] - Only 'inbound' or 'outbound'
+ * @param {string} [req.query.stop] - Only this stop ID
+ * @param {number} [req.query.hour] - Only this hour of day (0-23)
+ * @param {string} [req.query.groupBy=line,direction] - Comma-separated from line, direction, stop, hour, scheduledTime
+ * @returns {Object} Arrivals, average and worst delay, and early / on-time / late shares per group
+ */
+app.get('/api/reports/lateness', (req, res) => {
+    sendReport(res, history.getLatenessReport, req.query);
+});
+
+/**
+ * GET /api/reports/headways
+ * Reports observed headways, their reliability and the average passenger wait
+ * over a date range
+ * @route GET /api/reports/headways
+ * @param {string} [req.query.from] - First service date (YYYY-MM-DD), default 6 days before to
+ * @param {string} [req.query.to] - Last service date (YYYY-MM-DD), default today
+ * @param {string} [req.query.line] - Only this line
+ * @param {string} [req.query.direction] - Only 'inbound' or 'outbound'
+ * @param {string} [req.query.stop] - Only this stop ID
+ * @param {number} [req.query.hour] - Only this hour of day (0-23)
+ * @param {string} [req.query.groupBy=line,direction] - Comma-separated from line, direction, stop, hour, scheduledTime
+ * @returns {Object} Average and scheduled headway, average and excess wait, and reliability per group
+ */
+app.get('/api/reports/headways', (req, res) => {
+    sendReport(res, history.getHeadwayReport, req.query);
+});
+
+/**
+ * Runs a notification action and sends its result, answering 400 when the
+ * request is invalid
+ * @async
+ * @param {Object} res - Express response
+ * @param {Function} action - Returns the response body, or a promise of it
+ */
+async function sendNotificationResult(res, action) {
+    try {
+        res.json(await action());
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error handling notification request:', error);
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+}
+
+/**
+ * GET /api/notifications/config
+ * Returns the VAPID public key browsers subscribe to Web Push with
+ * @route GET /api/notifications/config
+ * @returns {Object} publicKey (null if Web Push is unavailable) and the rule limit per browser
+ */
+app.get('/api/notifications/config', (req, res) => {
+    res.json({ publicKey: notifications.getPublicKey(), maxRules: notifications.MAX_RULES_PER_CLIENT });
+});
+
+/**
+ * PUT /api/notifications/subscription
+ * Stores a browser's Web Push subscription
+ * @route PUT /api/notifications/subscription
+ * @param {string} req.body.clientId - Browser's client ID
+ * @param {Object} req.body.subscription - PushSubscription as JSON
+ * @returns {Object} { subscribed: true }
+ */
+app.put('/api/notifications/subscription', (req, res) => {
+    sendNotificationResult(res, () => {
+        notifications.setSubscription(req.body.clientId, req.body.subscription || {});
+        return { subscribed: true };
+    });
+});
+
+/**
+ * DELETE /api/notifications/subscription
+ * Forgets a browser's Web Push subscription; its notifications go to its open pages instead
+ * @route DELETE /api/notifications/subscription
+ * @param {string} req.query.clientId - Browser's client ID
+ * @returns {Object} { subscribed: false }
+ */
+app.delete('/api/notifications/subscription', (req, res) => {
+    sendNotificationResult(res, () => {
+        notifications.setSubscription(req.query.clientId, null);
+        return { subscribed: false };
+    });
+});
+
+/**
+ * GET /api/notifications/rules
+ * Lists a browser's arrival alert rules
+ * @route GET /api/notifications/rules
+ * @param {string} req.query.clientId - Browser's client ID
+ * @returns {Object} Rules with a description of each
+ */
+app.get('/api/notifications/rules', (req, res) => {
+    sendNotificationResult(res, () => ({ rules: notifications.listRules(req.query.clientId) }));
+});
+
+/**
+ * POST /api/notifications/rules
+ * Adds an arrival alert rule: notify when the next matching train is a
+ * number of minutes from a stop, on some days between two times
+ * @route POST /api/notifications/rules
+ * @param {string} req.body.clientId - Browser's client ID
+ * @param {string} req.body.stopId - Stop ID
+ * @param {string} req.body.line - Tracked line
+ * @param {string} [req.body.direction] - 'inbound' or 'outbound'; any direction if left out
+ * @param {number} req.body.minutes - Lead time, 1-60 minutes
+ * @param {Array<number>} [req.body.days] - Weekdays, 0 (Sunday) to 6; every day if left out
+ * @param {string} [req.body.start=00:00] - Start of the window (HH:MM, local time)
+ * @param {string} [req.body.end=23:59] - End of the window; may be before start to run past midnight
+ * @returns {Object} The new rule; 201
+ */
+app.post('/api/notifications/rules', (req, res) => {
+    const { clientId, ...rule } = req.body;
+    sendNotificationResult(res.status(201), () => notifications.addRule(clientId, rule));
+});
+
+/**
+ * DELETE /api/notifications/rules/:ruleId
+ * Deletes an arrival alert rule
+ * @route DELETE /api/notifications/rules/:ruleId
+ * @param {string} req.params.ruleId - Rule ID
+ * @param {string} req.query.clientId - Browser's client ID
+ * @returns {Object} { deleted: true }; 404 if the browser has no such rule
+ */
+app.delete('/api/notifications/rules/:ruleId', (req, res) => {
+    sendNotificationResult(res, () => {
+        if (!notifications.deleteRule(req.query.clientId, req.params.ruleId)) {
+            res.status(404);
+            return { error: 'Rule not found' };
+        }
+        return { deleted: true };
+    });
+});
+
+/**
+ * POST /api/notifications/test
+ * Sends a test notification to a browser
+ * @route POST /api/notifications/test
+ * @param {string} req.body.clientId - Browser's client ID
+ * @returns {Object} delivery: 'push', 'stream', or null if the browser could not be reached
+ */
+app.post('/api/notifications/test', (req, res) => {
+    sendNotificationResult(res, async () => ({ delivery: await notifications.sendTest(req.body.clientId) }));
+});
+
 /**
  * GET /api/lines
- * Returns information about all SF Muni Metro lines
+ * Returns information about all of an agency's lines
  * @route GET /api/lines
+ * @param {string} [req.query.agency=SF] - Agency code
  * @returns {Object} Transit line data from 511.org
  * @throws {Error} If API call fails
  */
 app.get('/api/lines', async (req, res) => {
     try {
-        const response = await axios.get('http://api.511.org/transit/lines', {
-            params: {
-                api_key: process.env.TRANSIT_API_KEY,
-                operator_id: 'SFMTA',
-                format: 'json'
-            }
-        });
-        res.json(response.data);
+        res.json(await poller.getLines(getAgencyParam(req)));
     } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error fetching lines:', error);
         res.status(500).json({ error: 'Failed to fetch transit lines' });
     }
 });
 
+/**
+ * GET /api/lines/catalogue
+ * Returns the lines an agency keeps, grouped by mode, with official colors;
+ * for SF Muni, the tracked lines
+ * @route GET /api/lines/catalogue
+ * @param {string} [req.query.agency=SF] - Agency code
+ * @returns {Object} { agency, modes, lines } with each line's
+ *   id, name, mode, routeType, color and textColor
+ */
+app.get('/api/lines/catalogue', async (req, res) => {
+    try {
+        res.json(await lineCatalogue.getLineCatalogue(getAgencyParam(req)));
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error building line catalogue:', error);
+        res.status(500).json({ error: 'Failed to build line catalogue' });
+    }
+});
+
+/**
+ * GET /api/lines/geometry
+ * Returns line geometry from the imported GTFS shapes as GeoJSON,
+ * one LineString per line, direction and pattern variant
+ * @route GET /api/lines/geometry
+ * @returns {Object} GeoJSON FeatureCollection; 304 if the client's ETag matches
+ */
+app.get('/api/lines/geometry', (req, res) => {
+    const geometry = routeShapes.getRouteGeometry();
+    if (!geometry) {
+        return res.status(503).json({ error: 'No GTFS bundle imported; run npm run import-gtfs' });
+    }
+
+    // Express answers 304 itself when If-None-Match matches this ETag
+    res.set({
+        'ETag': geometry.etag,
+        'Cache-Control': 'public, max-age=3600'
+    });
+    res.type('application/geo+json').send(geometry.body);
+});
+
 /**
  * GET /api/patterns/:lineId
  * Returns route pattern data for a specific transit line
  * @route GET /api/patterns/:lineId
  * @param {string} req.params.lineId - The ID of the transit line
+ * @param {string} [req.query.agency=SF] - Agency code
  * @returns {Object} Route pattern data from 511.org
  * @throws {Error} If API call fails
  */
 app.get('/api/patterns/:lineId', async (req, res) => {
     try {
         const { lineId } = req.params;
-        const response = await axios.get('http://api.511.org/transit/patterns', {
-            params: {
-                api_key: process.env.TRANSIT_API_KEY,
-                operator_id: 'SFMTA',
-                line_id: lineId,
-                format: 'json'
-            }
-        });
-        res.json(response.data);
+        res.json(await poller.getPatterns(lineId, getAgencyParam(req)));
     } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error fetching patterns:', error);
         res.status(500).json({ error: 'Failed to fetch route patterns' });
     }
 });
 
+// Load the imported GTFS bundle before serving requests
+const gtfsBundle = gtfsStatic.load();
+
 app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
+    console.log(`Server running at http://localhost:${port} (${provider.name} data)`);
+    console.log(gtfsBundle
+        ? `Using GTFS bundle ${gtfsBundle.version}`
+        : 'No GTFS bundle imported; using public/train-routes.json (run npm run import-gtfs)');
+    poller.start();
+    recorder.start();
+    history.start();
+    notifications.start();
 });
@@ -0,0 +1,280 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Transit agencies served through 511.org. SF Muni is the default agency and
+ * the only one with the imported GTFS schedule behind it; other agencies
+ * listed in AGENCIES (such as BART and Caltrain) add their stops, trains and
+ * alerts alongside it.
+ *
+ * Stops are referred to by a stop reference: a bare stop ID for the default
+ * agency, or "<agency>:<stopId>" (e.g. "BA:12018") for any other agency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const gtfsStatic = require('./gtfs-static');
+
+const DEFAULT_AGENCY = 'SF';
+// Stop catalogues for agencies other than the default, written by npm run import-gtfs -- --agency <id>
+const ROUTES_DIR = path.join(__dirname, '..', 'public', 'routes');
+const AGENCY_ID_PATTERN = /^[A-Z0-9]{2,5}$/;
+const LINE_ID_PATTERN = /^[A-Z0-9]{1,6}$/;
+// Muni stop catalogue, used for the line list until a GTFS bundle is imported
+const ROUTES_FILE = path.join(__dirname, '..', 'public', 'train-routes.json');
+
+/**
+ * Reads the Muni lines to track from LINES, e.g. "J,K,L,M,N,T,F,14,38"
+ * @returns {Array<string>|null} Line IDs in the order given, or null if LINES
+ *   is unset and the lines come from the imported GTFS bundle
+ */
+function loadLines() {
+    if (!process.env.LINES) return null;
+    const lines = [];
+    process.env.LINES
+        .split(',')
+        .map(line => line.trim().toUpperCase())
+        .filter(Boolean)
+        .forEach(line => {
+            if (!LINE_ID_PATTERN.test(line)) {
+                console.warn(`Ignoring line "${line}" in LINES: expected a route short name such as 14 or F`);
+            } else if (!lines.includes(line)) {
+                lines.push(line);
+            }
+        });
+    return lines.length ? lines : null;
+}
+
+// Known 511.org agencies. operatorId is used for the lines and patterns APIs;
+// lines limits the routes that are kept (null keeps every route, or for SF Muni
+// the routes in the GTFS bundle; see getLines); lineColors
+// maps a line, or the part of its ID before a dash or space, to a map color
+// used when the GTFS routes don't give one
+const AGENCY_CATALOGUE = {
+    SF: {
+        name: 'SF Muni',
+        operatorId: 'SFMTA',
+        lines: loadLines(),
+        color: '#bc2026',
+        lineColors: { J: '#ff0000', K: '#00a1e1', L: '#008000', M: '#800080', N: '#ffa500', T: '#ffd700' }
+    },
+    BA: {
+        name: 'BART',
+        operatorId: 'BA',
+        lines: null,
+        color: '#0099d8',
+        lineColors: {
+            Red: '#ed1c24',
+            Orange: '#faa61a',
+            Yellow: '#ffe800',
+            Green: '#4db848',
+            Blue: '#00aeef',
+            Grey: '#a8a9ad',
+            Beige: '#d5cfa3'
+        }
+    },
+    CT: {
+        name: 'Caltrain',
+        operatorId: 'CT',
+        lines: null,
+        color: '#e31837',
+        lineColors: { Local: '#a8a9ad', Limited: '#ffc20e', Express: '#e31837', Bullet: '#e31837' }
+    }
+};
+
+/**
+ * Reads the enabled agencies from AGENCIES, always including the default agency
+ * @returns {Map<string, Object>} Agencies keyed by ID, default first
+ */
+function loadAgencies() {
+    const ids = (process.env.AGENCIES || DEFAULT_AGENCY)
+        .split(',')
+        .map(id => id.trim().toUpperCase())
+        .filter(Boolean);
+
+    const enabled = new Map();
+    [DEFAULT_AGENCY, ...ids].forEach(id => {
+        if (enabled.has(id)) return;
+        if (!AGENCY_ID_PATTERN.test(id)) {
+            console.warn(`Ignoring agency "${id}" in AGENCIES: expected a 511.org agency code such as BA`);
+            return;
+        }
+        // Agencies outside the catalogue get every route and a neutral color
+        const known = AGENCY_CATALOGUE[id] || { name: id, operatorId: id, lines: null, color: '#888888', lineColors: {} };
+        enabled.set(id, { id, ...known });
+    });
+    return enabled;
+}
+
+const agencies = loadAgencies();
+
+/**
+ * Gets an enabled agency
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Object} { id, name, operatorId, lines, color, lineColors }
+ * @throws {RangeError} If the agency is not enabled
+ */
+function getAgency(agencyId = DEFAULT_AGENCY) {
+    const agency = agencies.get(String(agencyId).toUpperCase());
+    if (!agency) {
+        throw new RangeError(`agency must be one of ${[...agencies.keys()].join(', ')}`);
+    }
+    return agency;
+}
+
+// Muni lines found in the GTFS bundle or train-routes.json, and the bundle they came from
+let defaultLines = null;
+let defaultLinesBundle;
+
+/**
+ * Orders line IDs with numbers in numeric order, e.g. J, K, 5, 14, 38
+ * @param {string} a - Line ID
+ * @param {string} b - Line ID
+ * @returns {number} Sort order
+ */
+function compareLines(a, b) {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Reads the lines in the Muni stop catalogue
+ * @returns {Array<string>} Line IDs; empty if the file cannot be read
+ */
+function readRoutesFileLines() {
+    try {
+        return JSON.parse(fs.readFileSync(ROUTES_FILE, 'utf8')).routes.map(route => route.line);
+    } catch (error) {
+        console.warn(`Cannot read Muni lines from ${ROUTES_FILE}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Lists the lines an agency keeps. For SF Muni these are the lines in LINES,
+ * or without LINES every route in the imported GTFS bundle, or without a
+ * bundle the lines in train-routes.json.
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Array<string>|null} Line IDs, or null if the agency keeps every route
+ * @throws {RangeError} If the agency is not enabled
+ */
+function getLines(agencyId = DEFAULT_AGENCY) {
+    const agency = getAgency(agencyId);
+    if (agency.lines || agency.id !== DEFAULT_AGENCY) {
+        return agency.lines;
+    }
+
+    const bundle = gtfsStatic.getBundle();
+    if (!defaultLines || defaultLinesBundle !== bundle) {
+        defaultLines = (bundle ? Object.keys(bundle.routes) : readRoutesFileLines()).sort(compareLines);
+        defaultLinesBundle = bundle;
+    }
+    return defaultLines;
+}
+
+/**
+ * Lists the enabled agencies
+ * @returns {Array<Object>} Agencies, default first
+ */
+function getAgencies() {
+    return [...agencies.values()];
+}
+
+/**
+ * Splits a stop reference into its agency and stop ID
+ * @param {string} stopRef - "<stopId>" for the default agency or "<agency>:<stopId>"
+ * @returns {{agency: string, stopId: string}} Agency code and stop ID
+ * @throws {RangeError} If the agency is not enabled
+ */
+function parseStopRef(stopRef) {
+    const value = String(stopRef);
+    const separator = value.indexOf(':');
+    if (separator === -1) {
+        return { agency: DEFAULT_AGENCY, stopId: value };
+    }
+    return { agency: getAgency(value.slice(0, separator)).id, stopId: value.slice(separator + 1) };
+}
+
+/**
+ * Builds the stop reference for a stop
+ * @param {string} agencyId - Agency code
+ * @param {string} stopId - Stop ID within the agency
+ * @returns {string} Bare stop ID for the default agency, "<agency>:<stopId>" otherwise
+ */
+function toStopRef(agencyId, stopId) {
+    return agencyId === DEFAULT_AGENCY ? stopId : `${agencyId}:${stopId}`;
+}
+
+/**
+ * Checks whether a stop reference belongs to the default agency
+ * @param {string} stopRef - Stop reference
+ * @returns {boolean} True for a bare stop ID
+ */
+function isDefaultStop(stopRef) {
+    return !String(stopRef).includes(':');
+}
+
+/**
+ * Checks whether an agency keeps a line
+ * @param {Object} agency - Agency from getAgency
+ * @param {string} line - Route ID or line name
+ * @returns {boolean} True if the agency keeps every route or lists this one
+ */
+function servesLine(agency, line) {
+    const lines = getLines(agency.id);
+    return Boolean(line) && (!lines || lines.includes(line));
+}
+
+/**
+ * Gets the map color for a line
+ * @param {string} agencyId - Agency code
+ * @param {string} line - Route ID or line name, e.g. "K" or "Yellow-N"
+ * @returns {string} CSS color, falling back to the agency color
+ */
+function getLineColor(agencyId, line) {
+    const agency = getAgency(agencyId);
+    const prefix = String(line).split(/[-\s]/)[0];
+    return agency.lineColors[line] || agency.lineColors[prefix] || agency.color;
+}
+
+/**
+ * Describes the enabled agencies for the browser
+ * @returns {Array<Object>} { id, name, color, lines, lineColors, stopsFile } per agency;
+ *   stopsFile is null until the agency's stops have been imported
+ */
+function describeAgencies() {
+    return getAgencies().map(agency => {
+        const routesFile = `routes/${agency.id}.json`;
+        let stopsFile = null;
+        if (agency.id === DEFAULT_AGENCY) {
+            stopsFile = 'train-routes.json';
+        } else if (fs.existsSync(path.join(ROUTES_DIR, `${agency.id}.json`))) {
+            stopsFile = routesFile;
+        }
+        return {
+            id: agency.id,
+            name: agency.name,
+            color: agency.color,
+            lines: getLines(agency.id),
+            lineColors: agency.lineColors,
+            stopsFile
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_AGENCY,
+    ROUTES_DIR,
+    getAgency,
+    getAgencies,
+    getLines,
+    parseStopRef,
+    toStopRef,
+    isDefaultStop,
+    servesLine,
+    getLineColor,
+    describeAgencies
+};
@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Creates a simple in-memory cache whose entries expire after a per-entry TTL
+ * @returns {Object} Cache with get, set, delete and keys methods
+ */
+function createCache() {
+    const entries = new Map();
+
+    return {
+        /**
+         * Returns a cached value, or undefined if missing or expired
+         * @param {string} key - Cache key
+         * @returns {*} The cached value
+         */
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (Date.now() > entry.expiresAt) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        /**
+         * Stores a value for ttlMs milliseconds
+         * @param {string} key - Cache key
+         * @param {*} value - Value to store
+         * @param {number} ttlMs - Time to live in milliseconds
+         */
+        set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        keys() {
+            return [...entries.keys()];
+        }
+    };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Planar geometry for placing points along GTFS shapes. Coordinates are
+ * converted to meters on a flat plane centered on San Francisco's latitude,
+ * which is close enough to the true distance over the span of the city.
+ */
+
+const METERS_PER_DEGREE = 111320;
+const LONGITUDE_SCALE = Math.cos(37.77 * Math.PI / 180);
+
+/**
+ * Converts a coordinate to planar meters
+ * @param {Array<number>} coordinate - [lon, lat]
+ * @returns {Array<number>} [x, y] in meters
+ */
+function toPlanar([lon, lat]) {
+    return [lon * METERS_PER_DEGREE * LONGITUDE_SCALE, lat * METERS_PER_DEGREE];
+}
+
+/**
+ * Measures a line of [lon, lat] coordinates in planar meters
+ * @param {Array<Array<number>>} coordinates - Line coordinates
+ * @returns {Object} { points (meters), distances (cumulative meters) }
+ */
+function measureLine(coordinates) {
+    const points = coordinates.map(toPlanar);
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        distances.push(distances[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    return { points, distances };
+}
+
+/**
+ * Projects a coordinate onto the nearest segment of a measured line
+ * @param {Object} line - Line from measureLine
+ * @param {Array<number>} coordinate - [lon, lat]
+ * @returns {Object} { distance: meters along the line, offset: meters from the line }
+ */
+function projectOntoLine(line, coordinate) {
+    const [x, y] = toPlanar(coordinate);
+    let best = { distance: 0, offset: Infinity };
+
+    for (let i = 1; i < line.points.length; i++) {
+        const [ax, ay] = line.points[i - 1];
+        const [bx, by] = line.points[i];
+        const length = line.distances[i] - line.distances[i - 1];
+        const t = length ? Math.min(Math.max(((x - ax) * (bx - ax) + (y - ay) * (by - ay)) / (length * length), 0), 1) : 0;
+        const offset = Math.hypot(x - (ax + t * (bx - ax)), y - (ay + t * (by - ay)));
+        if (offset < best.offset) {
+            best = { distance: line.distances[i - 1] + t * length, offset };
+        }
+    }
+    return best;
+}
+
+module.exports = { measureLine, projectOntoLine };
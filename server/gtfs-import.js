@@ -0,0 +1,601 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * GTFS static importer. Parses an SFMTA GTFS zip into an indexed bundle of
+ * the tracked routes, stops, trips, stop times, shapes and service calendars,
+ * validates it, compares it with the previous import and writes it to
+ * GTFS_DATA_DIR for the server to load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
+const csv = require('csv-parser');
+const { DIRECTIONS, GTFS_DATA_DIR, POINTER_FILE, readBundle } = require('./gtfs-static');
+const agencies = require('./agencies');
+const { distanceMeters } = require('./stops');
+
+// Muni Metro lines; the import fails if the feed lacks one, whatever lines it imports
+const REQUIRED_LINES = ['J', 'K', 'L', 'M', 'N', 'T'];
+// Muni lines to import: those listed in LINES, or the Metro lines
+const MUNI_LINES = agencies.getAgency(agencies.DEFAULT_AGENCY).lines || REQUIRED_LINES;
+const REQUIRED_FILES = ['routes.txt', 'trips.txt', 'stop_times.txt', 'stops.txt'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const BUNDLE_FORMAT = 1;
+// Stops that move further than this between imports are reported as moved
+const MOVED_THRESHOLD_M = 25;
+// Longest list of stop changes printed per kind of change
+const MAX_LISTED_CHANGES = 10;
+// Large tables are fed to the CSV parser in chunks of this size
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Reads a GTFS feed from a zip file or a directory of .txt files
+ * @param {string} feedPath - Path to a GTFS zip or an unzipped feed directory
+ * @returns {Buffer} The feed as a zip archive
+ * @throws {Error} If the path cannot be read
+ */
+function readFeedFile(feedPath) {
+    if (fs.statSync(feedPath).isDirectory()) {
+        const zip = new AdmZip();
+        zip.addLocalFolder(feedPath);
+        return zip.toBuffer();
+    }
+    return fs.readFileSync(feedPath);
+}
+
+/**
+ * Finds a file in the feed, allowing for feeds zipped inside a folder
+ * @param {AdmZip} zip - The feed archive
+ * @param {string} name - File name, e.g. 'stops.txt'
+ * @returns {Object|undefined} The zip entry
+ */
+function findEntry(zip, name) {
+    return zip.getEntries().find(entry => !entry.isDirectory && path.posix.basename(entry.entryName) === name);
+}
+
+/**
+ * Streams the rows of a GTFS table to a callback
+ * @param {AdmZip} zip - The feed archive
+ * @param {string} name - File name, e.g. 'stops.txt'
+ * @param {Function} onRow - Called with each row as an object keyed by column name
+ * @returns {Promise<boolean>} False if the file is not in the feed
+ * @throws {Error} If the file cannot be parsed
+ */
+function readTable(zip, name, onRow) {
+    const entry = findEntry(zip, name);
+    if (!entry) return Promise.resolve(false);
+
+    const data = entry.getData();
+    function* chunks() {
+        for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+            yield data.subarray(offset, offset + CHUNK_SIZE);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        Readable.from(chunks())
+            .pipe(csv({
+                mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim(),
+                mapValues: ({ value }) => value.trim()
+            }))
+            .on('data', onRow)
+            .on('end', () => resolve(true))
+            .on('error', error => reject(new Error(`${name}: ${error.message}`)));
+    });
+}
+
+/**
+ * Converts a GTFS time (which may pass 24:00:00) to seconds after the start of the service day
+ * @param {string} value - Time as H:MM:SS or HH:MM:SS
+ * @returns {number|null} Seconds, or null if the time is blank
+ */
+function parseTime(value) {
+    if (!value) return null;
+    const [hours, minutes, seconds] = value.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Parses a coordinate, treating blanks and zero as missing
+ * @param {string} value - Coordinate from stops.txt or shapes.txt
+ * @returns {number|null} Coordinate rounded to six decimals, or null
+ */
+function parseCoordinate(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number !== 0 ? Math.round(number * 1e6) / 1e6 : null;
+}
+
+/**
+ * Parses a GTFS feed into an indexed bundle of the given lines
+ * @async
+ * @param {Buffer} zipBuffer - The GTFS zip
+ * @param {Object} [options]
+ * @param {Array<string>|null} [options.lines=MUNI_LINES] - Route short names to import,
+ *   or null for every route
+ * @param {Array<string>} [options.requiredLines] - Route short names the feed must have
+ *   with trips, imported or not (default the Metro lines and the imported lines)
+ * @returns {Promise<{bundle: Object, report: Object}>} The bundle, and feed-wide
+ *   findings used by validateFeed that are not kept in the bundle
+ * @throws {Error} If a required file is missing or cannot be parsed
+ */
+async function parseFeed(zipBuffer, {
+    lines = MUNI_LINES,
+    requiredLines = [...new Set([...REQUIRED_LINES, ...(lines || [])])]
+} = {}) {
+    const zip = new AdmZip(zipBuffer);
+    const missingFiles = REQUIRED_FILES.filter(name => !findEntry(zip, name));
+    if (missingFiles.length) {
+        throw new Error(`GTFS feed is missing ${missingFiles.join(', ')}`);
+    }
+    const wantedLines = lines ? new Set(lines) : null;
+
+    // line -> route, and every route_id that belongs to a wanted line
+    const routes = {};
+    const routeLines = new Map();
+    // Route short name or route_id -> route_ids across the whole feed, and the
+    // route_ids with trips, so required lines are checked even if not imported
+    const feedRouteIds = new Map();
+    const scheduledRouteIds = new Set();
+    await readTable(zip, 'routes.txt', row => {
+        new Set([row.route_short_name, row.route_id].filter(Boolean)).forEach(name => {
+            feedRouteIds.set(name, [...(feedRouteIds.get(name) || []), row.route_id]);
+        });
+        const line = wantedLines
+            ? [row.route_short_name, row.route_id].find(value => wantedLines.has(value))
+            : row.route_short_name || row.route_id;
+        if (!line) return;
+        routeLines.set(row.route_id, line);
+        if (!routes[line]) {
+            routes[line] = {
+                id: row.route_id,
+                line,
+                shortName: row.route_short_name || line,
+                longName: row.route_long_name || '',
+                type: Number(row.route_type),
+                color: row.route_color ? `#${row.route_color}` : null,
+                textColor: row.route_text_color ? `#${row.route_text_color}` : null
+            };
+        }
+    });
+
+    const trips = {};
+    await readTable(zip, 'trips.txt', row => {
+        scheduledRouteIds.add(row.route_id);
+        const line = routeLines.get(row.route_id);
+        if (!line) return;
+        trips[row.trip_id] = {
+            id: row.trip_id,
+            line,
+            routeId: row.route_id,
+            serviceId: row.service_id,
+            directionId: row.direction_id === '' || row.direction_id === undefined ? null : Number(row.direction_id),
+            headsign: row.trip_headsign || '',
+            shapeId: row.shape_id || null
+        };
+    });
+
+    // Every stop served by any trip in the feed, for the orphan check
+    const servedStops = new Set();
+    // tripId -> [[stopSequence, stopId, arrival, departure]]
+    const stopTimes = {};
+    let stopTimeCount = 0;
+    await readTable(zip, 'stop_times.txt', row => {
+        servedStops.add(row.stop_id);
+        if (!trips[row.trip_id]) return;
+        (stopTimes[row.trip_id] = stopTimes[row.trip_id] || []).push([
+            Number(row.stop_sequence),
+            row.stop_id,
+            parseTime(row.arrival_time),
+            parseTime(row.departure_time)
+        ]);
+        stopTimeCount++;
+    });
+    Object.values(stopTimes).forEach(times => times.sort((a, b) => a[0] - b[0]));
+
+    // Lines and directions serving each imported stop
+    const stopUsage = new Map();
+    Object.entries(stopTimes).forEach(([tripId, times]) => {
+        const trip = trips[tripId];
+        times.forEach(([, stopId]) => {
+            if (!stopUsage.has(stopId)) {
+                stopUsage.set(stopId, { lines: new Set(), directions: new Set() });
+            }
+            const usage = stopUsage.get(stopId);
+            usage.lines.add(trip.line);
+            usage.directions.add(DIRECTIONS[trip.directionId] || null);
+        });
+    });
+
+    const stops = {};
+    const orphanStops = [];
+    await readTable(zip, 'stops.txt', row => {
+        const locationType = Number(row.location_type || 0);
+        if (locationType === 0 && !servedStops.has(row.stop_id)) {
+            orphanStops.push(row.stop_id);
+        }
+        const usage = stopUsage.get(row.stop_id);
+        if (!usage) return;
+        stops[row.stop_id] = {
+            id: row.stop_id,
+            code: row.stop_code || null,
+            name: row.stop_name,
+            lat: parseCoordinate(row.stop_lat),
+            lon: parseCoordinate(row.stop_lon),
+            parentStation: row.parent_station || null,
+            lines: [...usage.lines].sort(),
+            direction: usage.directions.size === 1 ? [...usage.directions][0] : null
+        };
+    });
+    const unknownStops = [...stopUsage.keys()].filter(stopId => !stops[stopId]);
+
+    const shapeIds = new Set(Object.values(trips).map(trip => trip.shapeId).filter(Boolean));
+    const shapePoints = {};
+    await readTable(zip, 'shapes.txt', row => {
+        if (!shapeIds.has(row.shape_id)) return;
+        (shapePoints[row.shape_id] = shapePoints[row.shape_id] || []).push([
+            Number(row.shape_pt_sequence),
+            parseCoordinate(row.shape_pt_lon),
+            parseCoordinate(row.shape_pt_lat)
+        ]);
+    });
+    // GeoJSON order: [lon, lat]
+    const shapes = {};
+    Object.entries(shapePoints).forEach(([shapeId, points]) => {
+        shapes[shapeId] = points
+            .filter(([, lon, lat]) => lon !== null && lat !== null)
+            .sort((a, b) => a[0] - b[0])
+            .map(([, lon, lat]) => [lon, lat]);
+    });
+
+    const serviceIds = new Set(Object.values(trips).map(trip => trip.serviceId));
+    const services = {};
+    const emptyService = () => ({ days: [0, 0, 0, 0, 0, 0, 0], startDate: null, endDate: null, added: [], removed: [] });
+    const hasCalendar = await readTable(zip, 'calendar.txt', row => {
+        if (!serviceIds.has(row.service_id)) return;
+        services[row.service_id] = {
+            ...emptyService(),
+            days: WEEKDAYS.map(day => (row[day] === '1' ? 1 : 0)),
+            startDate: row.start_date,
+            endDate: row.end_date
+        };
+    });
+    const hasCalendarDates = await readTable(zip, 'calendar_dates.txt', row => {
+        if (!serviceIds.has(row.service_id)) return;
+        const service = services[row.service_id] = services[row.service_id] || emptyService();
+        (row.exception_type === '1' ? service.added : service.removed).push(row.date);
+    });
+    if (!hasCalendar && !hasCalendarDates) {
+        throw new Error('GTFS feed has neither calendar.txt nor calendar_dates.txt');
+    }
+
+    let feedInfo = null;
+    await readTable(zip, 'feed_info.txt', row => {
+        feedInfo = feedInfo || {
+            publisher: row.feed_publisher_name || null,
+            version: row.feed_version || null,
+            startDate: row.feed_start_date || null,
+            endDate: row.feed_end_date || null
+        };
+    });
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        feedHash: crypto.createHash('sha256').update(zipBuffer).digest('hex'),
+        feedInfo,
+        routes,
+        stops,
+        trips,
+        stopTimes,
+        shapes,
+        services,
+        patterns: buildPatterns(trips, stopTimes),
+        stats: {
+            routes: Object.keys(routes).length,
+            trips: Object.keys(trips).length,
+            stopTimes: stopTimeCount,
+            stops: Object.keys(stops).length,
+            shapes: Object.keys(shapes).length,
+            services: Object.keys(services).length
+        }
+    };
+    const missingLines = requiredLines.filter(line => !feedRouteIds.has(line));
+    const linesWithoutTrips = requiredLines.filter(line => feedRouteIds.has(line) &&
+        !feedRouteIds.get(line).some(routeId => scheduledRouteIds.has(routeId)));
+    return { bundle, report: { missingLines, linesWithoutTrips, orphanStops, unknownStops } };
+}
+
+/**
+ * Groups trips into distinct stop patterns per line and direction
+ * @param {Object} trips - Trips keyed by trip ID
+ * @param {Object} stopTimes - Stop times keyed by trip ID
+ * @returns {Object} line -> direction -> patterns, most frequent first:
+ *   [{ stops: [stopId], shapeId, headsign, trips }]
+ */
+function buildPatterns(trips, stopTimes) {
+    const patterns = {};
+    Object.entries(stopTimes).forEach(([tripId, times]) => {
+        const trip = trips[tripId];
+        const direction = DIRECTIONS[trip.directionId] || 'unknown';
+        const stopIds = times.map(([, stopId]) => stopId);
+        const key = stopIds.join('>');
+
+        const byDirection = patterns[trip.line] = patterns[trip.line] || {};
+        const byKey = byDirection[direction] = byDirection[direction] || new Map();
+        if (!byKey.has(key)) {
+            byKey.set(key, { stops: stopIds, shapeId: trip.shapeId, headsign: trip.headsign, trips: 0 });
+        }
+        byKey.get(key).trips++;
+    });
+
+    Object.values(patterns).forEach(byDirection => {
+        Object.keys(byDirection).forEach(direction => {
+            byDirection[direction] = [...byDirection[direction].values()].sort((a, b) => b.trips - a.trips);
+        });
+    });
+    return patterns;
+}
+
+/**
+ * Lists up to five items, noting how many more there are
+ * @param {Array<string>} items - Items to list
+ * @returns {string} e.g. "a, b, c and 4 more"
+ */
+function sample(items) {
+    const shown = items.slice(0, 5).join(', ');
+    return items.length > 5 ? `${shown} and ${items.length - 5} more` : shown;
+}
+
+/**
+ * Checks a parsed feed for problems. Errors should stop the import; warnings
+ * are worth reading but leave a usable bundle.
+ * @param {Object} bundle - Bundle from parseFeed
+ * @param {Object} report - Report from parseFeed
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Validation results
+ */
+function validateFeed(bundle, report) {
+    const errors = [];
+    const warnings = [];
+
+    if (report.missingLines.length) {
+        errors.push(`Missing lines in routes.txt: ${report.missingLines.join(', ')}`);
+    }
+    if (report.linesWithoutTrips.length) {
+        errors.push(`No scheduled trips for lines: ${report.linesWithoutTrips.join(', ')}`);
+    }
+    const routesWithoutTrips = Object.keys(bundle.routes)
+        .filter(line => !bundle.patterns[line] && !report.linesWithoutTrips.includes(line));
+    if (routesWithoutTrips.length) {
+        warnings.push(`No scheduled trips for routes: ${routesWithoutTrips.join(', ')}`);
+    }
+    if (report.unknownStops.length) {
+        errors.push(`stop_times.txt uses ${report.unknownStops.length} stops missing from stops.txt: ${sample(report.unknownStops)}`);
+    }
+
+    const withoutCoordinates = Object.values(bundle.stops)
+        .filter(stop => stop.lat === null || stop.lon === null)
+        .map(stop => stop.id);
+    if (withoutCoordinates.length) {
+        warnings.push(`${withoutCoordinates.length} imported stops have no coordinates and will not be shown on the map: ${sample(withoutCoordinates)}`);
+    }
+    if (report.orphanStops.length) {
+        warnings.push(`${report.orphanStops.length} stops in stops.txt are not served by any trip: ${sample(report.orphanStops)}`);
+    }
+
+    const trips = Object.values(bundle.trips);
+    const withoutStopTimes = trips.filter(trip => !bundle.stopTimes[trip.id]).map(trip => trip.id);
+    if (withoutStopTimes.length) {
+        warnings.push(`${withoutStopTimes.length} imported trips have no stop times: ${sample(withoutStopTimes)}`);
+    }
+    const missingShapes = [...new Set(trips.map(trip => trip.shapeId).filter(shapeId => shapeId && !bundle.shapes[shapeId]))];
+    if (missingShapes.length) {
+        warnings.push(`${missingShapes.length} shapes used by imported trips are missing from shapes.txt: ${sample(missingShapes)}`);
+    }
+    const missingServices = [...new Set(trips.map(trip => trip.serviceId).filter(serviceId => !bundle.services[serviceId]))];
+    if (missingServices.length) {
+        warnings.push(`${missingServices.length} service IDs used by imported trips have no calendar entry, so those trips never run: ${sample(missingServices)}`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Compares a new bundle with the previously imported one
+ * @param {Object|null} previous - The current bundle, or null on first import
+ * @param {Object} next - The newly parsed bundle
+ * @returns {Object|null} Added/removed routes, stop changes and count changes,
+ *   or null if there is nothing to compare with
+ */
+function diffBundles(previous, next) {
+    if (!previous) return null;
+
+    const diffKeys = (before, after) => ({
+        added: Object.keys(after).filter(key => !before[key]),
+        removed: Object.keys(before).filter(key => !after[key])
+    });
+
+    const stopKeys = diffKeys(previous.stops, next.stops);
+    const stops = {
+        added: stopKeys.added.map(id => ({ id, name: next.stops[id].name })),
+        removed: stopKeys.removed.map(id => ({ id, name: previous.stops[id].name })),
+        renamed: [],
+        moved: []
+    };
+    Object.values(next.stops).forEach(stop => {
+        const old = previous.stops[stop.id];
+        if (!old) return;
+        if (old.name !== stop.name) {
+            stops.renamed.push({ id: stop.id, from: old.name, to: stop.name });
+        }
+        if (old.lat !== null && stop.lat !== null &&
+            distanceMeters(old.lat, old.lon, stop.lat, stop.lon) > MOVED_THRESHOLD_M) {
+            stops.moved.push({ id: stop.id, name: stop.name, meters: Math.round(distanceMeters(old.lat, old.lon, stop.lat, stop.lon)) });
+        }
+    });
+
+    const counts = {};
+    Object.keys(next.stats).forEach(key => {
+        counts[key] = { from: previous.stats?.[key] ?? 0, to: next.stats[key] };
+    });
+
+    return {
+        from: previous.version,
+        unchanged: previous.feedHash === next.feedHash,
+        feedVersion: { from: previous.feedInfo?.version || null, to: next.feedInfo?.version || null },
+        routes: diffKeys(previous.routes, next.routes),
+        stops,
+        counts
+    };
+}
+
+/**
+ * Formats a diff for the terminal
+ * @param {Object|null} diff - Result of diffBundles
+ * @returns {Array<string>} Output lines
+ */
+function formatDiff(diff) {
+    if (!diff) {
+        return ['First import; nothing to compare with.'];
+    }
+    if (diff.unchanged) {
+        return [`Feed is unchanged since version ${diff.from}.`];
+    }
+
+    const lines = [`Changes since version ${diff.from}:`];
+    if (diff.feedVersion.from !== diff.feedVersion.to) {
+        lines.push(`  Feed version: ${diff.feedVersion.from || 'none'} → ${diff.feedVersion.to || 'none'}`);
+    }
+    diff.routes.added.forEach(line => lines.push(`  + Line ${line}`));
+    diff.routes.removed.forEach(line => lines.push(`  - Line ${line}`));
+
+    const { stops } = diff;
+    lines.push(`  Stops: ${stops.added.length} added, ${stops.removed.length} removed, ` +
+        `${stops.renamed.length} renamed, ${stops.moved.length} moved`);
+    const listChanges = (changes, format) => {
+        changes.slice(0, MAX_LISTED_CHANGES).forEach(change => lines.push(`    ${format(change)}`));
+        if (changes.length > MAX_LISTED_CHANGES) {
+            lines.push(`    … and ${changes.length - MAX_LISTED_CHANGES} more`);
+        }
+    };
+    listChanges(stops.added, change => `+ ${change.id} ${change.name}`);
+    listChanges(stops.removed, change => `- ${change.id} ${change.name}`);
+    listChanges(stops.renamed, change => `~ ${change.id} "${change.from}" → "${change.to}"`);
+    listChanges(stops.moved, change => `~ ${change.id} ${change.name} moved ${change.meters} m`);
+
+    Object.entries(diff.counts).forEach(([key, { from, to }]) => {
+        if (from !== to) {
+            const change = to - from;
+            lines.push(`  ${key}: ${from} → ${to} (${change > 0 ? '+' : ''}${change})`);
+        }
+    });
+    return lines;
+}
+
+/**
+ * Builds a version string from the import time and the feed contents
+ * @param {Object} bundle - Bundle from parseFeed
+ * @param {Date} importedAt - Import time
+ * @returns {string} e.g. "20250130T142500Z-1a2b3c4d"
+ */
+function makeVersion(bundle, importedAt) {
+    const stamp = importedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    return `${stamp}-${bundle.feedHash.slice(0, 8)}`;
+}
+
+/**
+ * Writes a bundle as a new version, points current.json at it and removes old versions
+ * @param {Object} bundle - Bundle with version set
+ * @param {Object} [options]
+ * @param {string} [options.dir=GTFS_DATA_DIR] - Directory holding the bundles
+ * @param {number} [options.keep=5] - Number of versions to keep
+ * @returns {string} Path of the written bundle
+ */
+function writeBundle(bundle, { dir = GTFS_DATA_DIR, keep = 5 } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = `${bundle.version}.json`;
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(bundle));
+
+    // Write the pointer atomically so the server never reads a partial file
+    const pointerPath = path.join(dir, POINTER_FILE);
+    fs.writeFileSync(`${pointerPath}.tmp`, JSON.stringify({ version: bundle.version, file }, null, 2));
+    fs.renameSync(`${pointerPath}.tmp`, pointerPath);
+
+    // Version names start with the import time, so they sort oldest first
+    const versions = fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json') && name !== POINTER_FILE)
+        .sort();
+    versions.slice(0, Math.max(0, versions.length - keep)).forEach(name => fs.unlinkSync(path.join(dir, name)));
+
+    return path.join(dir, file);
+}
+
+/**
+ * Writes the stop catalogue used by the browser (train-routes.json) from a bundle.
+ * Each line lists its stops in travel order, outbound first.
+ * @param {Object} bundle - The imported bundle
+ * @param {string} file - Output path
+ * @param {Array<string>|null} [lines=MUNI_LINES] - Lines to include, or null for every line in the bundle
+ * @returns {Object} The written data
+ */
+function writeTrainRoutes(bundle, file, lines = MUNI_LINES) {
+    const uniqueStops = new Set();
+    const routes = (lines || Object.keys(bundle.routes).sort()).filter(line => bundle.routes[line]).map(line => {
+        const byDirection = bundle.patterns[line] || {};
+        const stopIds = [];
+        ['outbound', 'inbound', 'unknown'].forEach(direction => {
+            (byDirection[direction] || []).forEach(pattern => {
+                pattern.stops.forEach(stopId => {
+                    if (!stopIds.includes(stopId)) stopIds.push(stopId);
+                });
+            });
+        });
+        stopIds.forEach(stopId => uniqueStops.add(stopId));
+
+        return {
+            line,
+            name: bundle.routes[line].longName,
+            stopCount: stopIds.length,
+            stops: stopIds.map(stopId => {
+                const stop = bundle.stops[stopId];
+                return {
+                    id: stopId,
+                    name: stop.name,
+                    lat: stop.lat === null ? undefined : String(stop.lat),
+                    long: stop.lon === null ? undefined : String(stop.lon),
+                    direction: stop.direction
+                };
+            })
+        };
+    });
+
+    const data = {
+        timestamp: bundle.importedAt,
+        version: bundle.version,
+        totalStops: routes.reduce((total, route) => total + route.stopCount, 0),
+        uniqueStops: uniqueStops.size,
+        stopsWithLocation: [...uniqueStops].filter(stopId => bundle.stops[stopId].lat !== null).length,
+        routes
+    };
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    return data;
+}
+
+module.exports = {
+    REQUIRED_LINES,
+    readFeedFile,
+    parseFeed,
+    validateFeed,
+    diffBundles,
+    formatDiff,
+    makeVersion,
+    writeBundle,
+    writeTrainRoutes,
+    readBundle
+};
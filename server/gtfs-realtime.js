@@ -0,0 +1,33 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const path = require('path');
+const protobuf = require('protobufjs');
+
+const PROTO_FILE = path.join(__dirname, '..', 'gtfs-realtime2.proto');
+
+let feedMessagePromise = null;
+
+/**
+ * Loads the GTFS-realtime FeedMessage type from the bundled proto, once
+ * @returns {Promise<Object>} The protobufjs FeedMessage type
+ * @throws {Error} If the proto file cannot be loaded
+ */
+function loadFeedMessage() {
+    if (!feedMessagePromise) {
+        feedMessagePromise = protobuf.load(PROTO_FILE)
+            .then(root => root.lookupType('transit_realtime.FeedMessage'))
+            .catch(error => {
+                console.error('Failed to load protobuf:', error);
+                feedMessagePromise = null;
+                throw error;
+            });
+    }
+    return feedMessagePromise;
+}
+
+module.exports = { loadFeedMessage };
@@ -0,0 +1,76 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Loads the GTFS static bundle written by scripts/import-gtfs.js.
+ *
+ * GTFS_DATA_DIR holds one <version>.json file per import and a current.json
+ * pointer naming the version in use. The server reads the current bundle
+ * once at startup; without one it falls back to public/train-routes.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GTFS_DATA_DIR = path.resolve(process.env.GTFS_DATA_DIR || path.join(__dirname, '..', 'data', 'gtfs'));
+const POINTER_FILE = 'current.json';
+// GTFS direction_id values; SFMTA publishes 0 as outbound and 1 as inbound
+const DIRECTIONS = { 0: 'outbound', 1: 'inbound' };
+
+// undefined until loaded, null when there is no bundle
+let bundle;
+
+/**
+ * Reads the current bundle from a data directory
+ * @param {string} [dir=GTFS_DATA_DIR] - Directory holding the bundles
+ * @returns {Object|null} The bundle, or null if nothing has been imported
+ * @throws {Error} If the pointer or bundle file exists but cannot be parsed
+ */
+function readBundle(dir = GTFS_DATA_DIR) {
+    let pointer;
+    try {
+        pointer = JSON.parse(fs.readFileSync(path.join(dir, POINTER_FILE), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    return JSON.parse(fs.readFileSync(path.join(dir, path.basename(pointer.file)), 'utf8'));
+}
+
+/**
+ * Loads the current bundle into memory, replacing any loaded earlier
+ * @returns {Object|null} The bundle, or null if none could be loaded
+ */
+function load() {
+    try {
+        bundle = readBundle();
+    } catch (error) {
+        console.error('Error loading GTFS bundle:', error.message);
+        bundle = null;
+    }
+    return bundle;
+}
+
+/**
+ * Gets the loaded bundle, loading it on first use
+ * @returns {Object|null} The bundle, or null if nothing has been imported
+ */
+function getBundle() {
+    if (bundle === undefined) {
+        load();
+    }
+    return bundle;
+}
+
+module.exports = {
+    DIRECTIONS,
+    GTFS_DATA_DIR,
+    POINTER_FILE,
+    readBundle,
+    load,
+    getBundle
+};
@@ -0,0 +1,237 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Headways between consecutive trains on each line and direction.
+ *
+ * Trains are placed along the main GTFS shape of their line and direction,
+ * or at their current stop when their position is off the shape, and
+ * ordered front to back. The headway between two trains is the scheduled
+ * running time from the follower's position to the leader's, averaged over
+ * every trip on that pattern, so it reads as "minutes behind".
+ */
+
+const gtfsStatic = require('./gtfs-static');
+const { measureLine, projectOntoLine } = require('./geometry');
+
+const BUNCHED_MINUTES = Number(process.env.HEADWAY_BUNCHED_MINUTES) || 3;
+const GAP_MINUTES = Number(process.env.HEADWAY_GAP_MINUTES) || 15;
+// How far a reported position may be from the shape and still be placed on it
+const SNAP_METERS = 100;
+
+// line|direction -> running time profile, for the bundle version in profilesVersion
+let profiles = new Map();
+let profilesVersion = null;
+
+/**
+ * Builds the running time profile of a line's main pattern in one direction:
+ * each stop's distance along the shape and its average scheduled time from the first stop
+ * @param {Object} bundle - The imported GTFS bundle
+ * @param {string} line - Line, e.g. 'K'
+ * @param {('inbound'|'outbound')} direction - Direction
+ * @returns {Object|null} { line (measured), stops: [{ stopId, distance, offset }] },
+ *   or null if the pattern has no usable geometry or times
+ */
+function buildProfile(bundle, line, direction) {
+    const pattern = bundle.patterns[line]?.[direction]?.[0];
+    if (!pattern) return null;
+
+    const coordinates = (pattern.shapeId && bundle.shapes[pattern.shapeId]) || pattern.stops
+        .map(stopId => bundle.stops[stopId])
+        .filter(stop => stop && stop.lat !== null && stop.lon !== null)
+        .map(stop => [stop.lon, stop.lat]);
+    if (coordinates.length < 2) return null;
+    const measured = measureLine(coordinates);
+
+    const key = pattern.stops.join('>');
+    const sums = pattern.stops.map(() => 0);
+    let count = 0;
+    Object.values(bundle.trips).forEach(trip => {
+        if (trip.line !== line || gtfsStatic.DIRECTIONS[trip.directionId] !== direction) return;
+        const times = bundle.stopTimes[trip.id];
+        if (!times || times.map(([, stopId]) => stopId).join('>') !== key) return;
+
+        const offsets = times.map(([, , arrival, departure]) => arrival ?? departure);
+        if (offsets.some(offset => offset === null)) return;
+        offsets.forEach((offset, i) => {
+            sums[i] += offset - offsets[0];
+        });
+        count++;
+    });
+    if (!count) return null;
+
+    // Keep stops in order along the shape even if one projects slightly backwards
+    let previous = 0;
+    const stops = pattern.stops.map((stopId, i) => {
+        const stop = bundle.stops[stopId];
+        const projected = stop && stop.lat !== null ? projectOntoLine(measured, [stop.lon, stop.lat]).distance : previous;
+        previous = Math.max(projected, previous);
+        return { stopId, distance: previous, offset: sums[i] / count };
+    });
+    return { line: measured, stops };
+}
+
+/**
+ * Gets the running time profile for a line and direction, building profiles
+ * again when a different bundle is loaded
+ * @param {Object} bundle - The imported GTFS bundle
+ * @param {string} line - Line, e.g. 'K'
+ * @param {('inbound'|'outbound')} direction - Direction
+ * @returns {Object|null} Profile from buildProfile
+ */
+function getProfile(bundle, line, direction) {
+    if (profilesVersion !== bundle.version) {
+        profiles = new Map();
+        profilesVersion = bundle.version;
+    }
+    const key = `${line}|${direction}`;
+    if (!profiles.has(key)) {
+        profiles.set(key, buildProfile(bundle, line, direction));
+    }
+    return profiles.get(key);
+}
+
+/**
+ * Gets the scheduled running time from the first stop to a distance along the profile
+ * @param {Object} profile - Profile from buildProfile
+ * @param {number} distance - Meters along the shape
+ * @returns {number} Seconds from the first stop
+ */
+function getRunningTime(profile, distance) {
+    const { stops } = profile;
+    if (distance <= stops[0].distance) return stops[0].offset;
+
+    for (let i = 1; i < stops.length; i++) {
+        if (distance <= stops[i].distance) {
+            const span = stops[i].distance - stops[i - 1].distance;
+            const t = span ? (distance - stops[i - 1].distance) / span : 1;
+            return stops[i - 1].offset + t * (stops[i].offset - stops[i - 1].offset);
+        }
+    }
+    return stops[stops.length - 1].offset;
+}
+
+/**
+ * Places a vehicle along a profile, by position or else by its current stop
+ * @param {Object} profile - Profile from buildProfile
+ * @param {Object} vehicle - Vehicle from transit.getVehiclePositions
+ * @returns {Object|null} { distance, placedBy: 'position'|'stop' }, or null if it cannot be placed
+ */
+function placeVehicle(profile, vehicle) {
+    if (Number.isFinite(vehicle.longitude) && Number.isFinite(vehicle.latitude)) {
+        const projection = projectOntoLine(profile.line, [vehicle.longitude, vehicle.latitude]);
+        if (projection.offset <= SNAP_METERS) {
+            return { distance: projection.distance, placedBy: 'position' };
+        }
+    }
+    const stop = profile.stops.find(item => item.stopId === vehicle.stopId);
+    return stop ? { distance: stop.distance, placedBy: 'stop' } : null;
+}
+
+/**
+ * Classifies a headway against the configured thresholds
+ * @param {number} minutes - Headway in minutes
+ * @param {Object} thresholds - { bunchedMinutes, gapMinutes }
+ * @returns {('bunched'|'gap'|'ok')} Headway status
+ */
+function classifyHeadway(minutes, { bunchedMinutes, gapMinutes }) {
+    if (minutes <= bunchedMinutes) return 'bunched';
+    if (minutes >= gapMinutes) return 'gap';
+    return 'ok';
+}
+
+/**
+ * Orders trains along each line and direction and measures the headways between them
+ * @param {Array<Object>} vehicles - Vehicles from transit.getVehiclePositions
+ * @param {Object} [options]
+ * @param {Array<string>} [options.lines] - Only these lines
+ * @param {number} [options.bunchedMinutes=BUNCHED_MINUTES] - Headways at or under this are bunched
+ * @param {number} [options.gapMinutes=GAP_MINUTES] - Headways at or over this are gaps
+ * @returns {Object|null} { thresholds, lines: [{ line, direction, vehicles, unplaced, headways, summary }] },
+ *   or null if no GTFS bundle has been imported
+ */
+function getHeadways(vehicles, { lines, bunchedMinutes = BUNCHED_MINUTES, gapMinutes = GAP_MINUTES } = {}) {
+    const bundle = gtfsStatic.getBundle();
+    if (!bundle) return null;
+    const thresholds = { bunchedMinutes, gapMinutes };
+
+    const groups = new Map();
+    vehicles.forEach(vehicle => {
+        const direction = gtfsStatic.DIRECTIONS[vehicle.direction];
+        if (!direction || (lines && !lines.includes(vehicle.routeId))) return;
+        const key = `${vehicle.routeId}|${direction}`;
+        if (!groups.has(key)) groups.set(key, { line: vehicle.routeId, direction, vehicles: [] });
+        groups.get(key).vehicles.push(vehicle);
+    });
+
+    const results = [...groups.values()]
+        .sort((a, b) => a.line.localeCompare(b.line) || a.direction.localeCompare(b.direction))
+        .map(({ line, direction, vehicles: group }) => {
+            const profile = getProfile(bundle, line, direction);
+            const placed = [];
+            const unplaced = [];
+
+            group.forEach(vehicle => {
+                const place = profile && placeVehicle(profile, vehicle);
+                if (place) {
+                    placed.push({
+                        trainId: vehicle.trainId,
+                        stopId: vehicle.stopId || null,
+                        currentStopSequence: vehicle.currentStopSequence ?? null,
+                        distance: Math.round(place.distance),
+                        placedBy: place.placedBy,
+                        runningTime: getRunningTime(profile, place.distance)
+                    });
+                } else {
+                    unplaced.push(vehicle.trainId);
+                }
+            });
+
+            // Front of the line first; stop sequence breaks ties between trains at the same stop
+            placed.sort((a, b) => b.distance - a.distance ||
+                (b.currentStopSequence || 0) - (a.currentStopSequence || 0));
+
+            const headways = [];
+            for (let i = 1; i < placed.length; i++) {
+                const leader = placed[i - 1];
+                const follower = placed[i];
+                const minutes = Math.round((leader.runningTime - follower.runningTime) / 6) / 10;
+                headways.push({
+                    leader: leader.trainId,
+                    follower: follower.trainId,
+                    minutes,
+                    meters: leader.distance - follower.distance,
+                    status: classifyHeadway(minutes, thresholds)
+                });
+            }
+
+            const minutes = headways.map(headway => headway.minutes);
+            return {
+                line,
+                direction,
+                vehicles: placed.map(({ runningTime, ...vehicle }) => vehicle),
+                unplaced,
+                headways,
+                summary: {
+                    trains: group.length,
+                    averageMinutes: minutes.length ? Math.round(minutes.reduce((sum, value) => sum + value, 0) / minutes.length * 10) / 10 : null,
+                    minMinutes: minutes.length ? Math.min(...minutes) : null,
+                    maxMinutes: minutes.length ? Math.max(...minutes) : null,
+                    bunched: headways.filter(headway => headway.status === 'bunched').length,
+                    gaps: headways.filter(headway => headway.status === 'gap').length
+                }
+            };
+        });
+
+    return { thresholds, lines: results };
+}
+
+module.exports = {
+    BUNCHED_MINUTES,
+    GAP_MINUTES,
+    getHeadways
+};
@@ -0,0 +1,495 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Stores observed arrivals in SQLite and reports on lateness, headways and
+ * waits from them.
+ *
+ * Arrivals are derived from two poller feeds:
+ * - Stop monitoring: a prediction that drops out of a stop's list once its
+ *   expected time has come is taken as an arrival at that time, and a train
+ *   reported at the stop is taken as arriving then. Only stops someone is
+ *   watching (or listed in HISTORY_STOPS) are covered.
+ * - Vehicle positions: a train STOPPED_AT a stop arrived by its timestamp.
+ *   These win over predictions for the same trip and stop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const agencies = require('./agencies');
+const { DIRECTIONS: VEHICLE_DIRECTIONS } = require('./gtfs-static');
+const poller = require('./poller');
+const stops = require('./stops');
+const schedule = require('./schedule');
+const transit = require('./transit');
+
+const HISTORY_DB = path.resolve(process.env.HISTORY_DB || path.join(__dirname, '..', 'data', 'history.db'));
+const HISTORY_STOPS = (process.env.HISTORY_STOPS || '').split(',').map(stopId => stopId.trim()).filter(Boolean);
+// A prediction that disappears this close to its expected time counts as an arrival
+const ARRIVAL_GRACE_MS = 2 * 60 * 1000;
+// Predictions not seen for this long are forgotten
+const PENDING_TIMEOUT_MS = 30 * 60 * 1000;
+// Consecutive arrivals further apart than this are a service break, not a headway
+const MAX_HEADWAY_MS = 2 * 60 * 60 * 1000;
+// A headway within this of the scheduled one counts as reliable
+const RELIABLE_HEADWAY_SECONDS = 180;
+const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 366;
+const SIRI_DIRECTIONS = { IB: 'inbound', OB: 'outbound' };
+// groupBy name -> arrivals column
+const GROUP_COLUMNS = {
+    line: 'line',
+    direction: 'direction',
+    stop: 'stop_id',
+    hour: 'hour',
+    scheduledTime: 'scheduled_time'
+};
+
+let db = null;
+let insertArrival = null;
+// stopId|tripId -> last prediction seen for a train that has not arrived yet
+const pending = new Map();
+
+/**
+ * Opens the database and creates the schema if needed
+ * @param {string} [file=HISTORY_DB] - Database file
+ * @returns {Object} The better-sqlite3 database
+ */
+function open(file = HISTORY_DB) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS arrivals (
+            service_date TEXT NOT NULL,
+            trip_id TEXT NOT NULL,
+            stop_id TEXT NOT NULL,
+            line TEXT NOT NULL,
+            direction TEXT,
+            vehicle_id TEXT,
+            scheduled_at INTEGER,
+            scheduled_time TEXT,
+            arrived_at INTEGER NOT NULL,
+            delay_seconds INTEGER,
+            hour INTEGER NOT NULL,
+            source TEXT NOT NULL,
+            PRIMARY KEY (service_date, trip_id, stop_id)
+        );
+        CREATE INDEX IF NOT EXISTS arrivals_by_date ON arrivals (service_date, line, stop_id);
+    `);
+
+    // A vehicle seen at the stop replaces an arrival inferred from predictions
+    insertArrival = db.prepare(`
+        INSERT INTO arrivals (service_date, trip_id, stop_id, line, direction, vehicle_id,
+            scheduled_at, scheduled_time, arrived_at, delay_seconds, hour, source)
+        VALUES (@serviceDate, @tripId, @stopId, @line, @direction, @vehicleId,
+            @scheduledAt, @scheduledTime, @arrivedAt, @delaySeconds, @hour, @source)
+        ON CONFLICT (service_date, trip_id, stop_id) DO UPDATE SET
+            arrived_at = excluded.arrived_at,
+            delay_seconds = excluded.delay_seconds,
+            vehicle_id = COALESCE(excluded.vehicle_id, arrivals.vehicle_id),
+            source = excluded.source
+        WHERE arrivals.source = 'prediction' AND excluded.source = 'vehicle'
+    `);
+    return db;
+}
+
+/**
+ * Formats a time as a local YYYY-MM-DD date
+ * @param {number} time - Time in milliseconds
+ * @returns {string} Local date
+ */
+function toLocalDate(time) {
+    const { year, month, day } = schedule.getLocalParts(time);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Builds an arrivals row
+ * @param {Object} arrival - { serviceDate, tripId, stopId, line, direction, vehicleId, scheduledAt, arrivedAt, source }
+ * @returns {Object} Row parameters for insertArrival
+ */
+function toRow(arrival) {
+    const { scheduledAt, arrivedAt } = arrival;
+    const scheduledParts = scheduledAt ? schedule.getLocalParts(scheduledAt) : null;
+    return {
+        ...arrival,
+        // Service dates come as YYYYMMDD from GTFS-realtime and YYYY-MM-DD from SIRI
+        serviceDate: (arrival.serviceDate || toLocalDate(scheduledAt || arrivedAt))
+            .replace(/^(\d{4})-?(\d{2})-?(\d{2})$/, '$1-$2-$3'),
+        scheduledAt: scheduledAt || null,
+        scheduledTime: scheduledParts
+            ? `${String(scheduledParts.hour).padStart(2, '0')}:${String(scheduledParts.minute).padStart(2, '0')}`
+            : null,
+        delaySeconds: scheduledAt ? Math.round((arrivedAt - scheduledAt) / 1000) : null,
+        hour: schedule.getLocalParts(arrivedAt).hour
+    };
+}
+
+/**
+ * Saves arrivals in one transaction
+ * @param {Array<Object>} arrivals - Arrivals for toRow
+ */
+function saveArrivals(arrivals) {
+    if (!db || !arrivals.length) return;
+    db.transaction(items => items.forEach(item => insertArrival.run(toRow(item))))(arrivals);
+}
+
+/**
+ * Turns a stop monitoring update into arrivals: trains reported at the stop,
+ * and trains whose prediction disappeared around its expected time
+ * @param {string} stopId - The stop ID
+ * @param {Object} data - Stop monitoring data from the poller
+ * @param {number} [now=Date.now()] - Time of the update in milliseconds
+ * @returns {Array<Object>} Arrivals for saveArrivals
+ */
+function observePredictions(stopId, data, now = Date.now()) {
+    const { ServiceDelivery } = transit.formatStopPredictions(stopId, data);
+    const visits = ServiceDelivery?.StopMonitoringDelivery?.MonitoredStopVisit || [];
+    const arrivals = [];
+    const seen = new Set();
+
+    visits.forEach(visit => {
+        const journey = visit.MonitoredVehicleJourney;
+        const tripId = journey?.FramedVehicleJourneyRef?.DatedVehicleJourneyRef;
+        const call = journey?.MonitoredCall;
+        const expected = Date.parse(call?.ExpectedArrivalTime || call?.ExpectedDepartureTime);
+        if (!tripId || isNaN(expected)) return;
+
+        const key = `${stopId}|${tripId}`;
+        const scheduledAt = journey.scheduleAdherence ? Date.parse(journey.scheduleAdherence.scheduledTime) : null;
+        const arrival = {
+            serviceDate: journey.FramedVehicleJourneyRef.DataFrameRef || null,
+            tripId,
+            stopId,
+            line: journey.LineRef,
+            direction: SIRI_DIRECTIONS[journey.DirectionRef] || null,
+            vehicleId: journey.VehicleRef || null,
+            scheduledAt,
+            arrivedAt: expected,
+            source: 'prediction'
+        };
+        seen.add(key);
+
+        if (call.VehicleAtStop === 'true' || call.VehicleAtStop === true) {
+            const recordedAt = Date.parse(visit.RecordedAtTime);
+            arrivals.push({ ...arrival, arrivedAt: Math.min(expected, isNaN(recordedAt) ? now : recordedAt) });
+            pending.delete(key);
+        } else {
+            pending.set(key, { ...arrival, lastSeen: now });
+        }
+    });
+
+    pending.forEach((arrival, key) => {
+        if (seen.has(key)) return;
+        if (arrival.stopId === stopId) {
+            pending.delete(key);
+            const { lastSeen, ...rest } = arrival;
+            // Dropping out long before it was due means cancelled or reassigned, not arrived
+            if (arrival.arrivedAt <= now + ARRIVAL_GRACE_MS) {
+                arrivals.push(rest);
+            }
+        } else if (now - arrival.lastSeen > PENDING_TIMEOUT_MS) {
+            pending.delete(key);
+        }
+    });
+    return arrivals;
+}
+
+/**
+ * Turns a vehicle positions update into arrivals for trains stopped at a stop
+ * @param {Array<Object>} vehicles - Vehicles from transit.getVehiclePositions
+ * @returns {Array<Object>} Arrivals for saveArrivals
+ */
+function observeVehicles(vehicles) {
+    return vehicles
+        .filter(vehicle => vehicle.currentStatus === 1 && vehicle.tripId && vehicle.stopId)
+        .map(vehicle => ({
+            serviceDate: vehicle.startDate || null,
+            tripId: vehicle.tripId,
+            stopId: vehicle.stopId,
+            line: vehicle.routeId,
+            direction: VEHICLE_DIRECTIONS[vehicle.direction] || null,
+            vehicleId: vehicle.vehicleId,
+            scheduledAt: vehicle.scheduleAdherence ? Date.parse(vehicle.scheduleAdherence.scheduledTime) : null,
+            arrivedAt: Number(vehicle.timestamp) * 1000 || Date.now(),
+            source: 'vehicle'
+        }));
+}
+
+/**
+ * Parses and checks report query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} { from, to, filters: { line, direction, stop, hour }, groupBy }
+ * @throws {RangeError} If a parameter is invalid
+ */
+function parseReportQuery(query) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const to = query.to || toLocalDate(Date.now());
+    const from = query.from || toLocalDate(Date.parse(`${to}T12:00:00Z`) - (DEFAULT_REPORT_DAYS - 1) * 86400000);
+    if (!datePattern.test(from) || !datePattern.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+        throw new RangeError('from and to must be dates as YYYY-MM-DD');
+    }
+    if (from > to) {
+        throw new RangeError('from must not be after to');
+    }
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_REPORT_DAYS) {
+        throw new RangeError(`Date range cannot exceed ${MAX_REPORT_DAYS} days`);
+    }
+
+    const filters = {};
+    if (query.line) {
+        filters.line = String(query.line).toUpperCase();
+        const lines = agencies.getLines();
+        if (!lines.includes(filters.line)) {
+            throw new RangeError(`line must be one of ${lines.join(', ')}`);
+        }
+    }
+    if (query.direction) {
+        if (!['inbound', 'outbound'].includes(query.direction)) {
+            throw new RangeError('direction must be inbound or outbound');
+        }
+        filters.direction = query.direction;
+    }
+    if (query.stop) {
+        filters.stop = String(query.stop);
+    }
+    if (query.hour !== undefined && query.hour !== '') {
+        filters.hour = Number(query.hour);
+        if (!Number.isInteger(filters.hour) || filters.hour < 0 || filters.hour > 23) {
+            throw new RangeError('hour must be a whole number from 0 to 23');
+        }
+    }
+
+    const groupBy = query.groupBy ? String(query.groupBy).split(',').map(name => name.trim()).filter(Boolean) : ['line', 'direction'];
+    const unknown = groupBy.filter(name => !GROUP_COLUMNS[name]);
+    if (unknown.length) {
+        throw new RangeError(`groupBy must be from ${Object.keys(GROUP_COLUMNS).join(', ')}`);
+    }
+    return { from, to, filters, groupBy };
+}
+
+/**
+ * Builds the WHERE clause for a report
+ * @param {Object} options - Parsed report query
+ * @param {Object} [settings]
+ * @param {boolean} [settings.hour=true] - Whether to filter on hour here
+ * @returns {{sql: string, params: Object}} Clause and named parameters
+ */
+function buildWhere({ from, to, filters }, { hour = true } = {}) {
+    const clauses = ['service_date BETWEEN @from AND @to'];
+    const params = { from, to };
+    if (filters.line) clauses.push('line = @line');
+    if (filters.direction) clauses.push('direction = @direction');
+    if (filters.stop) clauses.push('stop_id = @stop');
+    if (hour && filters.hour !== undefined) clauses.push('hour = @hour');
+    Object.assign(params, filters);
+    return { sql: clauses.join(' AND '), params };
+}
+
+/**
+ * Turns grouped rows into report rows, naming groups and stops
+ * @param {Array<Object>} rows - Rows with g_<name> group columns
+ * @param {Array<string>} groupBy - Group names
+ * @param {Function} metrics - Maps a row to its report metrics
+ * @returns {Array<Object>} Report rows
+ */
+function formatRows(rows, groupBy, metrics) {
+    return rows.map(row => {
+        const group = {};
+        groupBy.forEach(name => {
+            group[name] = row[`g_${name}`];
+        });
+        if (group.stop) {
+            group.stopName = stops.getStop(group.stop)?.name || null;
+        }
+        return { ...group, ...metrics(row) };
+    });
+}
+
+/**
+ * Rounds seconds to minutes with one decimal
+ * @param {number|null} seconds - Seconds
+ * @returns {number|null} Minutes
+ */
+function toMinutes(seconds) {
+    return seconds === null || seconds === undefined ? null : Math.round(seconds / 6) / 10;
+}
+
+/**
+ * Reports lateness against the schedule
+ * @param {Object} query - Express query object (from, to, line, direction, stop, hour, groupBy)
+ * @returns {Object} { from, to, groupBy, rows } with per-group arrivals, average and
+ *   worst delay, and early / on-time / late shares
+ * @throws {RangeError} If a parameter is invalid
+ * @throws {Error} If history is not enabled
+ */
+function getLatenessReport(query) {
+    if (!db) throw new Error('History is not enabled');
+    const options = parseReportQuery(query);
+    const where = buildWhere(options);
+    const groups = options.groupBy.map(name => `${GROUP_COLUMNS[name]} AS g_${name}`);
+    const groupColumns = options.groupBy.map(name => `g_${name}`);
+
+    const rows = db.prepare(`
+        SELECT ${[...groups, ''].join(', ')}
+            COUNT(*) AS arrivals,
+            COUNT(delay_seconds) AS scheduled,
+            AVG(delay_seconds) AS average_delay,
+            MAX(delay_seconds) AS max_delay,
+            SUM(delay_seconds < -@early) AS early,
+            SUM(delay_seconds BETWEEN -@early AND @late) AS on_time,
+            SUM(delay_seconds > @late) AS late
+        FROM arrivals
+        WHERE ${where.sql}
+        ${groupColumns.length ? `GROUP BY ${groupColumns.join(', ')} ORDER BY ${groupColumns.join(', ')}` : ''}
+    `).all({ ...where.params, early: schedule.EARLY_SECONDS, late: schedule.LATE_SECONDS });
+
+    return {
+        from: options.from,
+        to: options.to,
+        groupBy: options.groupBy,
+        rows: formatRows(rows.filter(row => row.arrivals), options.groupBy, row => ({
+            arrivals: row.arrivals,
+            scheduled: row.scheduled,
+            averageDelayMinutes: toMinutes(row.average_delay),
+            maxDelayMinutes: toMinutes(row.max_delay),
+            onTimePercent: row.scheduled ? Math.round(row.on_time / row.scheduled * 100) : null,
+            earlyPercent: row.scheduled ? Math.round(row.early / row.scheduled * 100) : null,
+            latePercent: row.scheduled ? Math.round(row.late / row.scheduled * 100) : null
+        }))
+    };
+}
+
+/**
+ * Reports headways between consecutive arrivals at a stop, their reliability
+ * against the schedule, and the average wait for a passenger turning up at random
+ * (mean of squared headways over twice the mean headway)
+ * @param {Object} query - Express query object (from, to, line, direction, stop, hour, groupBy)
+ * @returns {Object} { from, to, groupBy, rows } with per-group headway, wait and reliability figures
+ * @throws {RangeError} If a parameter is invalid
+ * @throws {Error} If history is not enabled
+ */
+function getHeadwayReport(query) {
+    if (!db) throw new Error('History is not enabled');
+    const options = parseReportQuery(query);
+    // Filter hours after pairing arrivals so the first train of an hour keeps its headway
+    const where = buildWhere(options, { hour: false });
+    const groups = options.groupBy.map(name => `${GROUP_COLUMNS[name]} AS g_${name}`);
+    const groupColumns = options.groupBy.map(name => `g_${name}`);
+
+    const rows = db.prepare(`
+        WITH paired AS (
+            SELECT *,
+                (arrived_at - LAG(arrived_at) OVER w) / 1000.0 AS actual,
+                (scheduled_at - LAG(scheduled_at) OVER planned_order) / 1000.0 AS planned
+            FROM arrivals
+            WHERE ${where.sql}
+            WINDOW w AS (PARTITION BY service_date, stop_id, line, direction ORDER BY arrived_at),
+                -- Trains can overtake, so scheduled headways pair trains in scheduled order
+                planned_order AS (PARTITION BY service_date, stop_id, line, direction ORDER BY scheduled_at)
+        )
+        SELECT ${[...groups, ''].join(', ')}
+            COUNT(*) AS headways,
+            AVG(actual) AS mean_actual,
+            AVG(actual * actual) AS mean_square_actual,
+            AVG(planned) AS mean_planned,
+            AVG(planned * planned) AS mean_square_planned,
+            COUNT(planned) AS planned_count,
+            SUM(ABS(actual - planned) <= @reliable) AS reliable
+        FROM paired
+        WHERE actual IS NOT NULL AND actual > 0 AND actual < @maxHeadway
+            ${options.filters.hour !== undefined ? 'AND hour = @hour' : ''}
+        ${groupColumns.length ? `GROUP BY ${groupColumns.join(', ')} ORDER BY ${groupColumns.join(', ')}` : ''}
+    `).all({
+        ...where.params,
+        hour: options.filters.hour,
+        reliable: RELIABLE_HEADWAY_SECONDS,
+        maxHeadway: MAX_HEADWAY_MS / 1000
+    });
+
+    return {
+        from: options.from,
+        to: options.to,
+        groupBy: options.groupBy,
+        rows: formatRows(rows.filter(row => row.headways), options.groupBy, row => {
+            const variance = Math.max(row.mean_square_actual - row.mean_actual * row.mean_actual, 0);
+            const wait = row.mean_square_actual / (2 * row.mean_actual);
+            const scheduledWait = row.planned_count ? row.mean_square_planned / (2 * row.mean_planned) : null;
+            return {
+                headways: row.headways,
+                averageHeadwayMinutes: toMinutes(row.mean_actual),
+                scheduledHeadwayMinutes: toMinutes(row.mean_planned),
+                // Coefficient of variation: 0 is perfectly even spacing
+                headwayVariation: Math.round(Math.sqrt(variance) / row.mean_actual * 100) / 100,
+                averageWaitMinutes: toMinutes(wait),
+                scheduledWaitMinutes: toMinutes(scheduledWait),
+                excessWaitMinutes: scheduledWait === null ? null : toMinutes(wait - scheduledWait),
+                reliablePercent: row.planned_count ? Math.round(row.reliable / row.planned_count * 100) : null
+            };
+        })
+    };
+}
+
+/**
+ * Checks whether the history store is open
+ * @returns {boolean} True once start() has opened the database
+ */
+function isEnabled() {
+    return db !== null;
+}
+
+/**
+ * Opens the history store and starts recording arrivals from poller updates,
+ * unless RECORD_HISTORY=false. Stops in HISTORY_STOPS are kept watched.
+ */
+function start() {
+    if (process.env.RECORD_HISTORY === 'false' || db) return;
+    try {
+        open();
+    } catch (error) {
+        console.error('Error opening history database:', error.message);
+        db = null;
+        return;
+    }
+
+    poller.pin('vehicles');
+    if (HISTORY_STOPS.length) {
+        const keepWatching = () => poller.watch(HISTORY_STOPS, []);
+        keepWatching();
+        setInterval(keepWatching, 60 * 1000).unref();
+    }
+
+    poller.events.on('update', (key, value) => {
+        try {
+            if (key === 'vehicles') {
+                saveArrivals(observeVehicles(value));
+            } else if (key.startsWith('predictions:')) {
+                // Only Muni stops have the schedule and stop list that reports are built on
+                const stopRef = key.slice('predictions:'.length);
+                if (agencies.isDefaultStop(stopRef)) {
+                    saveArrivals(observePredictions(stopRef, value));
+                }
+            }
+        } catch (error) {
+            console.error('Error recording arrivals:', error.message);
+        }
+    });
+}
+
+module.exports = {
+    HISTORY_DB,
+    open,
+    start,
+    isEnabled,
+    observePredictions,
+    observeVehicles,
+    saveArrivals,
+    getLatenessReport,
+    getHeadwayReport
+};
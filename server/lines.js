@@ -0,0 +1,121 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Line catalogue: the lines an agency keeps, each described with its mode
+ * (Metro, streetcar, cable car or bus) and colors. For SF Muni the lines are
+ * the ones in LINES or else every imported GTFS route, described from those routes
+ * and the 511.org lines API; other agencies list every line 511.org has.
+ */
+
+const gtfsStatic = require('./gtfs-static');
+const poller = require('./poller');
+const agencies = require('./agencies');
+
+// Modes in the order the line selector groups them
+const MODES = ['metro', 'streetcar', 'cable-car', 'bus'];
+
+// 511.org TransportMode values; it tells Muni Metro apart from the streetcars
+const TRANSPORT_MODES = {
+    metro: 'metro',
+    rail: 'metro',
+    tram: 'streetcar',
+    cableway: 'cable-car',
+    funicular: 'cable-car',
+    bus: 'bus',
+    trolleybus: 'bus',
+    coach: 'bus'
+};
+
+// GTFS route_type values; light rail (0) covers Metro and the streetcars alike
+const ROUTE_TYPES = {
+    0: 'metro',
+    1: 'metro',
+    2: 'metro',
+    3: 'bus',
+    5: 'cable-car',
+    7: 'cable-car',
+    11: 'bus'
+};
+
+// Colors for lines that neither the GTFS routes nor the agency give one
+const MODE_COLORS = {
+    metro: '#bc2026',
+    streetcar: '#8c6d3f',
+    'cable-car': '#7a3b2e',
+    bus: '#005b95'
+};
+
+/**
+ * Picks a line's mode
+ * @param {Object|undefined} route - GTFS route from the bundle
+ * @param {Object|undefined} line - Line from the 511.org lines API
+ * @returns {string} One of MODES; bus when nothing says otherwise
+ */
+function getMode(route, line) {
+    return TRANSPORT_MODES[String(line?.TransportMode).toLowerCase()] ||
+        ROUTE_TYPES[route?.type] ||
+        'bus';
+}
+
+/**
+ * Lists an agency's lines from the 511.org lines API, keyed by line ID
+ * @async
+ * @param {string} agencyId - Agency code
+ * @returns {Promise<Map<string, Object>>} Lines by ID; empty if the API call fails
+ */
+async function getProviderLines(agencyId) {
+    try {
+        const data = await poller.getLines(agencyId);
+        return new Map((Array.isArray(data) ? data : []).map(line => [String(line.Id).toUpperCase(), line]));
+    } catch (error) {
+        console.warn(`Line catalogue for ${agencyId} is missing 511.org line data:`, error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Builds an agency's line catalogue
+ * @async
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Object>} { agency, modes, lines }; each line is
+ *   { id, name, mode, routeType, color, textColor }, sorted by mode then ID
+ * @throws {RangeError} If the agency is not enabled
+ */
+async function getLineCatalogue(agencyId = agencies.DEFAULT_AGENCY) {
+    const agency = agencies.getAgency(agencyId);
+    const bundle = agency.id === agencies.DEFAULT_AGENCY ? gtfsStatic.getBundle() : null;
+    const providerLines = await getProviderLines(agency.id);
+    const ids = agencies.getLines(agency.id) || [...providerLines.keys()];
+
+    const lines = ids.map(id => {
+        const route = bundle?.routes[id];
+        const line = providerLines.get(id);
+        const mode = getMode(route, line);
+        return {
+            id,
+            name: route?.longName || line?.Name || '',
+            mode,
+            routeType: route ? route.type : null,
+            color: route?.color || agency.lineColors[id] || MODE_COLORS[mode],
+            textColor: route?.textColor || '#ffffff'
+        };
+    });
+
+    lines.sort((a, b) => MODES.indexOf(a.mode) - MODES.indexOf(b.mode) ||
+        a.id.localeCompare(b.id, 'en', { numeric: true }));
+    return {
+        agency: agency.id,
+        modes: MODES.filter(mode => lines.some(line => line.mode === mode)),
+        lines
+    };
+}
+
+module.exports = {
+    MODES,
+    getLineCatalogue
+};
@@ -0,0 +1,420 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Arrival notifications. Each browser (identified by a random client ID it
+ * keeps in localStorage) owns a list of rules such as "the next outbound K
+ * at stop 16503 is 6 minutes away, weekdays 7-9am". Rules are checked
+ * against every stop monitoring update from the poller, so they fire with
+ * the tab in the background. A notification goes out by Web Push when the
+ * browser has subscribed, and otherwise over its open event stream.
+ *
+ * Rules, push subscriptions and the VAPID keys (unless VAPID_PUBLIC_KEY and
+ * VAPID_PRIVATE_KEY are set) are kept in NOTIFICATIONS_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+const poller = require('./poller');
+const stops = require('./stops');
+const schedule = require('./schedule');
+const stream = require('./stream');
+const transit = require('./transit');
+const agencies = require('./agencies');
+
+const NOTIFICATIONS_FILE = path.resolve(process.env.NOTIFICATIONS_FILE ||
+    path.join(__dirname, '..', 'data', 'notifications.json'));
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:muni-tracker@example.com';
+const MAX_RULES_PER_CLIENT = 20;
+const MAX_LEAD_MINUTES = 60;
+// Stops of rules whose window opens within this are polled ahead of time
+const WATCH_AHEAD_MINUTES = 15;
+const WATCH_INTERVAL_MS = 60 * 1000;
+// How long a push service should hold a notification the browser is not online for
+const PUSH_TTL_SECONDS = 120;
+const CLIENT_ID_PATTERN = /^[\w-]{8,64}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const SIRI_DIRECTIONS = { inbound: 'IB', outbound: 'OB' };
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// { vapidKeys, clients: { clientId: { subscription, rules } } }, loaded by start()
+let store = null;
+let publicKey = null;
+// ruleId -> trip the rule last notified about, so each train notifies once
+const notified = new Map();
+
+/**
+ * Reads the store from disk
+ * @returns {Object} Stored state, empty if the file does not exist yet
+ */
+function readStore() {
+    try {
+        return JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading notifications file:', error.message);
+        }
+        return { clients: {} };
+    }
+}
+
+/**
+ * Writes the store to disk, replacing the file in one step
+ */
+function saveStore() {
+    fs.mkdirSync(path.dirname(NOTIFICATIONS_FILE), { recursive: true });
+    const temporary = `${NOTIFICATIONS_FILE}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(store, null, 2));
+    fs.renameSync(temporary, NOTIFICATIONS_FILE);
+}
+
+/**
+ * Checks a client ID
+ * @param {string} clientId - Client ID from the request
+ * @returns {string} The client ID
+ * @throws {RangeError} If it is missing or malformed
+ */
+function checkClientId(clientId) {
+    if (!CLIENT_ID_PATTERN.test(clientId || '')) {
+        throw new RangeError('clientId must be 8-64 letters, digits, dashes or underscores');
+    }
+    return clientId;
+}
+
+/**
+ * Gets a client's stored record, creating it if asked
+ * @param {string} clientId - Client ID
+ * @param {boolean} [create=false] - Create an empty record if there is none
+ * @returns {Object|undefined} { subscription, rules }
+ */
+function getClient(clientId, create = false) {
+    if (!store.clients[clientId] && create) {
+        store.clients[clientId] = { subscription: null, rules: [] };
+    }
+    return store.clients[clientId];
+}
+
+/**
+ * Gets the display name for a stop ID
+ * @param {string} stopId - The stop ID
+ * @returns {string} Stop name
+ */
+function getStopName(stopId) {
+    return transit.STOPS[stopId] || stops.getStop(stopId)?.name || `Stop #${stopId}`;
+}
+
+/**
+ * Parses "HH:MM" into minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function toMinuteOfDay(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Checks and normalizes a rule from a request body
+ * @param {Object} input - { stopId, line, direction, minutes, days, start, end }
+ * @returns {Object} Rule fields
+ * @throws {RangeError} If a field is invalid
+ */
+function parseRule(input) {
+    const stopId = String(input.stopId || '');
+    if (!stops.getStop(stopId)) {
+        throw new RangeError(`Stop ${stopId || '(none)'} is not served by a tracked line`);
+    }
+    const line = String(input.line || '').toUpperCase();
+    const lines = agencies.getLines();
+    if (!lines.includes(line)) {
+        throw new RangeError(`line must be one of ${lines.join(', ')}`);
+    }
+    const direction = input.direction || null;
+    if (direction !== null && !SIRI_DIRECTIONS[direction]) {
+        throw new RangeError('direction must be inbound or outbound');
+    }
+    const minutes = Number(input.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_LEAD_MINUTES) {
+        throw new RangeError(`minutes must be a whole number from 1 to ${MAX_LEAD_MINUTES}`);
+    }
+    const days = input.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : input.days;
+    if (!Array.isArray(days) || !days.length || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new RangeError('days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+    }
+    const start = input.start || '00:00';
+    const end = input.end || '23:59';
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+        throw new RangeError('start and end must be times as HH:MM');
+    }
+    return { stopId, line, direction, minutes, days: [...new Set(days)].sort(), start, end };
+}
+
+/**
+ * Describes a rule for display, e.g. "Outbound K at Ocean Ave & Aptos Ave, 6 min away, Mon-Fri 07:00-09:00"
+ * @param {Object} rule - Stored rule
+ * @returns {string} Description
+ */
+function describeRule(rule) {
+    const stopName = getStopName(rule.stopId);
+    const direction = rule.direction ? `${rule.direction[0].toUpperCase()}${rule.direction.slice(1)} ` : '';
+    const days = rule.days.length === 7 ? 'every day'
+        : rule.days.join() === '1,2,3,4,5' ? 'Mon-Fri'
+            : rule.days.map(day => DAY_NAMES[day]).join(', ');
+    const hours = rule.start === '00:00' && rule.end === '23:59' ? '' : ` ${rule.start}-${rule.end}`;
+    return `${direction}${rule.line} at ${stopName}, ${rule.minutes} min away, ${days}${hours}`;
+}
+
+/**
+ * Checks whether a rule's days and hours include a time
+ * @param {Object} rule - Stored rule
+ * @param {number} time - Time in milliseconds
+ * @param {number} [aheadMinutes=0] - Also count the window as open this many minutes early
+ * @returns {boolean} True if the rule is active
+ */
+function isRuleActive(rule, time, aheadMinutes = 0) {
+    const local = schedule.getLocalParts(time + aheadMinutes * 60000);
+    const weekday = new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay();
+    const minute = local.hour * 60 + local.minute;
+    const start = toMinuteOfDay(rule.start);
+    const end = toMinuteOfDay(rule.end);
+
+    // A window such as 22:00-01:00 runs past midnight and belongs to the day it starts
+    if (start <= end) {
+        return rule.days.includes(weekday) && minute >= start - aheadMinutes && minute <= end;
+    }
+    if (minute >= start - aheadMinutes) return rule.days.includes(weekday);
+    return minute <= end && rule.days.includes((weekday + 6) % 7);
+}
+
+/**
+ * Lists every stored rule with its client ID
+ * @returns {Array<Object>} Rules
+ */
+function allRules() {
+    return Object.entries(store.clients).flatMap(([clientId, client]) =>
+        client.rules.map(rule => ({ ...rule, clientId })));
+}
+
+/**
+ * Keeps the stops of active or soon active rules polled
+ */
+function watchRuleStops() {
+    const now = Date.now();
+    const stopIds = new Set(allRules()
+        .filter(rule => isRuleActive(rule, now, WATCH_AHEAD_MINUTES))
+        .map(rule => rule.stopId));
+    if (stopIds.size) {
+        poller.watch([...stopIds], []);
+    }
+}
+
+/**
+ * Sends a notification to a client by Web Push, falling back to its event stream
+ * @async
+ * @param {string} clientId - Client ID
+ * @param {Object} payload - { title, body, tag, url, ... }
+ * @returns {Promise<('push'|'stream'|null)>} How it was delivered, or null if the client could not be reached
+ */
+async function sendNotification(clientId, payload) {
+    const client = getClient(clientId);
+    if (client?.subscription && publicKey) {
+        try {
+            await webpush.sendNotification(client.subscription, JSON.stringify(payload), { TTL: PUSH_TTL_SECONDS });
+            return 'push';
+        } catch (error) {
+            // The browser unsubscribed or the subscription expired
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                client.subscription = null;
+                saveStore();
+            } else {
+                console.error('Error sending push notification:', error.body || error.message);
+            }
+        }
+    }
+    return stream.notify(clientId, payload) ? 'stream' : null;
+}
+
+/**
+ * Checks the rules for a stop against its latest predictions and notifies
+ * once per train when the next matching train is within a rule's lead time
+ * @param {string} stopId - The stop ID
+ * @param {Object} data - Stop monitoring data from the poller
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array<Promise>} Deliveries started
+ */
+function checkRules(stopId, data, now = Date.now()) {
+    const rules = allRules().filter(rule => rule.stopId === stopId && isRuleActive(rule, now));
+    if (!rules.length) return [];
+    const journeys = (data?.ServiceDelivery?.StopMonitoringDelivery?.MonitoredStopVisit || [])
+        .map(visit => visit.MonitoredVehicleJourney)
+        .filter(Boolean)
+        .map(journey => ({
+            journey,
+            expected: Date.parse(journey.MonitoredCall?.ExpectedArrivalTime || journey.MonitoredCall?.ExpectedDepartureTime)
+        }))
+        .filter(({ expected }) => !isNaN(expected) && expected >= now - 30000)
+        .sort((a, b) => a.expected - b.expected);
+
+    return rules.map(rule => {
+        const next = journeys.find(({ journey }) => journey.LineRef === rule.line &&
+            (!rule.direction || !journey.DirectionRef || journey.DirectionRef === SIRI_DIRECTIONS[rule.direction]));
+        if (!next) return null;
+
+        const minutesAway = Math.max(0, Math.round((next.expected - now) / 60000));
+        const tripKey = next.journey.FramedVehicleJourneyRef?.DatedVehicleJourneyRef ||
+            next.journey.VehicleRef || String(next.expected);
+        if (minutesAway > rule.minutes || notified.get(rule.id) === tripKey) return null;
+        notified.set(rule.id, tripKey);
+
+        const stopName = getStopName(stopId);
+        const direction = rule.direction ? ` ${rule.direction}` : '';
+        return sendNotification(rule.clientId, {
+            title: minutesAway ? `${rule.line}${direction} in ${minutesAway} min` : `${rule.line}${direction} arriving now`,
+            body: `${stopName}${next.journey.DestinationName ? ` · to ${next.journey.DestinationName}` : ''}`,
+            tag: `rule-${rule.id}`,
+            url: '/',
+            ruleId: rule.id,
+            stopId,
+            line: rule.line,
+            minutesAway,
+            expectedTime: new Date(next.expected).toISOString()
+        });
+    }).filter(Boolean);
+}
+
+/**
+ * Gets the VAPID public key browsers subscribe with
+ * @returns {string|null} Public key, or null before start()
+ */
+function getPublicKey() {
+    return publicKey;
+}
+
+/**
+ * Lists a client's rules
+ * @param {string} clientId - Client ID
+ * @returns {Array<Object>} Rules with a description
+ * @throws {RangeError} If the client ID is malformed
+ */
+function listRules(clientId) {
+    const client = getClient(checkClientId(clientId));
+    return (client?.rules || []).map(rule => ({ ...rule, description: describeRule(rule) }));
+}
+
+/**
+ * Adds a rule for a client
+ * @param {string} clientId - Client ID
+ * @param {Object} input - Rule fields for parseRule
+ * @returns {Object} The new rule with a description
+ * @throws {RangeError} If the client ID or a field is invalid, or the client has too many rules
+ */
+function addRule(clientId, input) {
+    const fields = parseRule(input || {});
+    const client = getClient(checkClientId(clientId), true);
+    if (client.rules.length >= MAX_RULES_PER_CLIENT) {
+        throw new RangeError(`A browser can have at most ${MAX_RULES_PER_CLIENT} alert rules`);
+    }
+    const rule = { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`, ...fields };
+    client.rules.push(rule);
+    saveStore();
+    watchRuleStops();
+    return { ...rule, description: describeRule(rule) };
+}
+
+/**
+ * Deletes one of a client's rules
+ * @param {string} clientId - Client ID
+ * @param {string} ruleId - Rule ID
+ * @returns {boolean} True if the rule existed
+ * @throws {RangeError} If the client ID is malformed
+ */
+function deleteRule(clientId, ruleId) {
+    const client = getClient(checkClientId(clientId));
+    const index = client ? client.rules.findIndex(rule => rule.id === ruleId) : -1;
+    if (index === -1) return false;
+    client.rules.splice(index, 1);
+    notified.delete(ruleId);
+    saveStore();
+    return true;
+}
+
+/**
+ * Stores or clears a client's Web Push subscription
+ * @param {string} clientId - Client ID
+ * @param {Object|null} subscription - PushSubscription as JSON, or null to clear it
+ * @throws {RangeError} If the client ID or subscription is invalid
+ */
+function setSubscription(clientId, subscription) {
+    if (subscription !== null && (!/^https:\/\//.test(subscription?.endpoint || '') ||
+        !subscription.keys?.p256dh || !subscription.keys?.auth)) {
+        throw new RangeError('subscription must be a PushSubscription with an https endpoint and keys');
+    }
+    const client = getClient(checkClientId(clientId), subscription !== null);
+    if (!client) return;
+    client.subscription = subscription && { endpoint: subscription.endpoint, keys: subscription.keys };
+    saveStore();
+}
+
+/**
+ * Sends a test notification to a client
+ * @async
+ * @param {string} clientId - Client ID
+ * @returns {Promise<('push'|'stream'|null)>} How it was delivered
+ * @throws {RangeError} If the client ID is malformed
+ */
+function sendTest(clientId) {
+    return sendNotification(checkClientId(clientId), {
+        title: 'Muni arrival alerts are on',
+        body: 'You will be notified here when your train is close.',
+        tag: 'test',
+        url: '/'
+    });
+}
+
+/**
+ * Loads the stored rules and VAPID keys and starts checking rules against
+ * prediction updates
+ */
+function start() {
+    if (store) return;
+    store = readStore();
+
+    let keys = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+        ? { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY }
+        : store.vapidKeys;
+    if (!keys) {
+        keys = store.vapidKeys = webpush.generateVAPIDKeys();
+        saveStore();
+    }
+    try {
+        webpush.setVapidDetails(VAPID_SUBJECT, keys.publicKey, keys.privateKey);
+        publicKey = keys.publicKey;
+    } catch (error) {
+        console.error('Web Push disabled, invalid VAPID settings:', error.message);
+    }
+
+    poller.events.on('update', (key, value) => {
+        if (!key.startsWith('predictions:')) return;
+        checkRules(key.slice('predictions:'.length), value).forEach(delivery =>
+            delivery.catch(error => console.error('Error sending arrival notification:', error.message)));
+    });
+    watchRuleStops();
+    setInterval(watchRuleStops, WATCH_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    MAX_RULES_PER_CLIENT,
+    start,
+    getPublicKey,
+    listRules,
+    addRule,
+    deleteRule,
+    setSubscription,
+    sendTest,
+    checkRules
+};
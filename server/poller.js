@@ -0,0 +1,303 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Shared background poller for 511.org. Instead of every browser tab calling
+ * upstream, route handlers read from one cache that this module keeps fresh.
+ * Stops and feeds are only polled while someone is asking for them.
+ *
+ * Cache keys carry the agency for agencies other than the default:
+ * "vehicles" is Muni's vehicle feed and "vehicles:BA" is BART's, and
+ * predictions are keyed by stop reference ("predictions:BA:12018").
+ */
+
+const EventEmitter = require('events');
+const transit = require('./transit');
+const { DEFAULT_AGENCY } = require('./agencies');
+const { createCache } = require('./cache');
+
+const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS) || 60 * 1000;
+const WATCH_TIMEOUT_MS = Number(process.env.WATCH_TIMEOUT_MS) || 10 * 60 * 1000;
+// Upper bound on polled stops, so made-up stop IDs cannot exhaust the 511.org quota
+const MAX_WATCHED_STOPS = Number(process.env.MAX_WATCHED_STOPS) || 200;
+// Real-time data survives one missed poll before it is considered stale
+const REALTIME_TTL_MS = POLL_INTERVAL_MS * 2;
+// Lines and patterns change with service changes, not minute to minute
+const STATIC_TTL_MS = 6 * 60 * 60 * 1000;
+
+const cache = createCache();
+const inFlight = new Map();
+// Serialized copy of the last value fetched for each key, for change detection
+const lastPayloads = new Map();
+// Emits 'update' (key, value) whenever a refresh brings back different data
+const events = new EventEmitter();
+// GTFS-realtime feeds refreshed by the poller, keyed by feed name
+const FEEDS = {
+    vehicles: transit.getVehiclePositions,
+    alerts: transit.getServiceAlerts,
+    trips: transit.getTripUpdates
+};
+
+// stop reference -> timestamp of the last client request for that stop,
+// ordered from least to most recently requested
+const watchedStops = new Map();
+// feed cache key -> timestamp of the last client request for that feed
+const watchedFeeds = new Map();
+// Feeds polled regardless of client requests (e.g. while recording)
+const pinnedFeeds = new Set();
+let timer = null;
+
+/**
+ * Runs fetcher once per key at a time, sharing the promise between concurrent callers
+ * @param {string} key - Cache key being loaded
+ * @param {Function} fetcher - Async function producing the value
+ * @returns {Promise<*>} The fetched value
+ */
+function dedupe(key, fetcher) {
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+    const promise = fetcher().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Fetches a value from upstream and stores it in the cache
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time to live for the cached value
+ * @param {Function} fetcher - Async function producing the value
+ * @returns {Promise<*>} The fetched value
+ */
+function refresh(key, ttlMs, fetcher) {
+    return dedupe(key, async () => {
+        const value = await fetcher();
+        const serialized = JSON.stringify(value);
+        const changed = serialized !== lastPayloads.get(key);
+        lastPayloads.set(key, serialized);
+        cache.set(key, value, ttlMs);
+        if (changed) {
+            events.emit('update', key, value);
+        }
+        return value;
+    });
+}
+
+/**
+ * Returns a cached value, fetching it from upstream on a cache miss
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time to live for a newly fetched value
+ * @param {Function} fetcher - Async function producing the value
+ * @returns {Promise<*>} The cached or fetched value
+ */
+async function load(key, ttlMs, fetcher) {
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+    return refresh(key, ttlMs, fetcher);
+}
+
+/**
+ * Builds the cache key for an agency's feed
+ * @param {string} name - Key into FEEDS, or 'lines'
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {string} The bare name for the default agency, "<name>:<agency>" otherwise
+ */
+function feedKey(name, agency = DEFAULT_AGENCY) {
+    return agency === DEFAULT_AGENCY ? name : `${name}:${agency}`;
+}
+
+/**
+ * Fetches the feed behind a feed cache key
+ * @param {string} key - Cache key from feedKey
+ * @returns {Promise<*>} The feed data
+ */
+function fetchFeed(key) {
+    const [name, agency = DEFAULT_AGENCY] = key.split(':');
+    return FEEDS[name](agency);
+}
+
+/**
+ * Returns a GTFS-realtime feed from the cache and adds it to the polling set
+ * @param {string} name - Key into FEEDS
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<*>} The feed data
+ */
+function loadFeed(name, agency = DEFAULT_AGENCY) {
+    const key = feedKey(name, agency);
+    watchedFeeds.set(key, Date.now());
+    return load(key, REALTIME_TTL_MS, () => fetchFeed(key));
+}
+
+/**
+ * Removes a stop from the polling set along with its cached predictions
+ * @param {string} stopRef - Stop reference
+ */
+function unwatchStop(stopRef) {
+    watchedStops.delete(stopRef);
+    cache.delete(`predictions:${stopRef}`);
+    lastPayloads.delete(`predictions:${stopRef}`);
+}
+
+/**
+ * Adds a stop to the polling set or renews it, dropping the least recently
+ * requested stop once more than MAX_WATCHED_STOPS are watched
+ * @param {string} stopRef - Stop reference
+ * @param {number} requestedAt - Time of the request in milliseconds
+ */
+function watchStop(stopRef, requestedAt) {
+    // Re-inserting moves the stop to the end of the map's iteration order
+    watchedStops.delete(stopRef);
+    watchedStops.set(stopRef, requestedAt);
+    if (watchedStops.size > MAX_WATCHED_STOPS) {
+        unwatchStop(watchedStops.keys().next().value);
+    }
+}
+
+/**
+ * Keeps stops and feeds in the polling set without reading them, for
+ * long-lived subscribers such as the event stream
+ * @param {Array<string>} stopRefs - Stop references to keep watched
+ * @param {Array<string>} feedKeys - Feed cache keys (see feedKey) to keep watched
+ */
+function watch(stopRefs, feedKeys) {
+    const now = Date.now();
+    stopRefs.forEach(stopRef => watchStop(stopRef, now));
+    feedKeys.forEach(key => watchedFeeds.set(key, now));
+}
+
+/**
+ * Keeps a feed in the polling set permanently
+ * @param {string} key - Feed cache key (see feedKey)
+ */
+function pin(key) {
+    pinnedFeeds.add(key);
+    watchedFeeds.set(key, Date.now());
+}
+
+/**
+ * Returns stop monitoring data for a stop and, once it has been fetched
+ * successfully, adds it to the polling set
+ * @async
+ * @param {string} stopRef - Stop ID, or "<agency>:<stopId>" for another agency
+ * @returns {Promise<Object>} Stop monitoring data from 511.org
+ */
+async function getPredictions(stopRef) {
+    const data = await load(`predictions:${stopRef}`, REALTIME_TTL_MS, () => transit.getStopPredictions(stopRef));
+    watchStop(stopRef, Date.now());
+    return data;
+}
+
+/**
+ * Returns the latest vehicle positions for an agency and keeps the feed polled
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Vehicle position data
+ */
+function getVehicles(agency = DEFAULT_AGENCY) {
+    return loadFeed('vehicles', agency);
+}
+
+/**
+ * Returns the active service alerts for an agency and keeps the feed polled
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Service alerts
+ */
+function getAlerts(agency = DEFAULT_AGENCY) {
+    return loadFeed('alerts', agency);
+}
+
+/**
+ * Returns the trip updates for an agency and keeps the feed polled
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Trips with upcoming stop times
+ */
+function getTrips(agency = DEFAULT_AGENCY) {
+    return loadFeed('trips', agency);
+}
+
+/**
+ * Returns an agency's line data
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Transit line data from 511.org
+ */
+function getLines(agency = DEFAULT_AGENCY) {
+    return load(feedKey('lines', agency), STATIC_TTL_MS, () => transit.getLines(agency));
+}
+
+/**
+ * Returns route pattern data for a line
+ * @param {string} lineId - The ID of the transit line
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Object>} Route pattern data from 511.org
+ */
+function getPatterns(lineId, agency = DEFAULT_AGENCY) {
+    const key = agency === DEFAULT_AGENCY ? `patterns:${lineId}` : `patterns:${agency}:${lineId}`;
+    return load(key, STATIC_TTL_MS, () => transit.getPatterns(lineId, agency));
+}
+
+/**
+ * Refreshes every watched stop and feed, dropping those that nobody has
+ * requested within WATCH_TIMEOUT_MS
+ * @async
+ */
+async function poll() {
+    const now = Date.now();
+    const tasks = [];
+
+    for (const [stopRef, requestedAt] of watchedStops) {
+        if (now - requestedAt > WATCH_TIMEOUT_MS) {
+            unwatchStop(stopRef);
+            continue;
+        }
+        tasks.push(refresh(`predictions:${stopRef}`, REALTIME_TTL_MS, () => transit.getStopPredictions(stopRef)));
+    }
+
+    for (const [key, requestedAt] of watchedFeeds) {
+        if (now - requestedAt > WATCH_TIMEOUT_MS && !pinnedFeeds.has(key)) {
+            watchedFeeds.delete(key);
+            continue;
+        }
+        tasks.push(refresh(key, REALTIME_TTL_MS, () => fetchFeed(key)));
+    }
+
+    const results = await Promise.allSettled(tasks);
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Poller refresh failed:', result.reason.message));
+}
+
+/**
+ * Starts the background poller
+ */
+function start() {
+    if (timer) return;
+    timer = setInterval(poll, POLL_INTERVAL_MS);
+}
+
+/**
+ * Stops the background poller
+ */
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    events,
+    feedKey,
+    watch,
+    pin,
+    getPredictions,
+    getVehicles,
+    getAlerts,
+    getTrips,
+    getLines,
+    getPatterns,
+    start,
+    stop
+};
@@ -0,0 +1,107 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Version 2 predictions: parses SIRI stop monitoring visits into flat
+ * prediction objects on the server, so API clients don't need to know SIRI.
+ * The schema is described in server/openapi-v2.json.
+ */
+
+// SIRI DirectionRef values by direction; SFMTA uses IB and OB
+const DIRECTIONS = {
+    IB: 'inbound',
+    INBOUND: 'inbound',
+    OB: 'outbound',
+    OUTBOUND: 'outbound'
+};
+// SIRI occupancy values, as reported by 511.org
+const OCCUPANCIES = ['seatsAvailable', 'standingAvailable', 'full'];
+
+/**
+ * Reads a SIRI time
+ * @param {string|null|undefined} value - SIRI timestamp
+ * @returns {string|null} ISO-8601 time, or null if missing or invalid
+ */
+function toIsoTime(value) {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Reads an optional SIRI string, which 511.org sends as "" or null when unset
+ * @param {*} value - SIRI field
+ * @returns {string|null} The value, or null if empty
+ */
+function toOptionalString(value) {
+    return value === null || value === undefined || value === '' ? null : String(value);
+}
+
+/**
+ * Converts one SIRI MonitoredVehicleJourney into a prediction
+ * @param {Object} journey - MonitoredVehicleJourney, with scheduleAdherence for Muni stops
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} Prediction as described by the Prediction schema
+ */
+function normalizePrediction(journey, now) {
+    const call = journey.MonitoredCall || {};
+    const expectedArrival = toIsoTime(call.ExpectedArrivalTime);
+    const expectedDeparture = toIsoTime(call.ExpectedDepartureTime);
+    const expected = expectedArrival || expectedDeparture;
+    const directionRef = toOptionalString(journey.DirectionRef);
+
+    return {
+        line: toOptionalString(journey.LineRef),
+        lineName: toOptionalString(journey.PublishedLineName),
+        direction: DIRECTIONS[String(directionRef).toUpperCase()] || null,
+        directionRef,
+        destination: toOptionalString(call.DestinationDisplay) || toOptionalString(journey.DestinationName),
+        destinationRef: toOptionalString(journey.DestinationRef),
+        tripId: toOptionalString(journey.FramedVehicleJourneyRef?.DatedVehicleJourneyRef),
+        vehicleRef: toOptionalString(journey.VehicleRef),
+        aimedArrival: toIsoTime(call.AimedArrivalTime),
+        expectedArrival,
+        aimedDeparture: toIsoTime(call.AimedDepartureTime),
+        expectedDeparture,
+        minutesAway: expected ? Math.round((Date.parse(expected) - now) / 60000) : null,
+        atStop: call.VehicleAtStop === true || call.VehicleAtStop === 'true',
+        occupancy: OCCUPANCIES.includes(journey.Occupancy) ? journey.Occupancy : null,
+        scheduleAdherence: journey.scheduleAdherence || null
+    };
+}
+
+/**
+ * Converts a stop's predictions, as returned by transit.formatStopPredictions,
+ * into version 2 predictions. Predictions already in the past are dropped.
+ * @param {string} stopRef - Stop ID, or "<agency>:<stopId>" for another agency
+ * @param {Object} stop - { agency, stopName, ServiceDelivery }
+ * @param {number} [now=Date.now()] - Server time in milliseconds
+ * @returns {Object} { stopId, agency, stopName, asOf, predictions }, soonest first;
+ *   predictions without an expected time come last
+ */
+function normalizeStopPredictions(stopRef, stop, now = Date.now()) {
+    const delivery = stop.ServiceDelivery?.StopMonitoringDelivery;
+    const visits = Array.isArray(delivery?.MonitoredStopVisit) ? delivery.MonitoredStopVisit : [];
+
+    const predictions = visits
+        .filter(visit => visit.MonitoredVehicleJourney)
+        .map(visit => normalizePrediction(visit.MonitoredVehicleJourney, now))
+        .filter(prediction => prediction.minutesAway === null || prediction.minutesAway >= 0)
+        .sort((a, b) => (a.minutesAway ?? Infinity) - (b.minutesAway ?? Infinity));
+
+    return {
+        stopId: stopRef,
+        agency: stop.agency,
+        stopName: stop.stopName,
+        asOf: toIsoTime(stop.ServiceDelivery?.ResponseTimestamp || delivery?.ResponseTimestamp),
+        predictions
+    };
+}
+
+module.exports = {
+    normalizePrediction,
+    normalizeStopPredictions
+};
@@ -0,0 +1,210 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Fixture data provider: serves recorded 511.org responses
+ * from FIXTURE_DIR so the app runs without API keys or network access.
+ *
+ * Agencies other than the default read from agencies/<agency>/ inside
+ * FIXTURE_DIR, laid out the same way.
+ *
+ * By default every timestamp in a recording is shifted so the recording
+ * appears to have been made just now; set FIXTURE_REBASE_TIMES=false to
+ * serve the files exactly as recorded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { loadFeedMessage } = require('../gtfs-realtime');
+const { DEFAULT_AGENCY } = require('../agencies');
+
+const FIXTURE_DIR = path.resolve(process.env.FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures'));
+const REBASE_TIMES = process.env.FIXTURE_REBASE_TIMES !== 'false';
+const ISO_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+// GTFS-realtime fields holding Unix timestamps in seconds
+const FEED_TIME_FIELDS = new Set(['timestamp', 'time', 'start', 'end']);
+
+/**
+ * Resolves a path inside an agency's fixture directory
+ * @param {string} agency - 511.org agency code
+ * @param {...string} segments - Path segments relative to the agency's directory
+ * @returns {string} Absolute path
+ */
+function fixturePath(agency, ...segments) {
+    const dir = agency === DEFAULT_AGENCY ? FIXTURE_DIR : path.join(FIXTURE_DIR, 'agencies', path.basename(agency));
+    return path.join(dir, ...segments);
+}
+
+/**
+ * Reads and parses a JSON fixture
+ * @param {string} agency - 511.org agency code
+ * @param {...string} segments - Path segments relative to the agency's directory
+ * @returns {Promise<Object>} Parsed JSON
+ * @throws {Error} If the file is missing or not valid JSON
+ */
+async function readJson(agency, ...segments) {
+    const contents = await fs.promises.readFile(fixturePath(agency, ...segments), 'utf8');
+    return JSON.parse(contents);
+}
+
+/**
+ * Returns a deep copy of value with every ISO-8601 timestamp string shifted
+ * @param {*} value - Parsed JSON value
+ * @param {number} offsetMs - Milliseconds to add
+ * @returns {*} Shifted copy
+ */
+function shiftIsoTimes(value, offsetMs) {
+    if (typeof value === 'string' && ISO_TIME_PATTERN.test(value)) {
+        return new Date(Date.parse(value) + offsetMs).toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => shiftIsoTimes(item, offsetMs));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, shiftIsoTimes(item, offsetMs)]));
+    }
+    return value;
+}
+
+/**
+ * Returns a deep copy of a plain FeedMessage with its Unix timestamps shifted
+ * @param {*} value - FeedMessage converted to a plain object
+ * @param {number} offsetSeconds - Seconds to add
+ * @returns {*} Shifted copy
+ */
+function shiftFeedTimes(value, offsetSeconds) {
+    if (Array.isArray(value)) {
+        return value.map(item => shiftFeedTimes(item, offsetSeconds));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+            if (FEED_TIME_FIELDS.has(key) && typeof item === 'number' && item > 0) {
+                return [key, item + offsetSeconds];
+            }
+            return [key, shiftFeedTimes(item, offsetSeconds)];
+        }));
+    }
+    return value;
+}
+
+/**
+ * Serves recorded stop monitoring data, falling back to stop-monitoring/default.json
+ * @param {string} stopId - The ID of the stop
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Object>} SIRI stop monitoring data
+ * @throws {Error} If neither fixture exists
+ */
+async function getStopMonitoring(stopId, agency = DEFAULT_AGENCY) {
+    let data;
+    try {
+        data = await readJson(agency, 'stop-monitoring', `${path.basename(stopId)}.json`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        data = await readJson(agency, 'stop-monitoring', 'default.json');
+    }
+
+    const recordedAt = Date.parse(data.ServiceDelivery?.ResponseTimestamp);
+    if (!REBASE_TIMES || isNaN(recordedAt)) {
+        return data;
+    }
+    return shiftIsoTimes(data, Date.now() - recordedAt);
+}
+
+/**
+ * Serves a recorded GTFS-realtime feed from <name>.pb, or from <name>.json
+ * in protobufjs JSON form
+ * @param {('vehiclepositions'|'servicealerts'|'tripupdates')} name - Feed name
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Buffer>} The encoded FeedMessage
+ * @throws {Error} If neither fixture exists
+ */
+async function getRealtimeFeed(name, agency = DEFAULT_AGENCY) {
+    const FeedMessage = await loadFeedMessage();
+
+    let message;
+    try {
+        const buffer = await fs.promises.readFile(fixturePath(agency, `${name}.pb`));
+        if (!REBASE_TIMES) {
+            return buffer;
+        }
+        message = FeedMessage.decode(buffer);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        message = FeedMessage.fromObject(await readJson(agency, `${name}.json`));
+    }
+
+    if (REBASE_TIMES) {
+        const plain = FeedMessage.toObject(message, { longs: Number });
+        const recordedAt = plain.header?.timestamp;
+        if (recordedAt) {
+            const offsetSeconds = Math.floor(Date.now() / 1000) - recordedAt;
+            message = FeedMessage.fromObject(shiftFeedTimes(plain, offsetSeconds));
+        }
+    }
+
+    return Buffer.from(FeedMessage.encode(message).finish());
+}
+
+/**
+ * Serves recorded line data from lines.json
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Transit line data
+ */
+function getLines(agency = DEFAULT_AGENCY) {
+    return readJson(agency, 'lines.json');
+}
+
+/**
+ * Serves recorded route pattern data from patterns/<lineId>.json
+ * @param {string} lineId - The ID of the transit line
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Object>} Route pattern data
+ * @throws {Error} If there is no fixture for the line
+ */
+async function getPatterns(lineId, agency = DEFAULT_AGENCY) {
+    try {
+        return await readJson(agency, 'patterns', `${path.basename(lineId)}.json`);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`No pattern fixture for line ${lineId}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serves a GTFS static feed from gtfs.zip, or zips up the gtfs/ directory
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Buffer>} The GTFS zip
+ * @throws {Error} If neither fixture exists
+ */
+async function getStaticFeed(agency = DEFAULT_AGENCY) {
+    try {
+        return await fs.promises.readFile(fixturePath(agency, 'gtfs.zip'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const dir = fixturePath(agency, 'gtfs');
+    if (!fs.existsSync(dir)) {
+        throw new Error(`No GTFS fixture: expected ${fixturePath(agency, 'gtfs.zip')} or ${dir}/`);
+    }
+    const zip = new AdmZip();
+    zip.addLocalFolder(dir);
+    return zip.toBuffer();
+}
+
+module.exports = {
+    name: 'fixture',
+    requiredEnv: [],
+    getStopMonitoring,
+    getRealtimeFeed,
+    getLines,
+    getPatterns,
+    getStaticFeed
+};
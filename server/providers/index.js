@@ -0,0 +1,36 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Selects the transit data provider from DATA_PROVIDER. Weather has its own
+ * providers, selected in ./weather.
+ *
+ * A provider returns raw upstream data and exposes:
+ *   name                          - Provider name
+ *   requiredEnv                   - Environment variables it needs
+ *   getStopMonitoring(stopId, agency) - SIRI stop monitoring JSON
+ *   getRealtimeFeed(name, agency)     - Encoded GTFS-realtime FeedMessage
+ *                                       ('vehiclepositions', 'servicealerts' or 'tripupdates')
+ *   getLines(agency)                  - Line data
+ *   getPatterns(lineId, agency)       - Route pattern data for a line
+ *   getStaticFeed(agency)             - GTFS static feed as a zip Buffer
+ *
+ * agency is a 511.org agency code and defaults to SF (see server/agencies.js).
+ */
+
+const PROVIDERS = {
+    live: './live',
+    fixture: './fixture'
+};
+
+const providerName = process.env.DATA_PROVIDER || 'live';
+
+if (!PROVIDERS[providerName]) {
+    throw new Error(`Unknown DATA_PROVIDER "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+module.exports = require(PROVIDERS[providerName]);
@@ -0,0 +1,125 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Live data provider: 511.org for transit data.
+ */
+
+const axios = require('axios');
+const { DEFAULT_AGENCY, getAgency } = require('../agencies');
+
+const TRANSIT_API_URL = 'https://api.511.org/transit/StopMonitoring';
+const LINES_API_URL = 'http://api.511.org/transit/lines';
+const PATTERNS_API_URL = 'http://api.511.org/transit/patterns';
+const DATAFEEDS_API_URL = 'http://api.511.org/transit/datafeeds';
+const FEED_URLS = {
+    vehiclepositions: 'https://api.511.org/transit/vehiclepositions',
+    servicealerts: 'https://api.511.org/transit/servicealerts',
+    tripupdates: 'https://api.511.org/transit/tripupdates'
+};
+
+/**
+ * Makes API calls to 511.org to get real-time predictions for a specific stop
+ * @param {string} stopId - The ID of the stop to get predictions for
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Object>} The SIRI stop monitoring data from 511.org
+ * @throws {Error} If the API call fails
+ */
+async function getStopMonitoring(stopId, agency = DEFAULT_AGENCY) {
+    const url = new URL(TRANSIT_API_URL);
+    const params = {
+        api_key: process.env.TRANSIT_API_KEY,
+        agency,
+        stopCode: stopId,
+        format: 'json'
+    };
+    Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
+    
+    const response = await axios.get(url.toString());
+    return response.data;
+}
+
+/**
+ * Downloads a 511.org GTFS-realtime feed
+ * @param {('vehiclepositions'|'servicealerts'|'tripupdates')} name - Feed name
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Buffer>} The encoded FeedMessage
+ * @throws {Error} If the API call fails
+ */
+async function getRealtimeFeed(name, agency = DEFAULT_AGENCY) {
+    const response = await axios.get(FEED_URLS[name], {
+        params: {
+            api_key: process.env.TRANSIT_API_KEY,
+            agency
+        },
+        responseType: 'arraybuffer'
+    });
+    return Buffer.from(response.data);
+}
+
+/**
+ * Fetches information about all of an agency's lines from 511.org
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Transit line data from 511.org
+ * @throws {Error} If API call fails
+ */
+async function getLines(agency = DEFAULT_AGENCY) {
+    const response = await axios.get(LINES_API_URL, {
+        params: {
+            api_key: process.env.TRANSIT_API_KEY,
+            operator_id: getAgency(agency).operatorId,
+            format: 'json'
+        }
+    });
+    return response.data;
+}
+
+/**
+ * Fetches route pattern data for a specific transit line from 511.org
+ * @param {string} lineId - The ID of the transit line
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Object>} Route pattern data from 511.org
+ * @throws {Error} If API call fails
+ */
+async function getPatterns(lineId, agency = DEFAULT_AGENCY) {
+    const response = await axios.get(PATTERNS_API_URL, {
+        params: {
+            api_key: process.env.TRANSIT_API_KEY,
+            operator_id: getAgency(agency).operatorId,
+            line_id: lineId,
+            format: 'json'
+        }
+    });
+    return response.data;
+}
+
+/**
+ * Downloads an agency's GTFS static feed from 511.org
+ * @param {string} [agency=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Buffer>} The GTFS zip
+ * @throws {Error} If API call fails
+ */
+async function getStaticFeed(agency = DEFAULT_AGENCY) {
+    const response = await axios.get(DATAFEEDS_API_URL, {
+        params: {
+            api_key: process.env.TRANSIT_API_KEY,
+            operator_id: agency
+        },
+        responseType: 'arraybuffer'
+    });
+    return Buffer.from(response.data);
+}
+
+module.exports = {
+    name: 'live',
+    requiredEnv: ['TRANSIT_API_KEY'],
+    getStopMonitoring,
+    getRealtimeFeed,
+    getLines,
+    getPatterns,
+    getStaticFeed
+};
@@ -0,0 +1,38 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Selects the weather provider from WEATHER_PROVIDER. Without it, the stub
+ * is used with DATA_PROVIDER=fixture and OpenWeather otherwise.
+ *
+ * A weather provider returns weather for a point and exposes:
+ *   name                  - Provider name
+ *   requiredEnv           - Environment variables it needs
+ *   getWeather(lat, lon)  - { current, hourly }, where current is
+ *                           { time, temperature, description, condition, isDay } and each
+ *                           hourly period adds { precipitationChance, precipitation }
+ *
+ * time is an ISO-8601 string, temperature is in °F, precipitationChance is a
+ * percentage and precipitation is in mm per period; either may be null when
+ * the provider does not report it. condition is one of clear, partly-cloudy,
+ * cloudy, drizzle, rain, thunderstorm, snow or fog, or null if unknown.
+ */
+
+const PROVIDERS = {
+    openweather: './openweather',
+    nws: './nws',
+    stub: './stub'
+};
+
+const providerName = process.env.WEATHER_PROVIDER ||
+    (process.env.DATA_PROVIDER === 'fixture' ? 'stub' : 'openweather');
+
+if (!PROVIDERS[providerName]) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+module.exports = require(PROVIDERS[providerName]);
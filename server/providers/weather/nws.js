@@ -0,0 +1,141 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * US National Weather Service weather provider (api.weather.gov). No API key
+ * is needed, but NWS asks every client to identify itself with a User-Agent.
+ * The NWS hourly forecast has no observed conditions, so the current hour's
+ * forecast stands in for current weather.
+ */
+
+const axios = require('axios');
+const { createCache } = require('../../cache');
+
+const NWS_API_URL = 'https://api.weather.gov';
+const USER_AGENT = process.env.NWS_USER_AGENT || 'sf-muni-tracker';
+// A point's forecast office and grid rarely change, so each lookup is kept for a day
+const POINT_TTL_MS = 24 * 60 * 60000;
+// NWS icon names, the last segment of the icon URL, by condition
+const ICON_CONDITIONS = {
+    skc: 'clear',
+    few: 'clear',
+    sct: 'partly-cloudy',
+    bkn: 'cloudy',
+    ovc: 'cloudy',
+    wind_skc: 'clear',
+    wind_few: 'clear',
+    wind_sct: 'partly-cloudy',
+    wind_bkn: 'cloudy',
+    wind_ovc: 'cloudy',
+    rain_showers_hi: 'drizzle',
+    rain: 'rain',
+    rain_showers: 'rain',
+    fzra: 'rain',
+    rain_fzra: 'rain',
+    tsra: 'thunderstorm',
+    tsra_sct: 'thunderstorm',
+    tsra_hi: 'thunderstorm',
+    snow: 'snow',
+    rain_snow: 'snow',
+    sleet: 'snow',
+    blizzard: 'snow',
+    fog: 'fog',
+    haze: 'fog',
+    smoke: 'fog',
+    dust: 'fog'
+};
+
+const points = createCache();
+
+/**
+ * Makes a GET request to api.weather.gov
+ * @async
+ * @param {string} url - Absolute URL
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} If the API call fails
+ */
+async function get(url) {
+    const response = await axios.get(url, {
+        headers: { 'User-Agent': USER_AGENT, Accept: 'application/geo+json' }
+    });
+    return response.data;
+}
+
+/**
+ * Looks up the hourly forecast URL for a point
+ * @async
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<string>} Hourly forecast URL
+ * @throws {Error} If the API call fails
+ */
+async function getForecastUrl(lat, lon) {
+    // NWS redirects requests with more than four decimal places
+    const key = `${lat.toFixed(4)},${lon.toFixed(4)}`;
+    let url = points.get(key);
+    if (!url) {
+        const data = await get(`${NWS_API_URL}/points/${key}`);
+        url = data.properties.forecastHourly;
+        points.set(key, url, POINT_TTL_MS);
+    }
+    return url;
+}
+
+/**
+ * Maps an NWS icon URL to a condition
+ * @param {string} icon - e.g. https://api.weather.gov/icons/land/night/rain_showers,20?size=small
+ * @returns {string|null} Condition, or null if unknown
+ */
+function getCondition(icon) {
+    if (!icon) return null;
+    // The last segment is the later of a day's two conditions; drop its precipitation chance
+    const name = new URL(icon).pathname.split('/').pop().split(',')[0];
+    return ICON_CONDITIONS[name] || null;
+}
+
+/**
+ * Converts a temperature to °F
+ * @param {number} temperature - Temperature
+ * @param {string} unit - "F" or "C"
+ * @returns {number} Temperature in °F
+ */
+function toFahrenheit(temperature, unit) {
+    return unit === 'C' ? temperature * 9 / 5 + 32 : temperature;
+}
+
+/**
+ * Fetches the hourly forecast for a point from the National Weather Service
+ * @async
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} { current, hourly }
+ * @throws {Error} If the API calls fail or NWS has no forecast for the point
+ */
+async function getWeather(lat, lon) {
+    const data = await get(await getForecastUrl(lat, lon));
+    const hourly = (data.properties?.periods || []).map(period => ({
+        time: new Date(period.startTime).toISOString(),
+        temperature: toFahrenheit(period.temperature, period.temperatureUnit),
+        description: period.shortForecast || '',
+        condition: getCondition(period.icon),
+        isDay: Boolean(period.isDaytime),
+        precipitationChance: period.probabilityOfPrecipitation?.value ?? null,
+        precipitation: null
+    }));
+    if (!hourly.length) {
+        throw new Error(`No NWS forecast for ${lat},${lon}`);
+    }
+
+    const { precipitationChance, precipitation, ...current } = hourly[0];
+    return { current, hourly: hourly.slice(1) };
+}
+
+module.exports = {
+    name: 'nws',
+    requiredEnv: [],
+    getWeather
+};
@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * OpenWeather weather provider: current weather and the free 5-day forecast,
+ * which comes in 3-hour periods.
+ */
+
+const axios = require('axios');
+
+const WEATHER_API_URL = 'https://api.openweathermap.org/data/2.5';
+// Hours covered by each forecast period
+const PERIOD_HOURS = 3;
+// OpenWeather icon codes, without their d/n suffix, by condition
+const ICON_CONDITIONS = {
+    '01': 'clear',
+    '02': 'partly-cloudy',
+    '03': 'cloudy',
+    '04': 'cloudy',
+    '09': 'drizzle',
+    '10': 'rain',
+    '11': 'thunderstorm',
+    '13': 'snow',
+    '50': 'fog'
+};
+
+/**
+ * Describes one OpenWeather current or forecast entry
+ * @param {Object} entry - Entry with dt, main and weather
+ * @returns {Object} { time, temperature, description, condition, isDay }
+ */
+function describeEntry(entry) {
+    const weather = entry.weather?.[0] || {};
+    const icon = String(weather.icon || '');
+    return {
+        time: new Date(entry.dt * 1000).toISOString(),
+        temperature: entry.main.temp,
+        description: weather.description || '',
+        condition: ICON_CONDITIONS[icon.slice(0, 2)] || null,
+        isDay: !icon.endsWith('n')
+    };
+}
+
+/**
+ * Converts OpenWeather current weather and forecast responses to the
+ * weather provider format
+ * @param {Object} data - { current, forecast } as returned by OpenWeather
+ * @returns {Object} { current, hourly }
+ */
+function normalizeWeather({ current, forecast }) {
+    return {
+        current: describeEntry(current),
+        hourly: (forecast.list || []).map(entry => {
+            const hasRain = entry.rain || entry.snow;
+            return {
+                ...describeEntry(entry),
+                precipitationChance: entry.pop === undefined ? null : Math.round(entry.pop * 100),
+                precipitation: hasRain
+                    ? (entry.rain?.[`${PERIOD_HOURS}h`] || 0) + (entry.snow?.[`${PERIOD_HOURS}h`] || 0)
+                    : (entry.pop === undefined ? null : 0)
+            };
+        })
+    };
+}
+
+/**
+ * Fetches current weather and forecast for a point from OpenWeather
+ * @async
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} { current, hourly }
+ * @throws {Error} If weather API calls fail
+ */
+async function getWeather(lat, lon) {
+    const params = {
+        lat,
+        lon,
+        appid: process.env.WEATHER_API_KEY,
+        units: 'imperial'
+    };
+
+    const [currentResponse, forecastResponse] = await Promise.all([
+        axios.get(`${WEATHER_API_URL}/weather`, { params }),
+        axios.get(`${WEATHER_API_URL}/forecast`, { params })
+    ]);
+
+    return normalizeWeather({
+        current: currentResponse.data,
+        forecast: forecastResponse.data
+    });
+}
+
+module.exports = {
+    name: 'openweather',
+    requiredEnv: ['WEATHER_API_KEY'],
+    normalizeWeather,
+    getWeather
+};
@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Stub weather provider: serves the recorded OpenWeather response in
+ * FIXTURE_DIR/weather.json for every location, so the app runs without a
+ * weather API key. Like the fixture data provider, it shifts the recording
+ * to the present unless FIXTURE_REBASE_TIMES=false.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeWeather } = require('./openweather');
+
+const FIXTURE_DIR = path.resolve(process.env.FIXTURE_DIR || path.join(__dirname, '..', '..', '..', 'fixtures'));
+const REBASE_TIMES = process.env.FIXTURE_REBASE_TIMES !== 'false';
+
+/**
+ * Serves recorded weather from weather.json
+ * @async
+ * @param {number} lat - Latitude (ignored)
+ * @param {number} lon - Longitude (ignored)
+ * @returns {Promise<Object>} { current, hourly }
+ * @throws {Error} If weather.json is missing or not valid JSON
+ */
+async function getWeather(lat, lon) {
+    const data = JSON.parse(await fs.promises.readFile(path.join(FIXTURE_DIR, 'weather.json'), 'utf8'));
+    const recordedAt = data.current?.dt;
+    if (!REBASE_TIMES || !recordedAt) {
+        return normalizeWeather(data);
+    }
+
+    const offsetSeconds = Math.floor(Date.now() / 1000) - recordedAt;
+    return normalizeWeather({
+        current: { ...data.current, dt: data.current.dt + offsetSeconds },
+        forecast: {
+            ...data.forecast,
+            list: data.forecast.list.map(entry => ({ ...entry, dt: entry.dt + offsetSeconds }))
+        }
+    });
+}
+
+module.exports = {
+    name: 'stub',
+    requiredEnv: [],
+    getWeather
+};
@@ -0,0 +1,212 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Vehicle feed recorder. Every new vehicle snapshot the poller sees is
+ * appended as one JSON line to an hourly file in RECORDING_DIR, and files
+ * older than RECORDING_RETENTION_DAYS are deleted when a new file starts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const poller = require('./poller');
+
+const RECORDING_DIR = path.resolve(process.env.RECORDING_DIR || path.join(__dirname, '..', 'recordings'));
+const RETENTION_DAYS = Number(process.env.RECORDING_RETENTION_DAYS) || 7;
+const FILE_PATTERN = /^vehicles-(\d{4}-\d{2}-\d{2}T\d{2})\.ndjson$/;
+const HOUR_MS = 60 * 60 * 1000;
+// Longest window a single replay request may cover
+const MAX_REPLAY_MS = 3 * HOUR_MS;
+
+let currentFile = null;
+
+/**
+ * Returns the hourly file name for a time
+ * @param {Date} date - Snapshot time
+ * @returns {string} File name, e.g. "vehicles-2025-01-30T21.ndjson"
+ */
+function fileNameFor(date) {
+    return `vehicles-${date.toISOString().slice(0, 13)}.ndjson`;
+}
+
+/**
+ * Converts a protobuf uint64 timestamp (Long or number) to Unix seconds
+ * @param {(number|Object)} timestamp - Timestamp from the decoded feed
+ * @returns {number|null} Unix seconds
+ */
+function toSeconds(timestamp) {
+    if (timestamp === undefined || timestamp === null) return null;
+    if (typeof timestamp === 'number') return timestamp;
+    return timestamp.low + timestamp.high * 4294967296;
+}
+
+/**
+ * Lists recording files with the start of the hour each one covers
+ * @async
+ * @returns {Promise<Array<Object>>} Files sorted oldest first
+ */
+async function listFiles() {
+    let names;
+    try {
+        names = await fs.promises.readdir(RECORDING_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return names
+        .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+        .filter(file => file.match)
+        .map(file => ({ name: file.name, start: Date.parse(`${file.match[1]}:00:00Z`) }))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Deletes recording files older than the retention period
+ * @async
+ */
+async function removeExpiredFiles() {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * HOUR_MS;
+    const files = await listFiles();
+    await Promise.all(files
+        .filter(file => file.start + HOUR_MS < cutoff)
+        .map(file => fs.promises.unlink(path.join(RECORDING_DIR, file.name))));
+}
+
+/**
+ * Appends a vehicle snapshot to the current hourly file
+ * @async
+ * @param {Array<Object>} vehicles - Vehicles from transit.getVehiclePositions
+ */
+async function record(vehicles) {
+    const now = new Date();
+    const fileName = fileNameFor(now);
+
+    if (fileName !== currentFile) {
+        currentFile = fileName;
+        await fs.promises.mkdir(RECORDING_DIR, { recursive: true });
+        removeExpiredFiles().catch(error => console.error('Error removing old recordings:', error.message));
+    }
+
+    const snapshot = {
+        time: now.toISOString(),
+        vehicles: vehicles.map(vehicle => ({
+            trainId: vehicle.trainId,
+            routeId: vehicle.routeId,
+            direction: vehicle.direction,
+            latitude: vehicle.latitude,
+            longitude: vehicle.longitude,
+            bearing: vehicle.bearing,
+            crowding: vehicle.crowding,
+            carriageCount: vehicle.carriageCount,
+            currentStatus: vehicle.currentStatus,
+            readableStatus: vehicle.readableStatus,
+            timestamp: toSeconds(vehicle.timestamp)
+        }))
+    };
+
+    await fs.promises.appendFile(path.join(RECORDING_DIR, fileName), JSON.stringify(snapshot) + '\n');
+}
+
+/**
+ * Returns the time span covered by the recordings on disk
+ * @async
+ * @returns {Promise<Object>} Earliest and latest snapshot times (null when nothing is recorded)
+ */
+async function getRange() {
+    const files = await listFiles();
+    if (!files.length) {
+        return { from: null, to: null };
+    }
+
+    const first = await readSnapshots(files[0].name, () => true, 1);
+    const last = await readSnapshots(files[files.length - 1].name, () => true);
+    return {
+        from: first[0]?.time || null,
+        to: last[last.length - 1]?.time || null
+    };
+}
+
+/**
+ * Reads snapshots from one recording file
+ * @async
+ * @param {string} fileName - Recording file name
+ * @param {Function} predicate - Called with each snapshot; only matches are returned
+ * @param {number} [limit=Infinity] - Stop after this many matches
+ * @returns {Promise<Array<Object>>} Matching snapshots in file order
+ */
+async function readSnapshots(fileName, predicate, limit = Infinity) {
+    const snapshots = [];
+    const input = fs.createReadStream(path.join(RECORDING_DIR, fileName));
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            const snapshot = JSON.parse(line);
+            if (predicate(snapshot)) {
+                snapshots.push(snapshot);
+                if (snapshots.length >= limit) break;
+            }
+        } catch (error) {
+            // A line cut short by a crash mid-write; skip it
+        }
+    }
+    lines.close();
+    input.destroy();
+    return snapshots;
+}
+
+/**
+ * Returns recorded vehicle snapshots between two times
+ * @async
+ * @param {Date} from - Start of the window
+ * @param {Date} to - End of the window
+ * @returns {Promise<Array<Object>>} Snapshots ({ time, vehicles }) in time order
+ * @throws {Error} If the window is invalid or longer than MAX_REPLAY_MS
+ */
+async function getSnapshots(from, to) {
+    const fromMs = from.getTime();
+    const toMs = to.getTime();
+    if (isNaN(fromMs) || isNaN(toMs) || toMs <= fromMs) {
+        throw new RangeError('from must be a valid time before to');
+    }
+    if (toMs - fromMs > MAX_REPLAY_MS) {
+        throw new RangeError(`Replay window may not exceed ${MAX_REPLAY_MS / HOUR_MS} hours`);
+    }
+
+    const files = (await listFiles()).filter(file => file.start <= toMs && file.start + HOUR_MS > fromMs);
+    const snapshots = [];
+    for (const file of files) {
+        const matches = await readSnapshots(file.name, snapshot => {
+            const time = Date.parse(snapshot.time);
+            return time >= fromMs && time <= toMs;
+        });
+        snapshots.push(...matches);
+    }
+    return snapshots;
+}
+
+/**
+ * Starts recording vehicle snapshots unless RECORD_VEHICLES=false. Recording
+ * keeps the vehicle feed polled even when no browser is open.
+ */
+function start() {
+    if (process.env.RECORD_VEHICLES === 'false') return;
+
+    poller.pin('vehicles');
+    poller.events.on('update', (key, value) => {
+        if (key !== 'vehicles') return;
+        record(value).catch(error => console.error('Error recording vehicles:', error.message));
+    });
+}
+
+module.exports = {
+    start,
+    getRange,
+    getSnapshots
+};
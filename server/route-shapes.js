@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Builds line geometry from the imported GTFS bundle: one GeoJSON
+ * LineString per line, direction and pattern variant. The collection is
+ * built once per bundle version and served with an ETag.
+ */
+
+const gtfsStatic = require('./gtfs-static');
+
+// { version, body, etag } for the loaded bundle
+let cached = null;
+
+/**
+ * Builds the line geometry collection from a bundle. Patterns that share a
+ * shape are merged; a pattern without a shape is drawn straight between its stops.
+ * @param {Object} bundle - The imported GTFS bundle
+ * @returns {Object} GeoJSON FeatureCollection with properties
+ *   { line, direction, variant, primary, trips, headsign, shapeId, source }
+ */
+function buildRouteGeometry(bundle) {
+    const features = [];
+
+    Object.entries(bundle.patterns).forEach(([line, byDirection]) => {
+        Object.entries(byDirection).forEach(([direction, patterns]) => {
+            const byShape = new Map();
+
+            // Patterns are sorted most frequent first, so variant 0 is the main route
+            patterns.forEach(pattern => {
+                const shape = pattern.shapeId && bundle.shapes[pattern.shapeId];
+                const key = shape ? pattern.shapeId : `stops:${pattern.stops.join('>')}`;
+
+                if (byShape.has(key)) {
+                    byShape.get(key).properties.trips += pattern.trips;
+                    return;
+                }
+
+                const coordinates = shape || pattern.stops
+                    .map(stopId => bundle.stops[stopId])
+                    .filter(stop => stop && stop.lat !== null && stop.lon !== null)
+                    .map(stop => [stop.lon, stop.lat]);
+                if (coordinates.length < 2) return;
+
+                byShape.set(key, {
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates },
+                    properties: {
+                        line,
+                        direction,
+                        variant: byShape.size,
+                        primary: byShape.size === 0,
+                        trips: pattern.trips,
+                        headsign: pattern.headsign,
+                        shapeId: shape ? pattern.shapeId : null,
+                        source: shape ? 'shape' : 'stops'
+                    }
+                });
+            });
+
+            features.push(...byShape.values());
+        });
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Gets the serialized line geometry for the loaded bundle, building it on first use
+ * @returns {{body: string, etag: string, version: string}|null} Response body and
+ *   ETag, or null if no GTFS bundle has been imported
+ */
+function getRouteGeometry() {
+    const bundle = gtfsStatic.getBundle();
+    if (!bundle) return null;
+
+    if (!cached || cached.version !== bundle.version) {
+        cached = {
+            version: bundle.version,
+            body: JSON.stringify(buildRouteGeometry(bundle)),
+            etag: `"lines-${bundle.version}"`
+        };
+    }
+    return cached;
+}
+
+module.exports = { getRouteGeometry };
@@ -0,0 +1,253 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Schedule adherence: compares real-time arrivals with the scheduled times
+ * in the imported GTFS bundle.
+ *
+ * A prediction is matched to its GTFS trip through the SIRI
+ * DatedVehicleJourneyRef and a vehicle through its GTFS-realtime trip ID.
+ * Predictions whose trip is not in the bundle fall back to the SIRI
+ * AimedArrivalTime. GTFS times count from noon minus 12 hours on the
+ * service date in the agency's timezone, so they can run past 24:00:00.
+ */
+
+const gtfsStatic = require('./gtfs-static');
+
+const TIMEZONE = 'America/Los_Angeles';
+// SFMTA counts a train on time from 1 minute early to 4 minutes late
+const EARLY_SECONDS = 60;
+const LATE_SECONDS = 240;
+// Larger deviations mean the wrong trip or service date was matched
+const MAX_DEVIATION_SECONDS = 3 * 3600;
+const DAY_MS = 24 * 3600 * 1000;
+
+const localTimeFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+/**
+ * Gets the local calendar fields of a time in the agency's timezone
+ * @param {number} time - Time in milliseconds
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getLocalParts(time) {
+    const parts = {};
+    localTimeFormat.formatToParts(new Date(time)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return parts;
+}
+
+/**
+ * Gets the agency timezone's offset from UTC at a given time
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function getTimezoneOffset(time) {
+    const parts = getLocalParts(time);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Gets the time GTFS stop times on a service date count from
+ * @param {string} serviceDate - Service date as YYYYMMDD or YYYY-MM-DD
+ * @returns {number|null} Noon minus 12 hours local time, in milliseconds, or null if invalid
+ */
+function getServiceDayStart(serviceDate) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(serviceDate || '');
+    if (!match) return null;
+    const noon = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12);
+    return noon - getTimezoneOffset(noon) - 12 * 3600 * 1000;
+}
+
+/**
+ * Lists the service dates a trip running at a given time could belong to:
+ * the local date and the day before, for trips running past midnight
+ * @param {number} time - Time in milliseconds
+ * @returns {Array<string>} Service dates as YYYYMMDD
+ */
+function getCandidateServiceDates(time) {
+    const parts = getLocalParts(time);
+    const today = Date.UTC(parts.year, parts.month - 1, parts.day);
+    return [today, today - DAY_MS].map(date => new Date(date).toISOString().slice(0, 10).replace(/-/g, ''));
+}
+
+/**
+ * Checks whether a GTFS service runs on a service date
+ * @param {Object} service - Service from the bundle ({ days, startDate, endDate, added, removed })
+ * @param {string} serviceDate - Service date as YYYYMMDD
+ * @returns {boolean} True if the calendar or its exceptions include the date
+ */
+function isServiceActive(service, serviceDate) {
+    if (!service) return false;
+    if (service.added.includes(serviceDate)) return true;
+    if (service.removed.includes(serviceDate)) return false;
+    if ((service.startDate && serviceDate < service.startDate) || (service.endDate && serviceDate > service.endDate)) {
+        return false;
+    }
+    // days runs Monday to Sunday
+    const weekday = new Date(Date.UTC(Number(serviceDate.slice(0, 4)), Number(serviceDate.slice(4, 6)) - 1,
+        Number(serviceDate.slice(6, 8)))).getUTCDay();
+    return service.days[(weekday + 6) % 7] === 1;
+}
+
+/**
+ * Finds the scheduled time of a trip at a stop, closest to an observed time
+ * @param {string} tripId - GTFS trip ID
+ * @param {string} stopId - GTFS stop ID
+ * @param {number} near - Observed or expected time in milliseconds
+ * @param {string} [serviceDate] - Service date, if the feed gives one
+ * @returns {number|null} Scheduled time in milliseconds, or null if the trip
+ *   is not in the bundle or does not call at the stop
+ */
+function getScheduledTime(tripId, stopId, near, serviceDate) {
+    const stopTimes = gtfsStatic.getBundle()?.stopTimes[tripId];
+    if (!stopTimes) return null;
+
+    // A loop trip can call at the same stop twice
+    const offsets = stopTimes
+        .filter(([, id]) => id === stopId)
+        .map(([, , arrival, departure]) => arrival ?? departure)
+        .filter(offset => offset !== null);
+    const dayStarts = (serviceDate ? [serviceDate] : getCandidateServiceDates(near))
+        .map(getServiceDayStart)
+        .filter(start => start !== null);
+
+    let best = null;
+    dayStarts.forEach(start => {
+        offsets.forEach(offset => {
+            const time = start + offset * 1000;
+            if (best === null || Math.abs(time - near) < Math.abs(best - near)) {
+                best = time;
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Classifies a deviation from the schedule
+ * @param {number} deviationSeconds - Actual minus scheduled time, in seconds
+ * @returns {('early'|'on-time'|'late')} Adherence status
+ */
+function classifyDeviation(deviationSeconds) {
+    if (deviationSeconds < -EARLY_SECONDS) return 'early';
+    if (deviationSeconds > LATE_SECONDS) return 'late';
+    return 'on-time';
+}
+
+/**
+ * Describes how far an actual time is from the scheduled one
+ * @param {number} scheduled - Scheduled time in milliseconds
+ * @param {number} actual - Actual or expected time in milliseconds
+ * @param {('gtfs'|'siri')} source - Where the scheduled time came from
+ * @param {string|null} tripId - The matched trip ID
+ * @returns {Object|null} { tripId, scheduledTime, deviationSeconds, deviationMinutes, status, source },
+ *   or null if the deviation is implausibly large
+ */
+function describeAdherence(scheduled, actual, source, tripId) {
+    const deviationSeconds = Math.round((actual - scheduled) / 1000);
+    if (Math.abs(deviationSeconds) > MAX_DEVIATION_SECONDS) return null;
+    return {
+        tripId: tripId || null,
+        scheduledTime: new Date(scheduled).toISOString(),
+        deviationSeconds,
+        deviationMinutes: Math.round(deviationSeconds / 60),
+        status: classifyDeviation(deviationSeconds),
+        source
+    };
+}
+
+/**
+ * Gets schedule adherence for a SIRI MonitoredVehicleJourney at its monitored stop
+ * @param {Object} journey - MonitoredVehicleJourney from stop monitoring data
+ * @returns {Object|null} Adherence as from describeAdherence, or null if
+ *   the journey cannot be matched to a scheduled time
+ */
+function getPredictionAdherence(journey) {
+    const call = journey?.MonitoredCall;
+    const expected = Date.parse(call?.ExpectedArrivalTime || call?.ExpectedDepartureTime);
+    if (isNaN(expected)) return null;
+
+    const tripId = journey.FramedVehicleJourneyRef?.DatedVehicleJourneyRef;
+    const serviceDate = journey.FramedVehicleJourneyRef?.DataFrameRef;
+    const scheduled = tripId && getScheduledTime(tripId, call.StopPointRef, expected, serviceDate);
+    if (scheduled) {
+        const adherence = describeAdherence(scheduled, expected, 'gtfs', tripId);
+        if (adherence) return adherence;
+    }
+
+    const aimed = Date.parse(call.AimedArrivalTime || call.AimedDepartureTime);
+    return isNaN(aimed) ? null : describeAdherence(aimed, expected, 'siri', tripId);
+}
+
+/**
+ * Gets schedule adherence for a vehicle stopped at a stop. A train still on its
+ * way has not reached the stop yet, so comparing its position time with the
+ * stop's scheduled arrival would make it look early.
+ * @param {Object} vehicle - Vehicle with currentStatus, tripId, stopId, timestamp
+ *   (Unix seconds) and optional startDate
+ * @returns {Object|null} Adherence as from describeAdherence, or null if the
+ *   vehicle is not stopped or its trip is not in the GTFS bundle
+ */
+function getVehicleAdherence(vehicle) {
+    const observed = Number(vehicle.timestamp) * 1000;
+    // GTFS-realtime VehicleStopStatus: 1 is STOPPED_AT
+    if (vehicle.currentStatus !== 1 || !vehicle.tripId || !vehicle.stopId || !observed) return null;
+
+    const scheduled = getScheduledTime(vehicle.tripId, vehicle.stopId, observed, vehicle.startDate);
+    return scheduled ? describeAdherence(scheduled, observed, 'gtfs', vehicle.tripId) : null;
+}
+
+/**
+ * Returns a copy of a SIRI ServiceDelivery with scheduleAdherence added to
+ * every MonitoredVehicleJourney. The input is left untouched since it is shared
+ * through the poller cache.
+ * @param {Object} serviceDelivery - SIRI ServiceDelivery
+ * @returns {Object} Annotated copy
+ */
+function annotateServiceDelivery(serviceDelivery) {
+    const delivery = serviceDelivery?.StopMonitoringDelivery;
+    if (!Array.isArray(delivery?.MonitoredStopVisit)) return serviceDelivery;
+
+    return {
+        ...serviceDelivery,
+        StopMonitoringDelivery: {
+            ...delivery,
+            MonitoredStopVisit: delivery.MonitoredStopVisit.map(visit => visit.MonitoredVehicleJourney ? {
+                ...visit,
+                MonitoredVehicleJourney: {
+                    ...visit.MonitoredVehicleJourney,
+                    scheduleAdherence: getPredictionAdherence(visit.MonitoredVehicleJourney)
+                }
+            } : visit)
+        }
+    };
+}
+
+module.exports = {
+    TIMEZONE,
+    EARLY_SECONDS,
+    LATE_SECONDS,
+    getLocalParts,
+    getServiceDayStart,
+    getCandidateServiceDates,
+    isServiceActive,
+    getScheduledTime,
+    getPredictionAdherence,
+    getVehicleAdherence,
+    annotateServiceDelivery
+};
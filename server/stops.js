@@ -0,0 +1,213 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const gtfsStatic = require('./gtfs-static');
+const agencies = require('./agencies');
+
+const ROUTES_FILE = path.join(__dirname, '..', 'public', 'train-routes.json');
+const EARTH_RADIUS_M = 6371000;
+// Streets add roughly a third to the straight-line distance
+const WALKING_DETOUR_FACTOR = 1.3;
+// About 4.8 km/h
+const WALKING_SPEED_M_PER_MIN = 80;
+
+// stopId -> { id, name, lat, long, lines: [], direction }
+let stops = null;
+// Agency code -> stopId -> { id, name, lat, long } for agencies other than the default
+const agencyStops = new Map();
+
+/**
+ * Infers a stop's direction from its name (e.g., "Metro Church Station/Outbound")
+ * @param {string} name - Stop name
+ * @returns {('inbound'|'outbound'|null)} Direction, or null if the name does not say
+ */
+function getStopDirection(name) {
+    if (/\b(outbound|outbd)\b/i.test(name)) return 'outbound';
+    if (/\b(inbound|inbd)\b/i.test(name)) return 'inbound';
+    return null;
+}
+
+/**
+ * Loads the stop catalogue on first use, from the GTFS bundle if one
+ * has been imported and from train-routes.json otherwise
+ * @returns {Map<string, Object>} Stops keyed by stop ID
+ */
+function loadStops() {
+    if (stops) return stops;
+
+    stops = new Map();
+
+    // Prefer the imported GTFS bundle, which knows each stop's direction
+    const bundle = gtfsStatic.getBundle();
+    if (bundle) {
+        Object.values(bundle.stops).forEach(stop => {
+            stops.set(stop.id, {
+                id: stop.id,
+                name: stop.name,
+                lat: stop.lat,
+                long: stop.lon,
+                lines: stop.lines,
+                direction: stop.direction
+            });
+        });
+        return stops;
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(ROUTES_FILE, 'utf8'));
+        data.routes.forEach(route => {
+            route.stops.forEach(stop => {
+                if (!stop.id || !stop.name) return;
+                if (!stops.has(stop.id)) {
+                    stops.set(stop.id, {
+                        id: stop.id,
+                        name: stop.name,
+                        lat: stop.lat,
+                        long: stop.long,
+                        lines: [],
+                        direction: stop.direction || getStopDirection(stop.name)
+                    });
+                }
+                const lines = stops.get(stop.id).lines;
+                if (!lines.includes(route.line)) lines.push(route.line);
+            });
+        });
+    } catch (error) {
+        console.error('Error loading train-routes.json:', error.message);
+    }
+    return stops;
+}
+
+/**
+ * Looks up a stop on a tracked line by ID
+ * @param {string} stopId - The stop ID
+ * @returns {Object|undefined} Stop details, if the stop is served by a tracked line
+ */
+function getStop(stopId) {
+    return loadStops().get(stopId);
+}
+
+/**
+ * Loads another agency's stop catalogue from public/routes/<agency>.json on first use
+ * @param {string} agencyId - Agency code
+ * @returns {Map<string, Object>} Stops keyed by stop ID; empty until the agency's stops are imported
+ */
+function loadAgencyStops(agencyId) {
+    if (agencyStops.has(agencyId)) return agencyStops.get(agencyId);
+
+    const catalogue = new Map();
+    try {
+        const data = JSON.parse(fs.readFileSync(path.join(agencies.ROUTES_DIR, `${agencyId}.json`), 'utf8'));
+        data.routes.forEach(route => {
+            route.stops.forEach(stop => {
+                if (stop.id && !catalogue.has(stop.id)) {
+                    catalogue.set(stop.id, { id: stop.id, name: stop.name, lat: stop.lat, long: stop.long });
+                }
+            });
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error loading stops for ${agencyId}:`, error.message);
+        }
+    }
+    agencyStops.set(agencyId, catalogue);
+    return catalogue;
+}
+
+/**
+ * Looks up a stop of any enabled agency
+ * @param {string} stopRef - Stop ID, or "<agency>:<stopId>" for another agency
+ * @returns {Object|undefined} Stop details with lat and long, if the stop is known
+ * @throws {RangeError} If the agency is not enabled
+ */
+function findStop(stopRef) {
+    const { agency, stopId } = agencies.parseStopRef(stopRef);
+    return agency === agencies.DEFAULT_AGENCY ? getStop(stopId) : loadAgencyStops(agency).get(stopId);
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in meters
+ */
+function distanceMeters(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Estimates the time to walk a straight-line distance
+ * @param {number} distance - Straight-line distance in meters
+ * @returns {number} Walking time in seconds
+ */
+function getWalkingSeconds(distance) {
+    return distance * WALKING_DETOUR_FACTOR / WALKING_SPEED_M_PER_MIN * 60;
+}
+
+/**
+ * Finds stops on the tracked lines near a point, nearest first, and the nearest stop for
+ * each line and direction
+ * @param {number} lat - Latitude of the point
+ * @param {number} lon - Longitude of the point
+ * @param {Object} [options]
+ * @param {number} [options.radius=800] - Search radius in meters (straight line)
+ * @param {number} [options.limit=20] - Maximum number of stops returned
+ * @returns {{stops: Array<Object>, byLine: Array<Object>}} Nearby stops with
+ *   straight-line and estimated walking distances, and the nearest stop ID per line/direction
+ */
+function findNearbyStops(lat, lon, { radius = 800, limit = 20 } = {}) {
+    const nearby = [];
+    loadStops().forEach(stop => {
+        const stopLat = parseFloat(stop.lat);
+        const stopLon = parseFloat(stop.long);
+        if (isNaN(stopLat) || isNaN(stopLon)) return;
+
+        const distance = distanceMeters(lat, lon, stopLat, stopLon);
+        if (distance > radius) return;
+
+        const walkingDistance = distance * WALKING_DETOUR_FACTOR;
+        nearby.push({
+            id: stop.id,
+            name: stop.name,
+            lat: stopLat,
+            lon: stopLon,
+            lines: stop.lines,
+            direction: stop.direction,
+            distance: Math.round(distance),
+            walkingDistance: Math.round(walkingDistance),
+            walkingMinutes: Math.max(1, Math.round(walkingDistance / WALKING_SPEED_M_PER_MIN))
+        });
+    });
+    nearby.sort((a, b) => a.distance - b.distance);
+
+    // Nearby is sorted, so the first stop seen for a line/direction is the nearest
+    const byLine = new Map();
+    nearby.forEach(stop => {
+        stop.lines.forEach(line => {
+            const key = `${line}:${stop.direction}`;
+            if (!byLine.has(key)) {
+                byLine.set(key, { line, direction: stop.direction, stopId: stop.id, distance: stop.distance });
+            }
+        });
+    });
+
+    return {
+        stops: nearby.slice(0, limit),
+        byLine: [...byLine.values()].sort((a, b) => a.line.localeCompare(b.line) || a.distance - b.distance)
+    };
+}
+
+module.exports = { getStop, findStop, distanceMeters, getWalkingSeconds, findNearbyStops };
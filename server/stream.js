@@ -0,0 +1,256 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Server-Sent Events stream of poller updates. Each client subscribes to a
+ * set of agencies, stops and lines; events carry increasing IDs and are kept in a short
+ * history so a reconnecting client can resume from its Last-Event-ID.
+ * Arrival notifications for a browser without Web Push are sent to its
+ * streams by client ID, outside the history.
+ */
+
+const poller = require('./poller');
+const transit = require('./transit');
+const agencies = require('./agencies');
+
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+const RETRY_MS = 5000;
+const HISTORY_SIZE = 500;
+// Feeds every stream client receives for each of its agencies
+const STREAM_FEEDS = ['vehicles', 'alerts'];
+
+const clients = new Set();
+const history = [];
+let lastEventId = 0;
+let heartbeatTimer = null;
+
+/**
+ * Splits a comma-separated query parameter into trimmed values
+ * @param {string} [value] - Raw query parameter
+ * @returns {Array<string>} Non-empty values
+ */
+function parseList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Reads a feed cache key from the poller
+ * @param {string} key - Poller cache key, e.g. "vehicles" or "vehicles:BA"
+ * @returns {Object|null} { name, agency } for a stream feed, or null
+ */
+function parseFeedKey(key) {
+    const [name, agency = agencies.DEFAULT_AGENCY] = key.split(':');
+    return STREAM_FEEDS.includes(name) ? { name, agency } : null;
+}
+
+/**
+ * Lists the feed cache keys for a set of agencies
+ * @param {Iterable<string>} agencyIds - Agency codes
+ * @returns {Array<string>} Poller cache keys
+ */
+function feedKeysFor(agencyIds) {
+    return [...agencyIds].flatMap(agency => STREAM_FEEDS.map(name => poller.feedKey(name, agency)));
+}
+
+/**
+ * Keeps only the stop references whose agency is enabled
+ * @param {Array<string>} stopRefs - Stop references from the query
+ * @returns {Array<string>} Valid stop references
+ */
+function validStopRefs(stopRefs) {
+    return stopRefs.filter(stopRef => {
+        try {
+            agencies.parseStopRef(stopRef);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Writes a single SSE message to a client
+ * @param {Object} client - Stream client
+ * @param {number|null} id - Event ID, or null for events that should not move Last-Event-ID
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ */
+function write(client, id, type, data) {
+    if (!clients.has(client)) return;
+    const idLine = id === null ? '' : `id: ${id}\n`;
+    client.res.write(`${idLine}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Narrows an event payload to what a client subscribed to
+ * @param {Object} client - Stream client
+ * @param {string} type - Event name
+ * @param {Object} data - Unfiltered payload
+ * @returns {Object|null} Payload for this client, or null if it should not be sent
+ */
+function filterForClient(client, type, data) {
+    switch (type) {
+        case 'predictions':
+            return client.stops.has(data.stopId) ? data : null;
+        case 'vehicles':
+            if (!client.agencies.has(data.agency)) return null;
+            // The line filter names Muni lines, so it leaves other agencies' trains alone
+            if (!client.lines.size || data.agency !== agencies.DEFAULT_AGENCY) return data;
+            return { ...data, vehicles: data.vehicles.filter(vehicle => client.lines.has(vehicle.routeId)) };
+        case 'alerts':
+            return client.agencies.has(data.agency) ? data : null;
+        default:
+            return data;
+    }
+}
+
+/**
+ * Sends an event to a client if it is subscribed to it
+ * @param {Object} client - Stream client
+ * @param {Object} event - Event from history
+ */
+function deliver(client, event) {
+    const data = filterForClient(client, event.type, event.data);
+    if (data) {
+        write(client, event.id, event.type, data);
+    }
+}
+
+/**
+ * Records an event and sends it to every connected client
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ */
+function broadcast(type, data) {
+    const event = { id: ++lastEventId, type, data };
+    history.push(event);
+    if (history.length > HISTORY_SIZE) {
+        history.shift();
+    }
+    clients.forEach(client => deliver(client, event));
+}
+
+/**
+ * Sends a notification to every stream opened with a client ID
+ * @param {string} clientId - Client ID the streams were opened with
+ * @param {Object} payload - Notification { title, body, tag, url, ... }
+ * @returns {number} Number of streams it was sent to
+ */
+function notify(clientId, payload) {
+    let sent = 0;
+    clients.forEach(client => {
+        if (client.clientId === clientId) {
+            write(client, null, 'notification', payload);
+            sent++;
+        }
+    });
+    return sent;
+}
+
+/**
+ * Sends the current cached state for a client's subscription
+ * @async
+ * @param {Object} client - Stream client
+ */
+async function sendSnapshot(client) {
+    const id = lastEventId;
+    const tasks = [...client.stops].map(async stopId => {
+        const data = await poller.getPredictions(stopId);
+        write(client, id, 'predictions', { stopId, ...transit.formatStopPredictions(stopId, data) });
+    });
+    client.agencies.forEach(agency => {
+        tasks.push(poller.getVehicles(agency).then(vehicles => {
+            write(client, id, 'vehicles', filterForClient(client, 'vehicles', { agency, vehicles }));
+        }));
+        tasks.push(poller.getAlerts(agency).then(alerts => write(client, id, 'alerts', { agency, alerts })));
+    });
+
+    const results = await Promise.allSettled(tasks);
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Stream snapshot failed:', result.reason.message));
+}
+
+/**
+ * Sends a heartbeat to every client and keeps their stops and feeds polled
+ */
+function heartbeat() {
+    const stopIds = new Set();
+    const agencyIds = new Set();
+    clients.forEach(client => {
+        client.stops.forEach(stopId => stopIds.add(stopId));
+        client.agencies.forEach(agency => agencyIds.add(agency));
+        write(client, null, 'heartbeat', { time: new Date().toISOString() });
+    });
+    poller.watch([...stopIds], feedKeysFor(agencyIds));
+}
+
+poller.events.on('update', (key, value) => {
+    const feed = parseFeedKey(key);
+    if (feed) {
+        broadcast(feed.name, { agency: feed.agency, [feed.name]: value });
+    } else if (key.startsWith('predictions:')) {
+        const stopId = key.slice('predictions:'.length);
+        broadcast('predictions', { stopId, ...transit.formatStopPredictions(stopId, value) });
+    }
+});
+
+/**
+ * Express handler for the event stream
+ * @async
+ * @param {Object} req - Express request (query: agencies, stops, lines, clientId, lastEventId)
+ * @param {Object} res - Express response
+ */
+async function handleStream(req, res) {
+    const requestedAgencies = parseList(req.query.agencies).map(agency => agency.toUpperCase());
+    const enabledAgencies = agencies.getAgencies().map(agency => agency.id);
+    const client = {
+        res,
+        agencies: new Set(requestedAgencies.length
+            ? requestedAgencies.filter(agency => enabledAgencies.includes(agency))
+            : [agencies.DEFAULT_AGENCY]),
+        stops: new Set(validStopRefs(parseList(req.query.stops)).slice(0, transit.MAX_STOPS)),
+        lines: new Set(parseList(req.query.lines).map(line => line.toUpperCase())),
+        clientId: req.query.clientId ? String(req.query.clientId) : null
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    clients.add(client);
+    poller.watch([...client.stops], feedKeysFor(client.agencies));
+    if (!heartbeatTimer) {
+        heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+    }
+
+    req.on('close', () => {
+        clients.delete(client);
+        if (!clients.size) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+    });
+
+    // EventSource sends Last-Event-ID on its own reconnects; a client that
+    // recreates its EventSource passes it as a query parameter instead
+    const resumeFrom = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+    const canResume = resumeFrom > 0 && resumeFrom <= lastEventId &&
+        (!history.length || history[0].id <= resumeFrom + 1);
+
+    if (canResume) {
+        history.filter(event => event.id > resumeFrom).forEach(event => deliver(client, event));
+    } else {
+        await sendSnapshot(client);
+    }
+}
+
+module.exports = { handleStream, notify };
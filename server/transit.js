@@ -0,0 +1,437 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const provider = require('./providers');
+const stops = require('./stops');
+const schedule = require('./schedule');
+const agencies = require('./agencies');
+const { loadFeedMessage } = require('./gtfs-realtime');
+
+// Upper bound on stops in one predictions request or stream subscription
+const MAX_STOPS = 20;
+
+// Crowding level for each GTFS-realtime OccupancyStatus; NO_DATA_AVAILABLE is unknown
+const CROWDING_LEVELS = {
+    EMPTY: 'low',
+    MANY_SEATS_AVAILABLE: 'low',
+    FEW_SEATS_AVAILABLE: 'medium',
+    STANDING_ROOM_ONLY: 'high',
+    CRUSHED_STANDING_ROOM_ONLY: 'full',
+    FULL: 'full',
+    NOT_ACCEPTING_PASSENGERS: 'full',
+    NOT_BOARDABLE: 'full',
+    NO_DATA_AVAILABLE: null
+};
+
+// Default stop information
+const STOPS = {
+    '17109': 'Inbound to Downtown',
+    '16503': 'Outbound to Ocean Beach'
+};
+
+/**
+ * Gets real-time predictions for a specific stop from the data provider
+ * @param {string} stopRef - Stop ID, or "<agency>:<stopId>" for another agency
+ * @returns {Promise<Object>} The SIRI prediction data
+ * @throws {RangeError} If the stop's agency is not enabled
+ * @throws {Error} If the provider call fails or returns invalid data
+ */
+async function getStopPredictions(stopRef) {
+    const { agency, stopId } = agencies.parseStopRef(stopRef);
+    try {
+        return await provider.getStopMonitoring(stopId, agency);
+    } catch (error) {
+        console.error(`Error getting predictions for stop ${stopRef}:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Keeps only the stop visits on the given lines
+ * @param {Object} serviceDelivery - SIRI ServiceDelivery
+ * @param {Array<string>} lines - Uppercase line IDs to keep
+ * @returns {Object} A copy of the ServiceDelivery with the other lines' visits removed
+ */
+function filterServiceDelivery(serviceDelivery, lines) {
+    const delivery = serviceDelivery?.StopMonitoringDelivery;
+    if (!Array.isArray(delivery?.MonitoredStopVisit)) {
+        return serviceDelivery;
+    }
+
+    return {
+        ...serviceDelivery,
+        StopMonitoringDelivery: {
+            ...delivery,
+            MonitoredStopVisit: delivery.MonitoredStopVisit.filter(visit =>
+                lines.includes(String(visit.MonitoredVehicleJourney?.LineRef || '').toUpperCase()))
+        }
+    };
+}
+
+/**
+ * Shapes stop monitoring data for the /api/predictions response
+ * @param {string} stopRef - Stop ID, or "<agency>:<stopId>" for another agency
+ * @param {Object} data - Stop monitoring data from 511.org
+ * @param {Array<string>} [lines] - Uppercase line IDs to keep (default all)
+ * @returns {Object} Agency, stop name and the SIRI ServiceDelivery; Muni stops
+ *   also get scheduleAdherence added to each MonitoredVehicleJourney
+ */
+function formatStopPredictions(stopRef, data, lines) {
+    const { agency, stopId } = agencies.parseStopRef(stopRef);
+    // Name the stop before filtering, which may leave no visits to take it from
+    const visits = data.ServiceDelivery?.StopMonitoringDelivery?.MonitoredStopVisit || [];
+    const serviceDelivery = lines ? filterServiceDelivery(data.ServiceDelivery, lines) : data.ServiceDelivery;
+    if (agency !== agencies.DEFAULT_AGENCY) {
+        // Only Muni has an imported stop list and schedule, so use the name 511.org reports
+        const stopName = visits[0]?.MonitoredVehicleJourney?.MonitoredCall?.StopPointName;
+        return {
+            agency,
+            stopName: stopName || `Stop #${stopId}`,
+            ServiceDelivery: serviceDelivery
+        };
+    }
+
+    return {
+        agency,
+        stopName: STOPS[stopId] || stops.getStop(stopId)?.name || `Stop #${stopId}`,
+        ServiceDelivery: schedule.annotateServiceDelivery(serviceDelivery)
+    };
+}
+
+/**
+ * Gets the display name for a stop ID
+ * @param {string} stopId - The stop ID
+ * @returns {string} Stop name, or 'Unknown Stop'
+ */
+function getStopName(stopId) {
+    return STOPS[stopId] || 'Unknown Stop';
+}
+
+/**
+ * Gets and decodes a GTFS-realtime feed from the data provider
+ * @param {('vehiclepositions'|'servicealerts'|'tripupdates')} name - Feed name
+ * @param {string} agency - 511.org agency code
+ * @returns {Promise<Object>} The decoded FeedMessage
+ * @throws {Error} If protobuf schema cannot be loaded or the provider call fails
+ */
+async function fetchFeed(name, agency) {
+    const FeedMessage = await loadFeedMessage();
+    const buffer = await provider.getRealtimeFeed(name, agency);
+
+    // Parse the protobuf data
+    return FeedMessage.decode(buffer);
+}
+
+/**
+ * Reads an optional protobuf field, telling unset fields apart from their defaults
+ * @param {Object} [message] - Decoded protobuf message
+ * @param {string} field - Field name
+ * @returns {*} The field value, or null if it was not set
+ */
+function getOptional(message, field) {
+    return message && Object.prototype.hasOwnProperty.call(message, field) ? message[field] : null;
+}
+
+/**
+ * Rates how crowded a vehicle or carriage is
+ * @param {string|null} occupancyStatus - GTFS-realtime OccupancyStatus name
+ * @param {number|null} occupancyPercentage - Occupancy as a percentage of capacity
+ * @returns {('low'|'medium'|'high'|'full'|null)} Crowding level, or null if unknown
+ */
+function getCrowding(occupancyStatus, occupancyPercentage) {
+    if (occupancyStatus && CROWDING_LEVELS[occupancyStatus] !== undefined) {
+        return CROWDING_LEVELS[occupancyStatus];
+    }
+    if (occupancyPercentage === null || occupancyPercentage === undefined) return null;
+    if (occupancyPercentage < 50) return 'low';
+    if (occupancyPercentage < 80) return 'medium';
+    if (occupancyPercentage < 100) return 'high';
+    return 'full';
+}
+
+/**
+ * Decodes an agency's GTFS-realtime vehicle positions feed and returns its
+ * vehicles; for SF Muni, only those on the tracked lines
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Vehicle position data with human-readable status,
+ *   bearing, crowding, congestion, carriages and, for Muni, schedule adherence
+ * @throws {RangeError} If the agency is not enabled
+ * @throws {Error} If protobuf schema is not loaded or API call fails
+ */
+async function getVehiclePositions(agencyId = agencies.DEFAULT_AGENCY) {
+    const agency = agencies.getAgency(agencyId);
+    const isDefault = agency.id === agencies.DEFAULT_AGENCY;
+    const FeedMessage = await loadFeedMessage();
+    const feed = await fetchFeed('vehiclepositions', agency.id);
+    const occupancyNames = FeedMessage.root.lookupEnum('transit_realtime.VehiclePosition.OccupancyStatus').valuesById;
+    const congestionNames = FeedMessage.root.lookupEnum('transit_realtime.VehiclePosition.CongestionLevel').valuesById;
+
+    // Filter for the agency's tracked lines
+    const trains = feed.entity.filter(entity => {
+        return entity.vehicle && entity.vehicle.trip && agencies.servesLine(agency, entity.vehicle.trip.routeId);
+    });
+
+    // Prettify the output
+    const vehicles = trains.map(entity => {
+        const vehicle = entity.vehicle;
+        const occupancyStatus = occupancyNames[getOptional(vehicle, 'occupancyStatus')] || null;
+        const occupancyPercentage = getOptional(vehicle, 'occupancyPercentage');
+        const carriages = (vehicle.multiCarriageDetails || [])
+            .map(carriage => {
+                const carriageStatus = occupancyNames[carriage.occupancyStatus] || null;
+                // -1 is the protobuf default for "no percentage"
+                const carriagePercentage = carriage.occupancyPercentage >= 0 ? carriage.occupancyPercentage : null;
+                return {
+                    id: carriage.id || null,
+                    label: carriage.label || null,
+                    sequence: carriage.carriageSequence || null,
+                    occupancyStatus: carriageStatus,
+                    occupancyPercentage: carriagePercentage,
+                    crowding: getCrowding(carriageStatus, carriagePercentage)
+                };
+            })
+            .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+
+        // Include route ID in trainId, and the agency for agencies other than Muni
+        const trainId = `${vehicle.trip.routeId}${vehicle.vehicle?.id}`;
+
+        return {
+            trainId: isDefault ? trainId : `${agency.id}:${trainId}`,
+            agency: agency.id,
+            routeId: vehicle.trip.routeId,
+            tripId: vehicle.trip.tripId || null,
+            startDate: vehicle.trip.startDate || null,
+            vehicleId: vehicle.vehicle?.id || null,
+            direction: vehicle.trip?.directionId,
+            stopId: vehicle.stopId,
+            currentStopSequence: vehicle.currentStopSequence,
+            currentStatus: vehicle.currentStatus,
+            latitude: vehicle.position?.latitude,
+            longitude: vehicle.position?.longitude,
+            speed: vehicle.position?.speed,
+            bearing: getOptional(vehicle.position, 'bearing'),
+            label: getOptional(vehicle.vehicle, 'label'),
+            occupancyStatus,
+            occupancyPercentage,
+            crowding: getCrowding(occupancyStatus, occupancyPercentage),
+            congestionLevel: congestionNames[getOptional(vehicle, 'congestionLevel')] || null,
+            carriageCount: carriages.length || null,
+            carriages,
+            timestamp: vehicle.timestamp,
+            rawTimestamp: vehicle.timestamp
+        };
+    });
+
+    // Add human-readable status and location
+    vehicles.forEach(vehicle => {
+        let status;
+        switch (vehicle.currentStatus) {
+            case 0:
+                status = 'Incoming';
+                break;
+            case 1:
+                status = 'Stopped';
+                break;
+            case 2:
+                status = 'In Transit';
+                break;
+            default:
+                status = 'Unknown';
+        }
+
+        vehicle.readableStatus = `${status} at ${isDefault ? getStopName(vehicle.stopId) : 'Unknown Stop'}`;
+        vehicle.scheduleAdherence = isDefault ? schedule.getVehicleAdherence(vehicle) : null;
+    });
+
+    return vehicles;
+}
+
+/**
+ * Picks the English text out of a GTFS-realtime TranslatedString
+ * @param {Object} [translatedString] - TranslatedString converted to a plain object
+ * @returns {string|null} The English (or first available) translation
+ */
+function getTranslation(translatedString) {
+    const translations = translatedString?.translation || [];
+    const english = translations.find(t => !t.language || t.language.startsWith('en'));
+    return (english || translations[0])?.text || null;
+}
+
+/**
+ * Checks whether an alert is in effect at a given time
+ * @param {Array<Object>} activePeriods - Alert active periods in Unix seconds
+ * @param {number} now - Current time in Unix seconds
+ * @returns {boolean} True if the alert has no periods or one of them contains now
+ */
+function isAlertActive(activePeriods, now) {
+    if (!activePeriods.length) return true;
+    return activePeriods.some(period =>
+        (!period.start || period.start <= now) && (!period.end || period.end >= now)
+    );
+}
+
+/**
+ * Decodes an agency's GTFS-realtime service alerts feed and returns the alerts
+ * currently affecting its lines or stops; for SF Muni, only the tracked lines and their stops
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Active alerts with cause, effect, affected lines,
+ *   affected stop references and active periods
+ * @throws {RangeError} If the agency is not enabled
+ * @throws {Error} If protobuf schema is not loaded or API call fails
+ */
+async function getServiceAlerts(agencyId = agencies.DEFAULT_AGENCY) {
+    const agency = agencies.getAgency(agencyId);
+    const isDefault = agency.id === agencies.DEFAULT_AGENCY;
+    const FeedMessage = await loadFeedMessage();
+    const feed = await fetchFeed('servicealerts', agency.id);
+    const { entity = [] } = FeedMessage.toObject(feed, { enums: String, longs: Number });
+    const now = Math.floor(Date.now() / 1000);
+
+    return entity
+        .filter(item => item.alert && !item.isDeleted && isAlertActive(item.alert.activePeriod || [], now))
+        .map(item => {
+            const alert = item.alert;
+            const informed = alert.informedEntity || [];
+            const activePeriods = alert.activePeriod || [];
+            const lines = new Set();
+            const stopIds = new Set();
+
+            informed.forEach(selector => {
+                const routeId = selector.routeId || selector.trip?.routeId;
+                if (agencies.servesLine(agency, routeId)) {
+                    lines.add(routeId);
+                }
+                // Muni alerts name many stops; keep only those on the tracked lines
+                if (selector.stopId && (!isDefault || stops.getStop(selector.stopId))) {
+                    stopIds.add(agencies.toStopRef(agency.id, selector.stopId));
+                }
+            });
+
+            return {
+                id: item.id,
+                agency: agency.id,
+                cause: alert.cause || 'UNKNOWN_CAUSE',
+                effect: alert.effect || 'UNKNOWN_EFFECT',
+                severity: alert.severityLevel || 'UNKNOWN_SEVERITY',
+                header: getTranslation(alert.headerText),
+                description: getTranslation(alert.descriptionText),
+                url: getTranslation(alert.url),
+                lines: [...lines],
+                stops: [...stopIds],
+                activePeriods: activePeriods.map(period => ({
+                    start: period.start ? new Date(period.start * 1000).toISOString() : null,
+                    end: period.end ? new Date(period.end * 1000).toISOString() : null
+                }))
+            };
+        })
+        .filter(alert => alert.lines.length || alert.stops.length);
+}
+
+/**
+ * Converts a GTFS-realtime StopTimeEvent to ISO time and delay
+ * @param {Object} [event] - StopTimeEvent converted to a plain object
+ * @returns {Object|null} Predicted time, delay in seconds and uncertainty
+ */
+function formatStopTimeEvent(event) {
+    if (!event) return null;
+    return {
+        time: event.time ? new Date(event.time * 1000).toISOString() : null,
+        delay: event.delay ?? null,
+        uncertainty: event.uncertainty ?? null
+    };
+}
+
+/**
+ * Decodes an agency's GTFS-realtime trip updates feed and returns its trips;
+ * for SF Muni, only those on the tracked lines
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Trips with delay and ordered upcoming stop times
+ * @throws {RangeError} If the agency is not enabled
+ * @throws {Error} If protobuf schema is not loaded or API call fails
+ */
+async function getTripUpdates(agencyId = agencies.DEFAULT_AGENCY) {
+    const agency = agencies.getAgency(agencyId);
+    const isDefault = agency.id === agencies.DEFAULT_AGENCY;
+    const FeedMessage = await loadFeedMessage();
+    const feed = await fetchFeed('tripupdates', agency.id);
+    const { entity = [] } = FeedMessage.toObject(feed, { enums: String, longs: Number });
+    const now = Math.floor(Date.now() / 1000);
+
+    return entity
+        .filter(item => item.tripUpdate && !item.isDeleted && agencies.servesLine(agency, item.tripUpdate.trip.routeId))
+        .map(item => {
+            const { trip, vehicle, stopTimeUpdate = [], delay, timestamp } = item.tripUpdate;
+
+            // The producer may still include stops the train has already left
+            const upcoming = stopTimeUpdate
+                .filter(update => {
+                    const time = update.departure?.time || update.arrival?.time;
+                    return !time || time >= now;
+                })
+                .sort((a, b) => (a.stopSequence || 0) - (b.stopSequence || 0))
+                .map(update => ({
+                    stopSequence: update.stopSequence ?? null,
+                    stopId: update.stopId || null,
+                    stopName: isDefault ? stops.getStop(update.stopId)?.name || null : null,
+                    arrival: formatStopTimeEvent(update.arrival),
+                    departure: formatStopTimeEvent(update.departure),
+                    scheduleRelationship: update.scheduleRelationship || 'SCHEDULED'
+                }));
+
+            // Trip-level delay wins; otherwise use the next stop's delay
+            const nextEvent = upcoming[0]?.arrival || upcoming[0]?.departure;
+
+            return {
+                agency: agency.id,
+                tripId: trip.tripId,
+                routeId: trip.routeId,
+                direction: trip.directionId ?? null,
+                vehicleId: vehicle?.id || null,
+                startDate: trip.startDate || null,
+                startTime: trip.startTime || null,
+                scheduleRelationship: trip.scheduleRelationship || 'SCHEDULED',
+                delay: delay ?? nextEvent?.delay ?? null,
+                timestamp: timestamp ? new Date(timestamp * 1000).toISOString() : null,
+                stops: upcoming
+            };
+        });
+}
+
+/**
+ * Gets information about all of an agency's lines from the data provider
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Array<Object>>} Transit line data
+ * @throws {RangeError} If the agency is not enabled
+ * @throws {Error} If the provider call fails
+ */
+async function getLines(agencyId = agencies.DEFAULT_AGENCY) {
+    return provider.getLines(agencies.getAgency(agencyId).id);
+}
+
+/**
+ * Gets route pattern data for a specific transit line from the data provider
+ * @param {string} lineId - The ID of the transit line
+ * @param {string} [agencyId=DEFAULT_AGENCY] - 511.org agency code
+ * @returns {Promise<Object>} Route pattern data
+ * @throws {RangeError} If the agency is not enabled
+ * @throws {Error} If the provider call fails
+ */
+async function getPatterns(lineId, agencyId = agencies.DEFAULT_AGENCY) {
+    return provider.getPatterns(lineId, agencies.getAgency(agencyId).id);
+}
+
+module.exports = {
+    STOPS,
+    MAX_STOPS,
+    getStopPredictions,
+    formatStopPredictions,
+    getVehiclePositions,
+    getServiceAlerts,
+    getTripUpdates,
+    getLines,
+    getPatterns
+};
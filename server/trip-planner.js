@@ -0,0 +1,379 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Trip planner. A graph is built from the stop sequence of every line
+ * pattern in the GTFS bundle, with transfers between stops close enough to
+ * walk between, such as the platforms of a shared subway station. Direct and
+ * one-transfer itineraries are timed with live predictions for the first
+ * leg and the GTFS schedule for the second, and ranked by arrival.
+ */
+
+const gtfsStatic = require('./gtfs-static');
+const poller = require('./poller');
+const stops = require('./stops');
+const schedule = require('./schedule');
+
+// Stops this close together count as one station for boarding and transfers
+const TRANSFER_RADIUS_METERS = 150;
+// Time allowed to change trains on top of any walk between platforms
+const MIN_TRANSFER_SECONDS = 120;
+const MAX_ITINERARIES = 5;
+// Live departures listed for the first leg
+const NEXT_DEPARTURES = 3;
+const SIRI_DIRECTIONS = { inbound: 'IB', outbound: 'OB' };
+
+// Graph for the bundle version it was built from
+let graph = null;
+
+/**
+ * Builds the trip planning graph from a bundle
+ * @param {Object} bundle - The imported GTFS bundle
+ * @returns {Object} { version, routes, routesByStop, nearby, departures } where
+ *   routes are [{ line, direction, headsign, stops, offsets }] with average
+ *   scheduled seconds from the first stop, nearby maps a stop to the stops within
+ *   TRANSFER_RADIUS_METERS (itself included) and their walking time, and departures
+ *   maps a stop to its scheduled departures sorted by time of day
+ */
+function buildGraph(bundle) {
+    const routes = [];
+    const routesByStop = new Map();
+    const timesByPattern = new Map();
+
+    // Average the scheduled offsets of every trip running each exact pattern
+    Object.values(bundle.trips).forEach(trip => {
+        const times = bundle.stopTimes[trip.id];
+        const direction = gtfsStatic.DIRECTIONS[trip.directionId];
+        if (!times || !direction) return;
+        const offsets = times.map(([, , arrival, departure]) => arrival ?? departure);
+        if (offsets.some(offset => offset === null)) return;
+
+        const key = `${trip.line}|${direction}|${times.map(([, stopId]) => stopId).join('>')}`;
+        if (!timesByPattern.has(key)) timesByPattern.set(key, { sums: offsets.map(() => 0), count: 0 });
+        const entry = timesByPattern.get(key);
+        offsets.forEach((offset, i) => {
+            entry.sums[i] += offset - offsets[0];
+        });
+        entry.count++;
+    });
+
+    Object.entries(bundle.patterns).forEach(([line, byDirection]) => {
+        Object.entries(byDirection).forEach(([direction, patterns]) => {
+            patterns.forEach(pattern => {
+                const entry = timesByPattern.get(`${line}|${direction}|${pattern.stops.join('>')}`);
+                if (!entry) return;
+
+                const route = {
+                    line,
+                    direction,
+                    headsign: pattern.headsign,
+                    stops: pattern.stops,
+                    offsets: entry.sums.map(sum => sum / entry.count)
+                };
+                routes.push(route);
+                pattern.stops.forEach((stopId, index) => {
+                    if (!routesByStop.has(stopId)) routesByStop.set(stopId, []);
+                    routesByStop.get(stopId).push({ route, index });
+                });
+            });
+        });
+    });
+
+    const located = Object.values(bundle.stops).filter(stop => stop.lat !== null && stop.lon !== null);
+    const nearby = new Map();
+    located.forEach(stop => {
+        nearby.set(stop.id, located
+            .map(other => ({ stopId: other.id, distance: stops.distanceMeters(stop.lat, stop.lon, other.lat, other.lon) }))
+            .filter(other => other.distance <= TRANSFER_RADIUS_METERS)
+            .map(other => ({ stopId: other.stopId, walkSeconds: stops.getWalkingSeconds(other.distance) })));
+    });
+
+    const departures = new Map();
+    Object.values(bundle.trips).forEach(trip => {
+        const direction = gtfsStatic.DIRECTIONS[trip.directionId];
+        (bundle.stopTimes[trip.id] || []).forEach(([, stopId, arrival, departure]) => {
+            const offset = departure ?? arrival;
+            if (offset === null || !direction) return;
+            if (!departures.has(stopId)) departures.set(stopId, []);
+            departures.get(stopId).push({ offset, line: trip.line, direction, serviceId: trip.serviceId });
+        });
+    });
+    departures.forEach(list => list.sort((a, b) => a.offset - b.offset));
+
+    return { version: bundle.version, routes, routesByStop, nearby, departures };
+}
+
+/**
+ * Gets the trip planning graph, building it again when a different bundle is loaded
+ * @param {Object} bundle - The imported GTFS bundle
+ * @returns {Object} Graph from buildGraph
+ */
+function getGraph(bundle) {
+    if (!graph || graph.version !== bundle.version) {
+        graph = buildGraph(bundle);
+    }
+    return graph;
+}
+
+/**
+ * Lists the stops near a stop with their walking time; a stop without
+ * coordinates is only near itself
+ * @param {Object} planGraph - Graph from buildGraph
+ * @param {string} stopId - The stop ID
+ * @returns {Map<string, number>} Stop ID -> walking seconds
+ */
+function getStation(planGraph, stopId) {
+    const nearby = planGraph.nearby.get(stopId) || [{ stopId, walkSeconds: 0 }];
+    return new Map(nearby.map(stop => [stop.stopId, stop.walkSeconds]));
+}
+
+/**
+ * Finds the direct and one-transfer ways from one stop to another, keeping the
+ * quickest by schedule for each line and direction combination
+ * @param {Object} planGraph - Graph from buildGraph
+ * @param {string} originId - Origin stop ID
+ * @param {string} destinationId - Destination stop ID
+ * @returns {Array<Object>} Candidates: { legs: [{ route, from, to }], walks: [start, transfer?, end], seconds }
+ */
+function findCandidates(planGraph, originId, destinationId) {
+    const origins = getStation(planGraph, originId);
+    const destinations = getStation(planGraph, destinationId);
+    const best = new Map();
+    const ride = ({ route, from, to }) => route.offsets[to] - route.offsets[from];
+    const consider = (key, candidate) => {
+        if (!best.has(key) || candidate.seconds < best.get(key).seconds) best.set(key, candidate);
+    };
+
+    planGraph.routes.forEach(first => {
+        first.stops.forEach((boardId, from) => {
+            if (!origins.has(boardId)) return;
+
+            for (let to = from + 1; to < first.stops.length; to++) {
+                const alightId = first.stops[to];
+                const firstLeg = { route: first, from, to };
+
+                if (destinations.has(alightId)) {
+                    const walks = [origins.get(boardId), destinations.get(alightId)];
+                    consider(`${first.line}|${first.direction}`, {
+                        legs: [firstLeg],
+                        walks,
+                        seconds: walks[0] + ride(firstLeg) + walks[1]
+                    });
+                }
+
+                getStation(planGraph, alightId).forEach((transferWalk, transferId) => {
+                    (planGraph.routesByStop.get(transferId) || []).forEach(({ route: second, index }) => {
+                        if (second.line === first.line) return;
+                        for (let end = index + 1; end < second.stops.length; end++) {
+                            if (!destinations.has(second.stops[end])) continue;
+                            const secondLeg = { route: second, from: index, to: end };
+                            const walks = [origins.get(boardId), transferWalk, destinations.get(second.stops[end])];
+                            consider(`${first.line}|${first.direction}|${second.line}|${second.direction}`, {
+                                legs: [firstLeg, secondLeg],
+                                walks,
+                                seconds: walks[0] + ride(firstLeg) + walks[1] + MIN_TRANSFER_SECONDS +
+                                    ride(secondLeg) + walks[2]
+                            });
+                        }
+                    });
+                });
+            }
+        });
+    });
+    return [...best.values()];
+}
+
+/**
+ * Finds the next scheduled departure of a line and direction from a stop
+ * @param {Object} bundle - The imported GTFS bundle
+ * @param {Object} planGraph - Graph from buildGraph
+ * @param {Object} route - Route from the graph
+ * @param {string} stopId - The stop ID
+ * @param {number} after - Earliest departure in milliseconds
+ * @returns {number|null} Departure time in milliseconds, or null if none is scheduled
+ *   on today's or yesterday's service day
+ */
+function getScheduledDeparture(bundle, planGraph, route, stopId, after) {
+    let next = null;
+    schedule.getCandidateServiceDates(after).forEach(serviceDate => {
+        const dayStart = schedule.getServiceDayStart(serviceDate);
+        const departure = (planGraph.departures.get(stopId) || []).find(item =>
+            item.line === route.line &&
+            item.direction === route.direction &&
+            dayStart + item.offset * 1000 >= after &&
+            schedule.isServiceActive(bundle.services[item.serviceId], serviceDate));
+        if (departure && (next === null || dayStart + departure.offset * 1000 < next)) {
+            next = dayStart + departure.offset * 1000;
+        }
+    });
+    return next;
+}
+
+/**
+ * Lists live departures of a line and direction from stop monitoring data
+ * @param {Object|null} data - Stop monitoring data from the poller
+ * @param {Object} route - Route from the graph
+ * @param {number} after - Earliest departure in milliseconds
+ * @returns {Array<number>} Departure times in milliseconds, soonest first
+ */
+function getLiveDepartures(data, route, after) {
+    const visits = data?.ServiceDelivery?.StopMonitoringDelivery?.MonitoredStopVisit || [];
+    return visits
+        .map(visit => visit.MonitoredVehicleJourney)
+        .filter(journey => journey?.LineRef === route.line &&
+            (!journey.DirectionRef || journey.DirectionRef === SIRI_DIRECTIONS[route.direction]))
+        .map(journey => Date.parse(journey.MonitoredCall?.ExpectedDepartureTime || journey.MonitoredCall?.ExpectedArrivalTime))
+        .filter(time => !isNaN(time) && time >= after)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Describes a stop for an itinerary
+ * @param {Object} bundle - The imported GTFS bundle
+ * @param {string} stopId - The stop ID
+ * @returns {Object} { id, name, lat, lon }
+ */
+function describeStop(bundle, stopId) {
+    const stop = bundle.stops[stopId];
+    return { id: stopId, name: stop?.name || `Stop #${stopId}`, lat: stop?.lat ?? null, lon: stop?.lon ?? null };
+}
+
+/**
+ * Formats a time for the response
+ * @param {number|null} time - Time in milliseconds
+ * @returns {string|null} ISO 8601 time
+ */
+function toIso(time) {
+    return time === null ? null : new Date(time).toISOString();
+}
+
+/**
+ * Times a candidate: the first leg leaves on the next live departure (or the
+ * schedule when there is none) and the second on the next scheduled one
+ * @param {Object} bundle - The imported GTFS bundle
+ * @param {Object} planGraph - Graph from buildGraph
+ * @param {Object} candidate - Candidate from findCandidates
+ * @param {Map<string, Object>} predictions - Stop monitoring data by boarding stop ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Itinerary for the response, with arrival in milliseconds for ranking
+ */
+function timeItinerary(bundle, planGraph, candidate, predictions, now) {
+    const walkEnd = candidate.walks[candidate.walks.length - 1];
+    const transferWalk = candidate.legs.length > 1 ? candidate.walks[1] : 0;
+    let readyAt = now + candidate.walks[0] * 1000;
+
+    const legs = candidate.legs.map(({ route, from, to }, i) => {
+        const boardId = route.stops[from];
+        const live = i === 0 ? getLiveDepartures(predictions.get(boardId), route, readyAt) : [];
+        const departure = readyAt === null
+            ? null
+            : live[0] ?? getScheduledDeparture(bundle, planGraph, route, boardId, readyAt);
+        const rideSeconds = route.offsets[to] - route.offsets[from];
+        const arrival = departure === null ? null : departure + rideSeconds * 1000;
+        readyAt = arrival === null ? null : arrival + (transferWalk + MIN_TRANSFER_SECONDS) * 1000;
+
+        return {
+            line: route.line,
+            direction: route.direction,
+            headsign: route.headsign,
+            from: describeStop(bundle, boardId),
+            to: describeStop(bundle, route.stops[to]),
+            stops: to - from,
+            rideMinutes: Math.round(rideSeconds / 60),
+            departureTime: toIso(departure),
+            arrivalTime: toIso(arrival),
+            source: departure === null ? null : (live.length ? 'live' : 'schedule'),
+            nextDepartures: live.slice(0, NEXT_DEPARTURES).map(toIso),
+            coordinates: route.stops.slice(from, to + 1)
+                .map(stopId => bundle.stops[stopId])
+                .filter(stop => stop && stop.lat !== null && stop.lon !== null)
+                .map(stop => [stop.lon, stop.lat])
+        };
+    });
+
+    const last = legs[legs.length - 1];
+    const arrival = last.arrivalTime ? Date.parse(last.arrivalTime) + walkEnd * 1000 : null;
+    const transfer = legs.length > 1 ? {
+        from: legs[0].to,
+        to: legs[1].from,
+        walkMinutes: Math.round(transferWalk / 60),
+        waitMinutes: legs[1].departureTime && legs[0].arrivalTime
+            ? Math.round((Date.parse(legs[1].departureTime) - Date.parse(legs[0].arrivalTime)) / 60000)
+            : null
+    } : null;
+
+    return {
+        arrival,
+        itinerary: {
+            transfers: legs.length - 1,
+            departureTime: legs[0].departureTime,
+            arrivalTime: toIso(arrival),
+            durationMinutes: arrival === null ? null : Math.round((arrival - now) / 60000),
+            scheduledMinutes: Math.round(candidate.seconds / 60),
+            walkToStartMinutes: Math.round(candidate.walks[0] / 60),
+            walkFromEndMinutes: Math.round(walkEnd / 60),
+            transfer,
+            legs
+        }
+    };
+}
+
+/**
+ * Plans trips between two stops
+ * @async
+ * @param {string} originId - Origin stop ID
+ * @param {string} destinationId - Destination stop ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=MAX_ITINERARIES] - Maximum number of itineraries
+ * @param {number} [options.now=Date.now()] - Time to plan from, in milliseconds
+ * @returns {Promise<Object|null>} { origin, destination, itineraries } ranked by
+ *   estimated arrival, or null if no GTFS bundle has been imported
+ * @throws {RangeError} If a stop is unknown or both stops are the same
+ */
+async function planTrip(originId, destinationId, { limit = MAX_ITINERARIES, now = Date.now() } = {}) {
+    const bundle = gtfsStatic.getBundle();
+    if (!bundle) return null;
+    [originId, destinationId].forEach(stopId => {
+        if (!bundle.stops[stopId]) throw new RangeError(`Stop ${stopId} is not served by a tracked line`);
+    });
+    if (originId === destinationId) {
+        throw new RangeError('Origin and destination must be different stops');
+    }
+
+    const planGraph = getGraph(bundle);
+    const candidates = findCandidates(planGraph, originId, destinationId);
+
+    // One prediction request per boarding stop, served from the poller cache when possible
+    const boardingIds = [...new Set(candidates.map(({ legs: [first] }) => first.route.stops[first.from]))];
+    const predictions = new Map(await Promise.all(boardingIds.map(async stopId => {
+        try {
+            return [stopId, await poller.getPredictions(stopId)];
+        } catch (error) {
+            console.error(`Error getting predictions for trip planning at stop ${stopId}:`, error.message);
+            return [stopId, null];
+        }
+    })));
+
+    const itineraries = candidates
+        .map(candidate => ({ ...timeItinerary(bundle, planGraph, candidate, predictions, now), candidate }))
+        .sort((a, b) => (a.arrival ?? Infinity) - (b.arrival ?? Infinity) ||
+            a.candidate.legs.length - b.candidate.legs.length ||
+            a.candidate.seconds - b.candidate.seconds)
+        .slice(0, limit)
+        .map(({ itinerary }) => itinerary);
+
+    return {
+        origin: describeStop(bundle, originId),
+        destination: describeStop(bundle, destinationId),
+        itineraries
+    };
+}
+
+module.exports = {
+    MAX_ITINERARIES,
+    planTrip
+};
@@ -0,0 +1,138 @@
+/**
+ * Copyright (c) 2024 Adam Seligman
+ * 
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Weather at saved stops. Each stop is placed in a grid cell of
+ * WEATHER_GRID_DEGREES; a cell's weather is fetched once through the weather
+ * provider and cached for WEATHER_CACHE_MS, so stops close together share
+ * one upstream lookup.
+ */
+
+const weatherProvider = require('./providers/weather');
+const stops = require('./stops');
+const { createCache } = require('./cache');
+
+const GRID_DEGREES = Number(process.env.WEATHER_GRID_DEGREES) || 0.02;
+const CACHE_MS = Number(process.env.WEATHER_CACHE_MS) || 10 * 60000;
+// Hours of forecast in each location's precipitation strip
+const FORECAST_HOURS = 6;
+// Used when no stop has coordinates: West Portal, in the ZIP code (94127) the panel used to show
+const DEFAULT_LOCATION = { lat: 37.7407, lon: -122.4657 };
+
+const cache = createCache();
+// Cell ID -> in-flight provider request, so concurrent requests share it
+const pending = new Map();
+
+/**
+ * Finds the grid cell containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {{id: string, lat: number, lon: number}} Cell ID and center
+ */
+function getCell(lat, lon) {
+    const center = value => Number((Math.round(value / GRID_DEGREES) * GRID_DEGREES).toFixed(4));
+    const cell = { lat: center(lat), lon: center(lon) };
+    return { id: `${cell.lat},${cell.lon}`, ...cell };
+}
+
+/**
+ * Gets a cell's weather from the cache or the weather provider
+ * @async
+ * @param {Object} cell - Cell from getCell
+ * @returns {Promise<Object>} { current, hourly, fetchedAt }
+ * @throws {Error} If the provider call fails
+ */
+async function getCellWeather(cell) {
+    const cached = cache.get(cell.id);
+    if (cached) return cached;
+
+    if (!pending.has(cell.id)) {
+        const request = weatherProvider.getWeather(cell.lat, cell.lon)
+            .then(weather => {
+                const entry = { ...weather, fetchedAt: new Date().toISOString() };
+                cache.set(cell.id, entry, CACHE_MS);
+                return entry;
+            })
+            .finally(() => pending.delete(cell.id));
+        pending.set(cell.id, request);
+    }
+    return pending.get(cell.id);
+}
+
+/**
+ * Keeps the forecast periods from the current hour through FORECAST_HOURS ahead
+ * @param {Array<Object>} hourly - Forecast periods from the provider
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array<Object>} Upcoming periods
+ */
+function getUpcoming(hourly, now = Date.now()) {
+    return hourly.filter(period => {
+        const time = Date.parse(period.time);
+        return time > now - 3600000 && time <= now + FORECAST_HOURS * 3600000;
+    });
+}
+
+/**
+ * Gets the weather at a list of stops, one location per grid cell
+ * @async
+ * @param {Array<string>} stopRefs - Stop IDs, or "<agency>:<stopId>" for other agencies
+ * @returns {Promise<Object>} { provider, locations, unknownStops }; each location is
+ *   { id, lat, lon, stops, fetchedAt, current, hourly }, or { id, lat, lon, stops, error }
+ *   if its weather could not be fetched. Stops without coordinates are listed in
+ *   unknownStops; with none located, the default location is used.
+ * @throws {RangeError} If a stop belongs to an agency that is not enabled
+ * @throws {Error} If no location's weather could be fetched
+ */
+async function getStopWeather(stopRefs) {
+    const locations = new Map();
+    const unknownStops = [];
+
+    stopRefs.forEach(stopRef => {
+        const stop = stops.findStop(stopRef);
+        const lat = stop?.lat === null || stop?.lat === undefined ? NaN : Number(stop.lat);
+        const lon = stop?.long === null || stop?.long === undefined ? NaN : Number(stop.long);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            unknownStops.push(stopRef);
+            return;
+        }
+        const cell = getCell(lat, lon);
+        if (!locations.has(cell.id)) {
+            locations.set(cell.id, { ...cell, stops: [] });
+        }
+        locations.get(cell.id).stops.push(stopRef);
+    });
+
+    if (!locations.size) {
+        const cell = getCell(DEFAULT_LOCATION.lat, DEFAULT_LOCATION.lon);
+        locations.set(cell.id, { ...cell, stops: [] });
+    }
+
+    // One failing cell should not hide the weather for the others
+    const results = await Promise.allSettled([...locations.values()].map(getCellWeather));
+    if (results.every(result => result.status === 'rejected')) {
+        throw results[0].reason;
+    }
+
+    return {
+        provider: weatherProvider.name,
+        locations: [...locations.values()].map((location, index) => {
+            const result = results[index];
+            if (result.status === 'rejected') {
+                console.error(`Error fetching weather for ${location.id}:`, result.reason.message);
+                return { ...location, error: 'Failed to fetch weather data' };
+            }
+            const { current, hourly, fetchedAt } = result.value;
+            return { ...location, fetchedAt, current, hourly: getUpcoming(hourly) };
+        }),
+        unknownStops
+    };
+}
+
+module.exports = {
+    getCell,
+    getStopWeather
+};